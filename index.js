@@ -1,617 +1,361 @@
 #!/usr/bin/env node
 
 import { config } from 'dotenv';
-import axios from 'axios';
-import fs from 'fs/promises';
+import path from 'path';
+import { YouTubeAgent } from './lib/agent.js';
+import { parseCommand, parseArgs, DEFAULT_FORMATS } from './lib/command-options.js';
+import { ConfigurationError } from './lib/errors.js';
+import { writeChannelReports, writeVideoReports, writeBatchReports, writeComparisonReports, REMAINING_CHANNELS_FILE } from './lib/reports.js';
+import { displayChannelReport, displayVideoReport, displayComparison, displayHistory, displayQuotaUsage, displayWritten, displayError } from './lib/console-report.js';
+import { ConsoleSink, JsonlEventLog, WebhookSink } from './lib/alert-sinks.js';
+import { createApiServer, DEFAULT_PORT, DEFAULT_HOST } from './lib/api-server.js';
+import { InteractiveShell } from './lib/interactive-shell.js';
+import { loadProjectConfig, resolveRunOptions, resolveApiKeys } from './lib/project-config.js';
+import { setDisplayLocale } from './lib/formatting.js';
 
 config();
 
-const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
-const YOUTUBE_API_BASE = 'https://www.googleapis.com/youtube/v3';
+// Prefixes for the agent's progress stages; per-channel steps only show when analyzing one channel, video or playlist
+const CHANNEL_STAGES = {
+  resolve: '🔍',
+  video: '🎬',
+  playlist: '📚',
+  resolved: '🔗',
+  channel: '📊',
+  videos: '📹',
+  transcripts: '🎙️ ',
+  thumbnails: '🖼️ ',
+  insights: '🧠',
+  comments: '💬',
+  recommendations: '💡'
+};
+const RUN_STAGES = {
+  load: '📋',
+  batch: '📊',
+  resume: '♻️ ',
+  budget: '🎫',
+  compare: '⚖️ ',
+  watch: '👀',
+  cycle: '\n🔄',
+  alerts: '\n🔔'
+};
+
+function usage() {
+  console.log('Usage:');
+  console.log('  node index.js "/youtube @channelname"  # Analyze single channel');
+  console.log('  node index.js "/youtube"               # Batch process youtube-channels.md');
+  console.log('  node index.js "/youtube video ID|URL"  # Deep dive into one video against its channel');
+  console.log('  node index.js "/youtube playlist ID|URL" # Analyze a playlist instead of the latest uploads');
+  console.log('  node index.js "/youtube history @name" # Show metric changes between runs');
+  console.log('  node index.js "/youtube compare @you @rival1 @rival2" # Benchmark against competitors');
+  console.log('  node index.js "/youtube watch [@name...]" # Re-check channels on an interval and alert on changes');
+  console.log('  node index.js "/youtube serve"         # Serve the HTTP API (analyses, batch jobs, stored reports)');
+  console.log('  node index.js --interactive [--options] # Shell that keeps results in memory (/top, /filter, /compare, /export)');
+  console.log('');
+  console.log('Options:');
+  console.log('  --videos N|all      Number of uploads to analyze (default 20; 200 for a playlist)');
+  console.log('  --since DATE|Nd     Only uploads on/after a date (e.g. 2024-01-01 or 90d)');
+  console.log('  --until DATE|Nd     Only uploads on/before a date');
+  console.log('  --exclude KINDS     Skip shorts, live, premieres or videos (comma-separated)');
+  console.log('  --only KINDS        Keep only the given kinds');
+  console.log('  --format FORMAT     Output md (default), json, csv or html; repeatable');
+  console.log('  --timezone TZ       Time zone for schedule analysis and dates (e.g. America/New_York)');
+  console.log('  --locale LOCALE     Number and date formatting (e.g. de-DE; default: compact English)');
+  console.log('  --output-dir DIR    Directory for report files (default: current directory)');
+  console.log('  --refresh           Ignore cached API responses');
+  console.log('  --transcripts SRC   Analyze transcripts from captions (auto) or a directory of .srt/.vtt/.txt');
+  console.log('  --thumbnails SRC    Analyze thumbnail styles from downloads (auto) or a directory of .jpg');
+  console.log('  --comments          Summarize comment sentiment, questions and requests');
+  console.log('  --comment-budget N  Comment pages to read per channel (default 10, implies --comments)');
+  console.log('  --llm PROVIDER      Title ideas from openai, llamacpp, ollama, mock or none');
+  console.log('  --channels PATH     Channel list for batch mode (.md, .yaml or .json)');
+  console.log('  --concurrency N     Channels analyzed in parallel in batch mode (default 3)');
+  console.log('  --resume            Skip channels finished by the last batch and rebuild its report');
+  console.log('  --interval TIME     Watch interval, e.g. 30m, 6h or 1d (default 6h)');
+  console.log('  --cycles N          Stop watching after N checks');
+  console.log('  --webhook URL       POST watch alerts to a webhook (or WATCH_WEBHOOK_URL)');
+  console.log('  --budget UNITS      Daily quota budget (default 10000 or YOUTUBE_QUOTA_BUDGET)');
+  console.log('  --force             Run a batch even if it may exceed the budget');
+  console.log('  --port N            Port for serve (default 3000 or YOUTUBE_API_PORT)');
+  console.log('  --host HOST         Interface for serve (default 127.0.0.1)');
+  console.log('  --profile NAME      Run profile from the config file');
+  console.log('  --config PATH       Config file (default .youtube-agent.json/.yaml or YOUTUBE_AGENT_CONFIG)');
+}
 
-class YouTubeAgent {
-  constructor() {
-    if (!YOUTUBE_API_KEY) {
+function createAgent(project) {
+  try {
+    return new YouTubeAgent({
+      apiKeys: resolveApiKeys(project),
+      mode: process.env.YOUTUBE_DATA_SOURCE || 'http'
+    });
+  } catch (error) {
+    if (!(error instanceof ConfigurationError)) throw error;
+    if (error.setting === 'apiKey') {
       console.error('Error: YOUTUBE_API_KEY not found in environment variables');
-      console.error('Please create a .env file with your YouTube API key');
-      process.exit(1);
+      console.error('Please create a .env file with your YouTube API key (or list several in YOUTUBE_API_KEYS or apiKeys in the config file)');
+      console.error('(or set YOUTUBE_DATA_SOURCE=replay to run from recorded fixtures)');
+    } else {
+      console.error(`Error: ${error.message}`);
     }
+    process.exit(1);
   }
+}
 
-  parseCommand(input) {
-    const batchMatch = input.match(/^\/youtube\s*$/);
-    if (batchMatch) {
-      return null; // Indicates batch processing mode
+// Turns the agent's events into the CLI's console output
+function attachConsole(agent, mode) {
+  // Batch lists hold bare handles; compare targets are printed as typed
+  const label = target => (mode === 'compare' ? target : `@${target}`);
+
+  agent.on('progress', ({ stage, message }) => {
+    if (stage in CHANNEL_STAGES) {
+      if (['channel', 'video', 'playlist', 'history'].includes(mode)) console.log(`${CHANNEL_STAGES[stage]} ${message}`);
+    } else if (stage === 'sleep') {
+      console.log(`😴 ${message} (Ctrl+C to stop)`);
+    } else {
+      console.log(`${RUN_STAGES[stage] ?? '•'} ${message}`);
+      if (stage === 'budget' && mode === 'batch') console.log('');
     }
-    
-    const singleMatch = input.match(/^\/youtube\s+@?(.+)$/);
-    if (!singleMatch) {
-      throw new Error('Invalid command format. Use: /youtube @channelname or /youtube for batch processing');
+  });
+  agent.on('warning', ({ message }) => console.log(`⚠️  ${message}`));
+  agent.on('retry', ({ error, attempt, delay }) => {
+    console.log(`⏳ ${error.message} - retry ${attempt} in ${(delay / 1000).toFixed(1)}s...`);
+  });
+  agent.on('concurrency', ({ limit }) => console.log(`🐢 Reducing batch concurrency to ${limit}`));
+
+  agent.on('channel', ({ status, target, position, total, error, changes, unsaved }) => {
+    if (mode === 'watch') {
+      if (status === 'failed') console.log(`❌ ${label(target)} failed: ${error.message}`);
+      else if (status === 'done' && unsaved) console.log(`⚠️  ${label(target)}: snapshot not saved, no alerts this cycle`);
+      else if (status === 'done' && changes === null) console.log(`📌 ${label(target)}: first snapshot recorded, changes are reported from the next cycle`);
+      else if (status === 'done') console.log(`✅ ${label(target)}: ${changes.length ? `${changes.length} change${changes.length > 1 ? 's' : ''}` : 'no changes'}`);
+      return;
     }
-    return singleMatch[1].trim();
-  }
+    if (status === 'start') console.log(`${mode === 'compare' ? '\n' : ''}[${position}/${total}] Analyzing ${label(target)}...`);
+    else if (status === 'done') console.log(`✅ ${label(target)} complete`);
+    else if (status === 'failed') console.log(`❌ ${label(target)} failed: ${error.message}`);
+    else if (status === 'stopped') console.log(`🛑 Stopping batch: ${error.message}`);
+  });
 
-  async getChannelId(channelName) {
-    try {
-      const response = await axios.get(`${YOUTUBE_API_BASE}/search`, {
-        params: {
-          key: YOUTUBE_API_KEY,
-          q: channelName,
-          type: 'channel',
-          part: 'snippet',
-          maxResults: 1
-        }
-      });
-
-      if (response.data.items.length === 0) {
-        throw new Error(`Channel "${channelName}" not found`);
-      }
-
-      return response.data.items[0].snippet.channelId;
-    } catch (error) {
-      throw new Error(`Failed to find channel: ${error.message}`);
-    }
-  }
+  agent.on('cycle', ({ quota }) => displayQuotaUsage(quota));
+}
 
-  async getChannelInfo(channelId) {
-    try {
-      const response = await axios.get(`${YOUTUBE_API_BASE}/channels`, {
-        params: {
-          key: YOUTUBE_API_KEY,
-          id: channelId,
-          part: 'snippet,contentDetails,statistics'
-        }
-      });
-
-      if (response.data.items.length === 0) {
-        throw new Error('Channel not found');
-      }
-
-      return response.data.items[0];
-    } catch (error) {
-      throw new Error(`Failed to get channel info: ${error.message}`);
-    }
-  }
+async function runBatch(agent, options) {
+  const startTime = Date.now();
+  try {
+    const batch = await agent.analyzeBatch(options);
+
+    console.log('\n📝 Generating batch report...');
+    displayWritten(await writeBatchReports(batch, options.formats, options.outputDir));
+    console.log(`📁 Individual reports saved for ${batch.results.length} channels`);
 
-  async getChannelVideos(uploadsPlaylistId, maxResults = 20) {
-    try {
-      const response = await axios.get(`${YOUTUBE_API_BASE}/playlistItems`, {
-        params: {
-          key: YOUTUBE_API_KEY,
-          playlistId: uploadsPlaylistId,
-          part: 'snippet',
-          maxResults: maxResults,
-          order: 'date'
-        }
-      });
-
-      const videoIds = response.data.items.map(item => item.snippet.resourceId.videoId);
-      
-      // Get video statistics and content details (including duration)
-      const videoStatsResponse = await axios.get(`${YOUTUBE_API_BASE}/videos`, {
-        params: {
-          key: YOUTUBE_API_KEY,
-          id: videoIds.join(','),
-          part: 'statistics,snippet,contentDetails'
-        }
-      });
-
-      return videoStatsResponse.data.items
-        .map(video => ({
-          title: video.snippet.title,
-          videoId: video.id,
-          url: `https://youtube.com/watch?v=${video.id}`,
-          views: parseInt(video.statistics.viewCount) || 0,
-          likes: parseInt(video.statistics.likeCount) || 0,
-          publishedAt: video.snippet.publishedAt,
-          duration: this.parseDuration(video.contentDetails.duration),
-          thumbnail: video.snippet.thumbnails.medium?.url
-        }))
-        .filter(video => video.views > 0); // Filter out videos with no view data
-    } catch (error) {
-      throw new Error(`Failed to get channel videos: ${error.message}`);
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`\n✅ Batch analysis complete in ${duration}s!`);
+    console.log(`📊 Successfully analyzed ${batch.results.length}/${batch.channels.length} channels`);
+    if (batch.errors.length > 0) {
+      console.log(`⚠️  ${batch.errors.length} channels failed`);
     }
+    if (batch.remaining.length > 0) {
+      console.log(`⏸️  ${batch.remaining.length} channels not analyzed - re-run with --resume to finish them (also listed in ${path.join(options.outputDir ?? '.', REMAINING_CHANNELS_FILE)})`);
+    }
+  } catch (error) {
+    console.error(`❌ Batch processing failed: ${error.message}`);
+    process.exitCode = 1;
   }
+}
 
-  parseDuration(isoDuration) {
-    // Parse ISO 8601 duration (PT#H#M#S) to MM:SS format
-    const match = isoDuration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
-    if (!match) return '0:00';
-    
-    const hours = parseInt(match[1]) || 0;
-    const minutes = parseInt(match[2]) || 0;
-    const seconds = parseInt(match[3]) || 0;
-    
-    const totalMinutes = hours * 60 + minutes;
-    const formattedSeconds = seconds.toString().padStart(2, '0');
-    
-    return `${totalMinutes}:${formattedSeconds}`;
+async function runCompare(agent, targets, options) {
+  const startTime = Date.now();
+  const compared = await agent.compareChannels(targets, options);
+  displayComparison(compared.comparison);
+
+  console.log('');
+  displayWritten(await writeComparisonReports(compared, options.formats, options, options.outputDir));
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  console.log(`\n✅ Comparison complete in ${duration}s!`);
+}
+
+async function runWatch(agent, targets, options) {
+  const webhook = options.webhook || process.env.WATCH_WEBHOOK_URL;
+  const eventLog = new JsonlEventLog();
+  const sinks = [new ConsoleSink(), eventLog, ...(webhook ? [new WebhookSink(webhook)] : [])];
+  agent.once('progress', ({ stage }) => {
+    if (stage === 'watch') console.log(`📝 Events are logged to ${eventLog.file}${webhook ? ` and posted to ${webhook}` : ''}`);
+  });
+
+  // Ctrl+C lets the current channel finish, then ends the watch
+  const controller = new AbortController();
+  const stop = () => {
+    console.log('\n👋 Stopping watch after the current step...');
+    controller.abort();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  try {
+    await agent.watch(targets, { ...options, sinks, signal: controller.signal });
+  } finally {
+    process.off('SIGINT', stop);
+    process.off('SIGTERM', stop);
   }
+}
 
-  generateAdvancedInsights(videos, channelInfo) {
-    const sortedByViews = [...videos].sort((a, b) => b.views - a.views);
-    const topVideos = sortedByViews.slice(0, 10);
-    const avgViews = Math.round(videos.reduce((sum, v) => sum + v.views, 0) / videos.length);
-    const topAvgViews = Math.round(topVideos.reduce((sum, v) => sum + v.views, 0) / topVideos.length);
-    
-    // Duration analysis
-    const durations = videos.map(v => {
-      const [min, sec] = v.duration.split(':').map(Number);
-      return min + sec / 60;
-    }).filter(d => d > 0);
-    const avgDuration = durations.reduce((sum, d) => sum + d, 0) / durations.length;
-    
-    // Analyze titles for patterns
-    const titleWords = videos.flatMap(v => 
-      v.title.toLowerCase().split(/\s+/).filter(word => word.length > 3 && !/^\d+$/.test(word))
-    );
-    const wordFreq = {};
-    titleWords.forEach(word => wordFreq[word] = (wordFreq[word] || 0) + 1);
-    const commonWords = Object.entries(wordFreq)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 8)
-      .filter(([,count]) => count >= 2)
-      .map(([word]) => word);
-
-    // Performance patterns
-    const performancePatterns = [];
-    if (topAvgViews > avgViews) {
-      const improvement = Math.round(((topAvgViews / avgViews) - 1) * 100);
-      performancePatterns.push(`Top videos average ${this.formatNumber(topAvgViews)} views vs ${this.formatNumber(avgViews)} channel average (+${improvement}%)`);
-    }
-    
-    if (avgDuration > 0) {
-      const optimalRange = Math.round(avgDuration);
-      performancePatterns.push(`Videos around ${optimalRange} minutes tend to perform well for this channel`);
-    }
-    
-    // Publishing patterns (simplified)
-    const recentUploads = videos.filter(v => {
-      const uploadDate = new Date(v.publishedAt);
-      const daysSinceUpload = (Date.now() - uploadDate.getTime()) / (1000 * 60 * 60 * 24);
-      return daysSinceUpload <= 30;
-    });
-    if (recentUploads.length >= 3) {
-      performancePatterns.push(`Recent upload frequency: ${recentUploads.length} videos in the last 30 days`);
-    }
+function reportPath(options, basename) {
+  return path.join(options.outputDir ?? '.', basename);
+}
 
-    // Content themes
-    const contentThemes = [];
-    if (commonWords.length > 0) {
-      contentThemes.push(`Most successful content includes: "${commonWords.slice(0, 5).join('", "')}"`);
-    }
-    
-    // High-performing keywords from top videos
-    const topVideoWords = topVideos.flatMap(v => 
-      v.title.toLowerCase().split(/\s+/).filter(word => word.length > 3)
-    );
-    const topWordFreq = {};
-    topVideoWords.forEach(word => topWordFreq[word] = (topWordFreq[word] || 0) + 1);
-    const topKeywords = Object.entries(topWordFreq)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 5)
-      .filter(([,count]) => count >= 2)
-      .map(([word]) => word);
-    
-    if (topKeywords.length > 0) {
-      contentThemes.push(`High-performing keywords: "${topKeywords.join('", "')}"`); 
-    }
+async function runChannel(agent, target, options) {
+  const startTime = Date.now();
+  const result = await agent.analyzeChannel(target, options);
+  displayChannelReport(result);
 
-    // Optimization opportunities
-    const optimizationOpportunities = [];
-    
-    if (sortedByViews[0].views > avgViews * 5) {
-      optimizationOpportunities.push(`Consider replicating elements from your top video (${sortedByViews[0].title.substring(0, 50)}...)`);
-    }
-    
-    if (videos.length >= 10) {
-      const underperformers = sortedByViews.slice(-5).filter(v => v.views < avgViews * 0.5);
-      if (underperformers.length >= 3) {
-        optimizationOpportunities.push(`${underperformers.length} recent videos underperformed - consider analyzing successful patterns`);
-      }
-    }
-    
-    if (commonWords.includes('tutorial') || commonWords.includes('how')) {
-      optimizationOpportunities.push(`Tutorial content detected - ensure clear value proposition in titles`);
-    }
+  const formats = options.formats || DEFAULT_FORMATS;
+  console.log(`📝 Creating ${formats.join(', ')} report...`);
+  const filenames = (await writeChannelReports(result, reportPath(options, 'youtube-research'), formats)).map(entry => entry.file);
 
-    return {
-      performancePatterns,
-      contentThemes,
-      optimizationOpportunities,
-      avgViews,
-      topVideos
-    };
-  }
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  console.log(`\n✅ Analysis complete in ${duration}s! Report saved to ${filenames.join(', ')}`);
+}
 
-  generateContentRecommendations(videos, insights) {
-    const { topVideos, contentThemes } = insights;
-    const recommendations = [];
-    
-    // Extract successful patterns from top videos
-    const topTitles = topVideos.slice(0, 5).map(v => v.title);
-    const patterns = [];
-    
-    // Look for common structures
-    if (topTitles.some(t => t.includes(' vs ') || t.includes(' VS '))) {
-      patterns.push('comparison');
-    }
-    if (topTitles.some(t => t.toLowerCase().includes('review'))) {
-      patterns.push('review');
-    }
-    if (topTitles.some(t => t.toLowerCase().includes('first') || t.toLowerCase().includes('new'))) {
-      patterns.push('first-look');
-    }
-    if (topTitles.some(t => t.includes('!')  || t.includes('?'))) {
-      patterns.push('engaging-punctuation');
-    }
-    
-    // Generate recommendations based on patterns
-    const titleTemplates = {
-      comparison: [
-        '[Popular Topic A] vs [Popular Topic B]: The Real Winner',
-        'I Tried [Topic A] and [Topic B] for 30 Days - Here\'s What Happened',
-        '[Topic A] vs [Topic B]: Which Should You Choose in 2024?'
-      ],
-      review: [
-        '[New Product/Service]: Everything You Need to Know',
-        'I Used [Product] for [Time Period] - Honest Review', 
-        '[Product] Review: Worth the Hype?'
-      ],
-      'first-look': [
-        'First Look: [Trending Topic] Changes Everything',
-        'I Got Early Access to [New Thing] - Here\'s My Take',
-        '[New Release]: First Impressions After 24 Hours'
-      ]
-    };
-    
-    // Select templates based on detected patterns
-    patterns.forEach(pattern => {
-      if (titleTemplates[pattern] && recommendations.length < 3) {
-        recommendations.push(titleTemplates[pattern][0]);
-      }
-    });
-    
-    // Fill remaining slots with generic successful patterns
-    while (recommendations.length < 3) {
-      const generic = [
-        'Why Everyone is Talking About [Trending Topic]',
-        'The Truth About [Popular Subject] No One Tells You',
-        'I Spent [Time Period] Testing [Topic] - Results Will Surprise You'
-      ];
-      recommendations.push(generic[recommendations.length]);
-    }
-    
-    // Generate success formula
-    let successFormula = 'Focus on ';
-    if (patterns.includes('comparison')) successFormula += 'comparison content, ';
-    if (patterns.includes('review')) successFormula += 'honest reviews, ';
-    if (patterns.includes('first-look')) successFormula += 'trending/new topics, ';
-    
-    successFormula += `maintain ${Math.round(videos.reduce((sum, v) => {
-      const [min] = v.duration.split(':').map(Number);
-      return sum + min;
-    }, 0) / videos.length)}-minute videos`;
-    
-    return {
-      recommendations,
-      successFormula: successFormula.replace(', maintain', ' and maintain')
-    };
-  }
+async function runVideo(agent, target, options) {
+  const startTime = Date.now();
+  const result = await agent.analyzeVideo(target, options);
+  displayVideoReport(result);
 
-  formatNumber(num) {
-    if (num >= 1000000) {
-      return (num / 1000000).toFixed(1) + 'M';
-    } else if (num >= 1000) {
-      return (num / 1000).toFixed(1) + 'K';
-    }
-    return num.toString();
-  }
+  const formats = options.formats || DEFAULT_FORMATS;
+  console.log(`\n📝 Creating ${formats.join(', ')} report...`);
+  const filenames = (await writeVideoReports(result, reportPath(options, `youtube-video-${result.video.videoId}`), formats)).map(entry => entry.file);
 
-  displayConsoleReport(channelName, channelInfo, videos, insights, recommendations) {
-    const timestamp = new Date().toLocaleString('en-US', { 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true 
-    });
-    const subscriberCount = parseInt(channelInfo.statistics.subscriberCount).toLocaleString();
-    
-    console.log('\n' + '='.repeat(60));
-    console.log(`🎥 YouTube Channel Analysis: ${channelInfo.snippet.title}`);
-    console.log(`📊 Analyzed ${videos.length} recent videos • ${subscriberCount} subscribers`);
-    console.log(`📅 Analysis generated on ${timestamp}`);
-    console.log('='.repeat(60));
-    
-    console.log('\n🔍 KEY INSIGHTS\n');
-    
-    console.log('📈 Performance Patterns:');
-    insights.performancePatterns.forEach(pattern => {
-      console.log(`• ${pattern}`);
-    });
-    
-    console.log('\n🎯 Content Themes:');
-    insights.contentThemes.forEach(theme => {
-      console.log(`• ${theme}`);
-    });
-    
-    console.log('\n📊 Optimization Opportunities:');
-    insights.optimizationOpportunities.forEach(opportunity => {
-      console.log(`• ${opportunity}`);
-    });
-    
-    console.log('\n💡 YOUR NEXT VIDEO\n');
-    console.log('Based on your top performers, consider these title ideas:');
-    recommendations.recommendations.forEach((rec, index) => {
-      console.log(`${index + 1}. "${rec}"`);
-    });
-    
-    console.log(`\n💯 Success Formula: ${recommendations.successFormula}`);
-    
-    console.log('\n🏆 TOP 10 VIDEOS BY VIEWS\n');
-    insights.topVideos.forEach((video, index) => {
-      console.log(`${(index + 1).toString().padStart(2, ' ')}. ${video.title}`);
-      console.log(`    👀 ${this.formatNumber(video.views)} views • ⏱️ ${video.duration} • 📅 ${new Date(video.publishedAt).toLocaleDateString()}`);
-      console.log(`    🔗 ${video.url}\n`);
-    });
-  }
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  console.log(`\n✅ Analysis complete in ${duration}s! Report saved to ${filenames.join(', ')}`);
+}
 
-  async generateMarkdownReport(channelName, channelInfo, videos, insights, recommendations, filename = 'youtube-research.md') {
-    const sortedVideos = [...videos].sort((a, b) => b.views - a.views);
-    const timestamp = new Date().toLocaleString();
-    
-    let markdown = `# YouTube Channel Analysis: ${channelInfo.snippet.title}\n\n`;
-    markdown += `**Analysis Date:** ${timestamp}\n`;
-    markdown += `**Channel:** @${channelName}\n`;
-    markdown += `**Subscribers:** ${parseInt(channelInfo.statistics.subscriberCount).toLocaleString()}\n`;
-    markdown += `**Total Videos:** ${parseInt(channelInfo.statistics.videoCount).toLocaleString()}\n\n`;
-
-    markdown += `## Top Recent Videos\n\n`;
-    sortedVideos.forEach((video, index) => {
-      markdown += `### ${index + 1}. ${video.title}\n`;
-      markdown += `- **Views:** ${video.views.toLocaleString()}\n`;
-      markdown += `- **Duration:** ${video.duration}\n`;
-      markdown += `- **Link:** ${video.url}\n`;
-      markdown += `- **Published:** ${new Date(video.publishedAt).toLocaleDateString()}\n\n`;
-    });
+async function runPlaylist(agent, target, options) {
+  const startTime = Date.now();
+  const result = await agent.analyzePlaylist(target, options);
+  displayChannelReport(result);
 
-    markdown += `## Performance Patterns\n\n`;
-    insights.performancePatterns.forEach(pattern => {
-      markdown += `- ${pattern}\n`;
-    });
-    
-    markdown += `\n## Content Themes\n\n`;
-    insights.contentThemes.forEach(theme => {
-      markdown += `- ${theme}\n`;
-    });
-    
-    markdown += `\n## Optimization Opportunities\n\n`;
-    insights.optimizationOpportunities.forEach(opportunity => {
-      markdown += `- ${opportunity}\n`;
-    });
-    
-    markdown += `\n## Content Recommendations\n\n`;
-    recommendations.recommendations.forEach((rec, index) => {
-      markdown += `${index + 1}. "${rec}"\n`;
-    });
-    markdown += `\n**Success Formula:** ${recommendations.successFormula}\n`;
+  const formats = options.formats || DEFAULT_FORMATS;
+  console.log(`📝 Creating ${formats.join(', ')} report...`);
+  const filenames = (await writeChannelReports(result, reportPath(options, `youtube-playlist-${result.playlist.id}`), formats)).map(entry => entry.file);
 
-    markdown += `\n---\n*Generated by YouTube AI Agent*`;
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  console.log(`\n✅ Analysis complete in ${duration}s! Report saved to ${filenames.join(', ')}`);
+}
 
-    await fs.writeFile(filename, markdown);
-    return filename;
-  }
+async function runServe(agent, options) {
+  const port = options.port || DEFAULT_PORT;
+  const host = options.host || DEFAULT_HOST;
+  // Local transcript and thumbnail sources are chosen here, never by API callers
+  const serverOptions = Object.fromEntries(['transcripts', 'thumbnails'].filter(key => options[key]).map(key => [key, options[key]]));
+  const server = createApiServer(agent, {
+    serverOptions,
+    log: ({ method, path, status, ms }) => console.log(`🌐 ${method} ${path} → ${status} (${ms}ms)`)
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  console.log(`🌐 API server listening on http://${host}:${port} (Ctrl+C to stop)`);
+  if (process.env.YOUTUBE_API_TOKEN) console.log('🔒 Requests must send the YOUTUBE_API_TOKEN bearer token');
+
+  await new Promise(resolve => {
+    const stop = () => {
+      console.log('\n👋 Stopping the API server...');
+      server.close(resolve);
+      server.closeIdleConnections();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+  // A batch that is already running finishes first; queued ones are cancelled
+  if (server.queue.running) console.log('⏳ Waiting for the running batch job to finish...');
+  await server.queue.close();
+}
 
-  async parseChannelsFile() {
-    try {
-      const content = await fs.readFile('youtube-channels.md', 'utf-8');
-      const lines = content.split('\n');
-      const channels = [];
-      
-      for (const line of lines) {
-        // Match lines like "- @channelname - Description"
-        const match = line.match(/^\s*-\s*@?([^\s-]+)(?:\s*-\s*(.*))?$/);
-        if (match) {
-          channels.push({
-            handle: match[1],
-            description: match[2] || match[1]
-          });
-        }
-      }
-      
-      return channels;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        throw new Error(`youtube-channels.md not found. Create a file with this format:
-
-# YouTube Channels to Analyze
-
-## Tech Channels  
-- @mkbhd - Marques Brownlee
-- @PeterYangYT - Peter Yang
-
-## Educational
-- @3Blue1Brown - Grant Sanderson`);
-      }
-      throw error;
-    }
-  }
+function handleError(error) {
+  displayError(error);
+  process.exitCode = 1;
+}
 
-  async analyzeSingleChannel(channelName, isQuiet = false) {
-    if (!isQuiet) console.log(`🔍 Finding channel: @${channelName}...`);
-    const channelId = await this.getChannelId(channelName);
-    
-    if (!isQuiet) console.log('📊 Getting channel info...');
-    const channelInfo = await this.getChannelInfo(channelId);
-    const uploadsPlaylistId = channelInfo.contentDetails.relatedPlaylists.uploads;
-    
-    if (!isQuiet) console.log('📹 Fetching recent videos...');
-    const videos = await this.getChannelVideos(uploadsPlaylistId);
-    
-    if (!isQuiet) console.log('🧠 Generating insights...');
-    const insights = this.generateAdvancedInsights(videos, channelInfo);
-    
-    if (!isQuiet) console.log('💡 Creating recommendations...');
-    const recommendations = this.generateContentRecommendations(videos, insights);
-    
-    return { channelName, channelInfo, videos, insights, recommendations };
-  }
+// The config file (--config, YOUTUBE_AGENT_CONFIG or .youtube-agent.json/.yaml) under this run's options
+async function loadRunOptions(options) {
+  const project = await loadProjectConfig(options.config);
+  const merged = resolveRunOptions(project, options);
+  setDisplayLocale({ locale: merged.locale, timeZone: merged.timeZone });
+  if (project.file) console.log(`⚙️  Using ${project.file}${merged.profile ? ` (profile "${merged.profile}")` : ''}`);
+  return { project, options: merged };
+}
 
-  async batchAnalyzeChannels() {
-    const startTime = Date.now();
-    
-    try {
-      console.log('📋 Loading channels from youtube-channels.md...');
-      const channels = await this.parseChannelsFile();
-      console.log(`📊 Found ${channels.length} channels to analyze\n`);
-      
-      const results = [];
-      const errors = [];
-      
-      for (let i = 0; i < channels.length; i++) {
-        const channel = channels[i];
-        console.log(`\n[${i + 1}/${channels.length}] Analyzing @${channel.handle}...`);
-        
-        try {
-          const result = await this.analyzeSingleChannel(channel.handle, true);
-          results.push(result);
-          console.log(`✅ @${channel.handle} complete`);
-        } catch (error) {
-          console.log(`❌ @${channel.handle} failed: ${error.message}`);
-          errors.push({ channel: channel.handle, error: error.message });
-        }
-      }
-      
-      // Generate batch report
-      console.log('\n📝 Generating batch report...');
-      await this.generateBatchReport(results, errors);
-      
-      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-      console.log(`\n✅ Batch analysis complete in ${duration}s!`);
-      console.log(`📊 Successfully analyzed ${results.length}/${channels.length} channels`);
-      if (errors.length > 0) {
-        console.log(`⚠️  ${errors.length} channels failed`);
-      }
-      
-    } catch (error) {
-      console.error(`❌ Batch processing failed: ${error.message}`);
-      process.exit(1);
-    }
+// Settings that belong to the agent rather than to each analysis
+function applyRunOptions(agent, options) {
+  agent.cache.refresh = Boolean(options.refresh);
+  if (options.budget) agent.quota.budget = options.budget;
+  if (options.llm) agent.useLlm(options.llm);
+}
+
+async function main(input) {
+  let command;
+  let run;
+  try {
+    console.log('🔍 Parsing command...');
+    command = parseCommand(input);
+    run = await loadRunOptions(command.options);
+  } catch (error) {
+    handleError(error);
+    return;
   }
 
-  async generateBatchReport(results, errors) {
-    const timestamp = new Date().toLocaleString();
-    
-    let markdown = `# YouTube Batch Analysis Report\n\n`;
-    markdown += `**Analysis Date:** ${timestamp}\n`;
-    markdown += `**Channels Analyzed:** ${results.length}\n`;
-    markdown += `**Channels Failed:** ${errors.length}\n\n`;
-    
-    // Summary statistics
-    if (results.length > 0) {
-      const totalSubscribers = results.reduce((sum, r) => sum + parseInt(r.channelInfo.statistics.subscriberCount), 0);
-      const avgViews = results.reduce((sum, r) => sum + r.insights.avgViews, 0) / results.length;
-      
-      markdown += `## Summary Statistics\n\n`;
-      markdown += `- **Total Subscribers:** ${totalSubscribers.toLocaleString()}\n`;
-      markdown += `- **Average Views per Video:** ${Math.round(avgViews).toLocaleString()}\n`;
-      markdown += `- **Total Videos Analyzed:** ${results.reduce((sum, r) => sum + r.videos.length, 0)}\n\n`;
-    }
-    
-    // Individual channel reports
-    markdown += `## Channel Reports\n\n`;
-    for (const result of results) {
-      markdown += `### ${result.channelInfo.snippet.title}\n`;
-      markdown += `- **Handle:** @${result.channelName}\n`;
-      markdown += `- **Subscribers:** ${parseInt(result.channelInfo.statistics.subscriberCount).toLocaleString()}\n`;
-      markdown += `- **Avg Views:** ${Math.round(result.insights.avgViews).toLocaleString()}\n`;
-      markdown += `- **Top Video:** ${result.insights.topVideos[0].title} (${this.formatNumber(result.insights.topVideos[0].views)} views)\n\n`;
-    }
-    
-    // Errors
-    if (errors.length > 0) {
-      markdown += `## Failed Channels\n\n`;
-      for (const error of errors) {
-        markdown += `- **@${error.channel}:** ${error.error}\n`;
-      }
-      markdown += `\n`;
-    }
-    
-    markdown += `---\n*Generated by YouTube AI Agent - Batch Mode*`;
-    
-    await fs.writeFile('youtube-batch-report.md', markdown);
-    console.log('📄 Batch report saved to youtube-batch-report.md');
-    
-    // Also generate individual reports
-    for (const result of results) {
-      const filename = `youtube-${result.channelName}-report.md`;
-      await this.generateMarkdownReport(result.channelName, result.channelInfo, result.videos, result.insights, result.recommendations, filename);
-    }
-    console.log(`📁 Individual reports saved for ${results.length} channels`);
+  const agent = createAgent(run.project);
+  const { mode, target } = command;
+  const { options } = run;
+  try {
+    applyRunOptions(agent, options);
+    attachConsole(agent, mode);
+
+    if (mode === 'batch') return await runBatch(agent, options);
+    if (mode === 'watch') return await runWatch(agent, target, options);
+    if (mode === 'compare') return await runCompare(agent, target, options);
+    if (mode === 'history') return displayHistory(await agent.history(target));
+    if (mode === 'serve') return await runServe(agent, options);
+    if (mode === 'video') return await runVideo(agent, target, options);
+    if (mode === 'playlist') return await runPlaylist(agent, target, options);
+    return await runChannel(agent, target, options);
+  } catch (error) {
+    handleError(error);
+  } finally {
+    // Watch reports usage after every cycle instead
+    if (mode !== 'watch') displayQuotaUsage(await agent.saveQuota());
   }
+}
 
-  async analyzeChannel(input) {
-    const startTime = Date.now();
-    
-    try {
-      console.log('🔍 Parsing command...');
-      const channelName = this.parseCommand(input);
-      
-      // Check if batch processing mode
-      if (channelName === null) {
-        return await this.batchAnalyzeChannels();
-      }
-      
-      // Single channel analysis
-      const result = await this.analyzeSingleChannel(channelName);
-      
-      // Display console report
-      this.displayConsoleReport(result.channelName, result.channelInfo, result.videos, result.insights, result.recommendations);
-      
-      console.log('📝 Creating markdown report...');
-      const filename = await this.generateMarkdownReport(result.channelName, result.channelInfo, result.videos, result.insights, result.recommendations);
-      
-      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-      console.log(`\n✅ Analysis complete in ${duration}s! Report saved to ${filename}`);
-      
-      return filename;
-    } catch (error) {
-      await this.handleError(error);
-    }
+// "--interactive [--profile NAME] [--videos 50 ...]": the options apply to every analysis in the shell
+async function interactive(tokens) {
+  let run;
+  try {
+    const { positional, options } = parseArgs(tokens);
+    if (positional.length > 0) throw new Error(`--interactive only takes options, got "${positional.join(' ')}"`);
+    run = await loadRunOptions(options);
+  } catch (error) {
+    handleError(error);
+    return;
   }
 
-  async handleError(error, retryCount = 0) {
-    console.error(`❌ Error: ${error.message}`);
-    
-    // Check if it's a rate limit error and we haven't retried too many times
-    if (error.response?.status === 403 && retryCount < 2) {
-      console.log(`⏳ Rate limit hit, waiting ${(retryCount + 1) * 2} seconds before retry...`);
-      await new Promise(resolve => setTimeout(resolve, (retryCount + 1) * 2000));
-      return; // Let the calling function handle retry
-    }
-    
-    if (error.response?.status === 404) {
-      console.error('Channel not found. Please check the channel name and try again.');
-    } else if (error.response?.status === 403) {
-      console.error('API quota exceeded or invalid API key. Please check your YOUTUBE_API_KEY.');
-    } else if (error.code === 'ENOTFOUND') {
-      console.error('Network error. Please check your internet connection.');
-    }
-    
-    process.exit(1);
+  const agent = createAgent(run.project);
+  try {
+    applyRunOptions(agent, run.options);
+  } catch (error) {
+    handleError(error);
+    return;
   }
+  attachConsole(agent, 'channel');
+  await new InteractiveShell(agent, { defaults: run.options }).start();
+  displayQuotaUsage(await agent.saveQuota());
 }
 
-// CLI Interface
 if (process.argv.length < 3) {
-  console.log('Usage:');
-  console.log('  node index.js "/youtube @channelname"  # Analyze single channel');
-  console.log('  node index.js "/youtube"               # Batch process youtube-channels.md');
+  usage();
   process.exit(1);
 }
 
-const agent = new YouTubeAgent();
-const command = process.argv.slice(2).join(' ');
-agent.analyzeChannel(command);
\ No newline at end of file
+if (['--interactive', '-i'].includes(process.argv[2])) interactive(process.argv.slice(3));
+else main(process.argv.slice(2).join(' '));
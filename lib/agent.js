@@ -0,0 +1,1231 @@
+import { EventEmitter } from 'events';
+import { createDataSource, apiKeyLabel, apiKeyId } from './data-sources.js';
+import { ChannelResolver, parseVideoInput, parsePlaylistInput } from './channel-resolver.js';
+import { DEFAULT_MAX_VIDEOS, DEFAULT_PLAYLIST_VIDEOS, formatInterval } from './command-options.js';
+import { SnapshotStore, diffSnapshots } from './snapshot-store.js';
+import { ResponseCache, withRefresh } from './response-cache.js';
+import { QuotaLedger, estimateChannelUnits } from './quota-ledger.js';
+import { YouTubeApiError, ConfigurationError, ChannelNotFoundError, VideoNotFoundError, PlaylistNotFoundError, NoVideosError, BudgetExceededError } from './errors.js';
+import { analyzePerformance, MIN_SAMPLE } from './performance-analysis.js';
+import { analyzeSchedule, DEFAULT_TIMEZONE } from './schedule-analysis.js';
+import { analyzeTitles, tokenize } from './title-analysis.js';
+import { createLlmProvider, buildRecommendationContext } from './llm-providers.js';
+import { compareChannels, rollUpChannels } from './channel-comparison.js';
+import { loadChannelList, DEFAULT_CHANNELS_FILE } from './channel-list.js';
+import { WorkerPool, DEFAULT_CONCURRENCY } from './worker-pool.js';
+import { BatchCheckpoint, resultSettings } from './batch-checkpoint.js';
+import { detectChanges } from './watch-events.js';
+import { deliverAlerts } from './alert-sinks.js';
+import { createTranscriptSources } from './transcript-sources.js';
+import { analyzeTranscripts, describeTranscript } from './transcript-analysis.js';
+import { createThumbnailSources } from './thumbnail-sources.js';
+import { describeThumbnail, analyzeThumbnails } from './thumbnail-analysis.js';
+import { describeVideo } from './video-analysis.js';
+import { analyzeComments, DEFAULT_COMMENT_BUDGET, SAMPLE_VIDEOS, COMMENT_PAGES_PER_VIDEO } from './comment-analysis.js';
+import { formatNumber, formatInteger, formatDate, formatDateTime } from './formatting.js';
+
+const PAGE_SIZE = 50; // API maximum for playlistItems and videos lookups
+const SHORTS_MAX_SECONDS = 60;
+const SHORTS_TAGGED_MAX_SECONDS = 180; // Shorts can run to 3 minutes when tagged #shorts
+const MAX_TRANSCRIPT_FAILURES = 3;
+const MAX_THUMBNAIL_FAILURES = 3;
+export const DEFAULT_WATCH_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Resolves after `ms`, or as soon as the signal aborts
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+// Reports and filenames use the handle, so derive one when the input was a URL, ID or name
+function channelNameOf(channelInfo, resolution = {}) {
+  return resolution.handle
+    || channelInfo.snippet.customUrl?.replace(/^@/, '')
+    || channelInfo.snippet.title.replace(/\s+/g, '');
+}
+
+// The analysis pipeline. Nothing here prints or exits: methods return plain results
+// or throw (see lib/errors.js), and progress is reported as events:
+//   progress    { stage, message, target }       each step of an analysis or batch
+//   warning     { message, target }              degraded but still usable results
+//   retry       { error, attempt, delay }        a request is being retried with backoff
+//   concurrency { limit }                        the batch pool slowed down after rate limiting
+//   channel     { status, target, position, total, error }   start | done | failed | stopped, in batch, compare and watch
+//   cycle       { cycle, events, quota }         a watch cycle finished
+export class YouTubeAgent extends EventEmitter {
+  constructor({
+    apiKey = null,
+    apiKeys = [apiKey],
+    mode = 'http',
+    dataSource = null,
+    cache = new ResponseCache(),
+    quota = null,
+    snapshots = new SnapshotStore(),
+    llm
+  } = {}) {
+    super();
+    const keys = [...new Set(apiKeys.filter(Boolean))];
+    if (!dataSource && mode !== 'replay' && keys.length === 0) {
+      throw new ConfigurationError('A YouTube API key is required (or mode "replay" to run from recorded fixtures)', { setting: 'apiKey' });
+    }
+    this.apiKeyNames = keys.map(key => ({ id: apiKeyId(key), label: apiKeyLabel(key) }));
+    this.quota = quota ?? new QuotaLedger({ keyCount: Math.max(keys.length, 1) });
+    this.cache = cache;
+    this.dataSource = dataSource || createDataSource({
+      mode,
+      apiKeys: keys,
+      cache,
+      ledger: this.quota,
+      onRetry: (error, attempt, delay) => {
+        this.emit('retry', { error, attempt, delay });
+        // Back off the batch as a whole when YouTube pushes back, not just this request
+        if (['rateLimitExceeded', 'serverError'].includes(error.reason) && this.pool?.slowDown()) {
+          this.emit('concurrency', { limit: this.pool.limit });
+        }
+      },
+      onKeyExhausted: ({ key, next, position, total }) => {
+        this.emit('warning', {
+          message: next
+            ? `API key ${key} hit its daily quota - switching to ${next} (${position} of ${total})`
+            : `API key ${key} hit its daily quota - all ${total} keys are used up for today`
+        });
+      }
+    });
+    this.resolver = new ChannelResolver(this.dataSource);
+    this.snapshots = snapshots;
+    this.pool = null;
+    this.quotaLoaded = null;
+    // undefined means "from LLM_PROVIDER"; pass null for templates only
+    if (llm === undefined) {
+      this.useLlm();
+    } else {
+      this.llm = llm;
+    }
+  }
+
+  useLlm(provider) {
+    try {
+      this.llm = createLlmProvider(provider ? { provider } : {});
+    } catch (error) {
+      const setting = provider ? 'llm' : 'LLM_PROVIDER';
+      throw new ConfigurationError(provider ? error.message : `${error.message} in LLM_PROVIDER`, { setting, cause: error });
+    }
+  }
+
+  // The day's usage so far is read once per quota day, before its first request;
+  // watch and serve outlive a day, so they read it again after midnight Pacific Time
+  loadQuota() {
+    this.quota.rollOver();
+    if (this.quotaLoadedDay !== this.quota.day) {
+      this.quotaLoadedDay = this.quota.day;
+      this.quotaLoaded = this.quota.load();
+    }
+    return this.quotaLoaded;
+  }
+
+  quotaUsage() {
+    return {
+      runUnits: this.quota.runUnits,
+      usedToday: this.quota.usedToday,
+      budget: this.quota.budget,
+      remaining: this.quota.remaining,
+      keys: this.apiKeyNames.map(({ id, label }) => ({ ...this.quota.keyUsage(id), key: label })),
+      cachedResponses: this.cache.hits
+    };
+  }
+
+  async saveQuota() {
+    try {
+      await this.loadQuota();
+      await this.quota.save();
+    } catch (error) {
+      this.emit('warning', { message: `Could not save quota ledger: ${error.message}` });
+    }
+    return this.quotaUsage();
+  }
+
+  async resolveChannel(target) {
+    try {
+      return await this.resolver.resolve(target);
+    } catch (error) {
+      if (error instanceof YouTubeApiError) throw error;
+      throw new ChannelNotFoundError(`Failed to find channel: ${error.message}`, { target, candidates: error.candidates ?? null, cause: error });
+    }
+  }
+
+  async getChannelInfo(channelId) {
+    try {
+      const data = await this.dataSource.get('channels', {
+        id: channelId,
+        part: 'snippet,contentDetails,statistics'
+      });
+
+      if (data.items.length === 0) {
+        throw new ChannelNotFoundError(`Channel ${channelId} not found`, { target: channelId });
+      }
+
+      return data.items[0];
+    } catch (error) {
+      if (error instanceof YouTubeApiError || error instanceof ChannelNotFoundError) throw error;
+      throw new Error(`Failed to get channel info: ${error.message}`);
+    }
+  }
+
+  async getPlaylistInfo(playlistId) {
+    const data = await this.dataSource.get('playlists', { id: playlistId, part: 'snippet,contentDetails' });
+    const item = data.items?.[0];
+    if (!item) {
+      throw new PlaylistNotFoundError(`Playlist "${playlistId}" not found (it may be private or deleted)`, { target: playlistId });
+    }
+    return {
+      id: item.id,
+      title: item.snippet.title,
+      channelId: item.snippet.channelId,
+      channelTitle: item.snippet.channelTitle,
+      itemCount: item.contentDetails.itemCount,
+      url: `https://youtube.com/playlist?list=${item.id}`
+    };
+  }
+
+  // The category's display name; a failed lookup only costs the label
+  async getCategoryTitle(categoryId, warn) {
+    if (!categoryId) return null;
+    try {
+      const data = await this.dataSource.get('videoCategories', { id: categoryId, part: 'snippet' });
+      return data.items?.[0]?.snippet.title ?? null;
+    } catch (error) {
+      if (error instanceof YouTubeApiError && error.stopsBatch) throw error;
+      warn(`Could not look up category ${categoryId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async getChannelVideos(uploadsPlaylistId, options = {}) {
+    // A date window without an explicit count means "every upload in the window"
+    const maxVideos = options.maxVideos ?? (options.since ? Infinity : DEFAULT_MAX_VIDEOS);
+    return this.getPlaylistVideos(uploadsPlaylistId, { ...options, maxVideos }, { newestFirst: true });
+  }
+
+  // Videos of any playlist in playlist order. Only a newest-first playlist (the uploads)
+  // can stop at --since; any other has to be read to the end or to maxVideos.
+  async getPlaylistVideos(playlistId, options = {}, { newestFirst = false } = {}) {
+    const { since, until, exclude = [], only = [] } = options;
+    const maxVideos = options.maxVideos ?? DEFAULT_PLAYLIST_VIDEOS;
+    const videos = [];
+    let pageToken;
+    let reachedWindowStart = false;
+
+    try {
+      do {
+        const playlistData = await this.dataSource.get('playlistItems', {
+          playlistId,
+          part: 'snippet,contentDetails',
+          maxResults: PAGE_SIZE,
+          ...(pageToken && { pageToken })
+        });
+        pageToken = playlistData.nextPageToken;
+
+        // In a newest-first playlist anything older than --since ends the scan
+        const videoIds = [];
+        for (const item of playlistData.items) {
+          const publishedAt = new Date(item.contentDetails?.videoPublishedAt || item.snippet.publishedAt);
+          if (until && publishedAt > until) continue;
+          if (since && publishedAt < since) {
+            reachedWindowStart = newestFirst;
+            continue;
+          }
+          videoIds.push(item.snippet.resourceId.videoId);
+        }
+
+        const pageVideos = (await this.getVideoDetails(videoIds))
+          .filter(video => video.views > 0) // Filter out videos with no view data
+          .filter(video => !exclude.includes(video.kind))
+          .filter(video => only.length === 0 || only.includes(video.kind));
+        videos.push(...pageVideos.slice(0, maxVideos - videos.length));
+      } while (pageToken && videos.length < maxVideos && !reachedWindowStart);
+
+      return { videos, incomplete: null };
+    } catch (error) {
+      // Degrade to what was already fetched rather than losing the whole channel
+      if (error instanceof YouTubeApiError && videos.length > 0) {
+        return { videos, incomplete: error };
+      }
+      if (error instanceof YouTubeApiError) throw error;
+      throw new Error(`Failed to get ${newestFirst ? 'channel' : 'playlist'} videos: ${error.message}`);
+    }
+  }
+
+  async getVideoDetails(videoIds) {
+    const videos = [];
+
+    // Get video statistics and content details (including duration) in chunks of 50
+    for (let i = 0; i < videoIds.length; i += PAGE_SIZE) {
+      const videoStatsData = await this.dataSource.get('videos', {
+        id: videoIds.slice(i, i + PAGE_SIZE).join(','),
+        part: 'statistics,snippet,contentDetails,liveStreamingDetails'
+      });
+
+      videos.push(...videoStatsData.items.map(video => this.toVideo(video)));
+    }
+
+    return videos;
+  }
+
+  // The fields every report works with, from a videos.list item
+  toVideo(video) {
+    const durationSeconds = this.parseDurationSeconds(video.contentDetails.duration);
+    return {
+      title: video.snippet.title,
+      videoId: video.id,
+      url: `https://youtube.com/watch?v=${video.id}`,
+      views: parseInt(video.statistics.viewCount) || 0,
+      likes: parseInt(video.statistics.likeCount) || 0,
+      // Comments can be disabled, in which case the count is missing rather than 0
+      comments: video.statistics.commentCount === undefined ? null : parseInt(video.statistics.commentCount) || 0,
+      publishedAt: video.snippet.publishedAt,
+      duration: this.parseDuration(video.contentDetails.duration),
+      durationSeconds,
+      kind: this.classifyVideo(video, durationSeconds),
+      thumbnail: video.snippet.thumbnails.medium?.url
+    };
+  }
+
+  // Top-level comments on the best and worst performers, a few pages each, until the
+  // budget (in commentThreads pages, 1 unit each) runs out
+  async getAudienceComments(videos, budget = DEFAULT_COMMENT_BUDGET) {
+    const sampleSize = Math.min(SAMPLE_VIDEOS, Math.floor(videos.length / 2));
+    // Videos with comments disabled report no count, and empty ones have nothing to read
+    const sorted = [...videos].filter(video => video.comments).sort((a, b) => b.views - a.views);
+    const top = sorted.slice(0, sampleSize);
+    const bottom = sorted.slice(sampleSize).slice(-sampleSize).reverse();
+    // Alternate top and bottom so a small budget still covers both ends
+    const queue = top.flatMap((video, index) => [video, bottom[index]]).filter(Boolean);
+
+    const comments = [];
+    const skipped = [];
+    let unitsUsed = 0;
+    for (const video of queue) {
+      let pageToken;
+      let pages = 0;
+      do {
+        if (unitsUsed >= budget) break;
+        try {
+          const data = await this.dataSource.get('commentThreads', {
+            videoId: video.videoId,
+            part: 'snippet',
+            order: 'relevance',
+            textFormat: 'plainText',
+            maxResults: 100,
+            ...(pageToken && { pageToken })
+          });
+          unitsUsed++;
+          pages++;
+          pageToken = data.nextPageToken;
+          comments.push(...data.items.map(thread => ({
+            videoId: video.videoId,
+            text: thread.snippet.topLevelComment.snippet.textOriginal ?? thread.snippet.topLevelComment.snippet.textDisplay,
+            likes: thread.snippet.topLevelComment.snippet.likeCount || 0,
+            replies: thread.snippet.totalReplyCount || 0
+          })));
+        } catch (error) {
+          if (error instanceof YouTubeApiError && error.stopsBatch) throw error;
+          unitsUsed++;
+          skipped.push({ videoId: video.videoId, reason: error.reason || error.message });
+          break;
+        }
+      } while (pageToken && pages < COMMENT_PAGES_PER_VIDEO);
+    }
+
+    return {
+      comments,
+      groups: { top: top.map(video => video.videoId), bottom: bottom.map(video => video.videoId) },
+      unitsUsed,
+      skipped
+    };
+  }
+
+  // Transcripts for the analyzed videos from the first source that has one. Sources that
+  // keep failing (say, no network for caption tracks) are dropped for the rest of the run
+  async getTranscripts(videos, options = {}) {
+    const sources = createTranscriptSources(options.transcripts, { refresh: options.refresh });
+    const failures = new Map(sources.map(source => [source, 0]));
+    const transcripts = new Map();
+    let lastError = null;
+
+    for (const video of videos) {
+      for (const source of sources) {
+        if (failures.get(source) >= MAX_TRANSCRIPT_FAILURES) continue;
+        try {
+          const transcript = await source.fetch(video.videoId);
+          if (transcript) {
+            transcripts.set(video.videoId, { ...transcript, source: source.name });
+            break;
+          }
+        } catch (error) {
+          failures.set(source, failures.get(source) + 1);
+          lastError = error;
+        }
+      }
+    }
+
+    const dropped = sources.filter(source => failures.get(source) >= MAX_TRANSCRIPT_FAILURES).map(source => source.name);
+    return { transcripts, dropped, lastError };
+  }
+
+  // Visual features of each analyzed video's thumbnail, sourced like transcripts. An image
+  // that won't decode only loses that video; a failing source is dropped after a few tries
+  async getThumbnails(videos, options = {}) {
+    const sources = createThumbnailSources(options.thumbnails, { refresh: options.refresh });
+    const failures = new Map(sources.map(source => [source, 0]));
+    const thumbnails = new Map();
+    const unreadable = [];
+    let lastError = null;
+
+    for (const video of videos) {
+      for (const source of sources) {
+        if (failures.get(source) >= MAX_THUMBNAIL_FAILURES) continue;
+        let image;
+        try {
+          image = await source.fetch(video);
+        } catch (error) {
+          failures.set(source, failures.get(source) + 1);
+          lastError = error;
+          continue;
+        }
+        if (!image) continue;
+        try {
+          thumbnails.set(video.videoId, { ...describeThumbnail(image), source: source.name });
+        } catch (error) {
+          unreadable.push({ videoId: video.videoId, reason: error.message });
+        }
+        break;
+      }
+    }
+
+    const dropped = sources.filter(source => failures.get(source) >= MAX_THUMBNAIL_FAILURES).map(source => source.name);
+    return { thumbnails, dropped, unreadable, lastError };
+  }
+
+  classifyVideo(video, durationSeconds) {
+    const live = video.liveStreamingDetails;
+    if (live) {
+      // Premieres also carry liveStreamingDetails, but their broadcast window is the
+      // finished video plus a countdown (1-5 min), while a stream VOD is the broadcast itself
+      const windowSeconds = (Date.parse(live.actualEndTime) - Date.parse(live.actualStartTime)) / 1000;
+      const countdown = windowSeconds - durationSeconds;
+      return countdown >= 60 && countdown <= 300 ? 'premiere' : 'live';
+    }
+
+    const text = `${video.snippet.title} ${video.snippet.description || ''}`.toLowerCase();
+    if (durationSeconds > 0 && (durationSeconds <= SHORTS_MAX_SECONDS
+      || (durationSeconds <= SHORTS_TAGGED_MAX_SECONDS && text.includes('#shorts')))) {
+      return 'short';
+    }
+    return 'video';
+  }
+
+  parseDurationSeconds(isoDuration) {
+    // Parse ISO 8601 duration (P#DT#H#M#S) to seconds; long streams can include days
+    const match = isoDuration?.match(/P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?/);
+    if (!match) return 0;
+    const [days, hours, minutes, seconds] = match.slice(1).map(part => parseInt(part) || 0);
+    return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+  }
+
+  parseDuration(isoDuration) {
+    // Parse ISO 8601 duration (PT#H#M#S) to MM:SS format
+    const match = isoDuration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
+    if (!match) return '0:00';
+    
+    const hours = parseInt(match[1]) || 0;
+    const minutes = parseInt(match[2]) || 0;
+    const seconds = parseInt(match[3]) || 0;
+    
+    const totalMinutes = hours * 60 + minutes;
+    const formattedSeconds = seconds.toString().padStart(2, '0');
+    
+    return `${totalMinutes}:${formattedSeconds}`;
+  }
+
+  generateAdvancedInsights(videos, channelInfo, options = {}, transcripts = null, thumbnails = null) {
+    const sortedByViews = [...videos].sort((a, b) => b.views - a.views);
+    const topVideos = sortedByViews.slice(0, 10);
+    const avgViews = Math.round(videos.reduce((sum, v) => sum + v.views, 0) / videos.length);
+    const performance = analyzePerformance(videos);
+    const { views, outliers, engagement, bestDurationBucket } = performance;
+    const percentDiff = (value, baseline) => {
+      const diff = Math.round(((value / baseline) - 1) * 100);
+      return `${diff >= 0 ? '+' : ''}${diff}%`;
+    };
+    
+    // Analyze titles for patterns: n-gram terms scored by lift, plus structural features
+    const titles = analyzeTitles(videos);
+    const commonWords = titles.terms.slice(0, 8).map(term => term.term);
+
+    // Performance patterns - each one cites its numbers, and is skipped when the sample is too small
+    const performancePatterns = [];
+    if (!performance.reliable) {
+      performancePatterns.push(`Only ${videos.length} videos analyzed - at least ${MIN_SAMPLE} are needed for reliable patterns`);
+    } else {
+      performancePatterns.push(`Median video gets ${formatNumber(views.median)} views; middle half ranges ${formatNumber(views.p25)}-${formatNumber(views.p75)} and the top 10% pass ${formatNumber(views.p90)} (n=${videos.length})`);
+
+      if (outliers.high.length > 0) {
+        performancePatterns.push(`${outliers.high.length} breakout video${outliers.high.length > 1 ? 's' : ''} above ${formatNumber(outliers.upperFence)} views (IQR outliers), led by "${outliers.high[0].title.substring(0, 50)}" at ${formatNumber(outliers.high[0].views)} (${percentDiff(outliers.high[0].views, views.median)} vs median)`);
+      }
+
+      if (bestDurationBucket) {
+        performancePatterns.push(`${bestDurationBucket.label} videos get a median ${formatNumber(bestDurationBucket.medianViews)} views (n=${bestDurationBucket.count}), ${percentDiff(bestDurationBucket.medianViews, views.median)} vs the ${formatNumber(views.median)} overall median`);
+      }
+
+      if (engagement.count >= MIN_SAMPLE) {
+        let line = `Median like rate ${(engagement.medianLikeRate * 100).toFixed(2)}% of views`;
+        if (engagement.commentSample >= MIN_SAMPLE) {
+          line += `, comment rate ${(engagement.medianCommentRate * 100).toFixed(2)}%`;
+        }
+        performancePatterns.push(`${line} (n=${engagement.count})`);
+      }
+    }
+    
+    // Publishing schedule, compared on views per day since publish so new uploads aren't penalized
+    const schedule = analyzeSchedule(videos, { timeZone: options.timeZone || DEFAULT_TIMEZONE });
+    const schedulePatterns = [];
+    const { bestWeekday, bestTimeBlock, cadence } = schedule;
+    const perDay = value => `${formatNumber(value)} views/day`;
+    if (bestWeekday) {
+      schedulePatterns.push(`${bestWeekday.label} uploads get a median ${perDay(bestWeekday.medianViewsPerDay)} (n=${bestWeekday.count}), ${percentDiff(bestWeekday.medianViewsPerDay, schedule.medianViewsPerDay)} vs the ${perDay(schedule.medianViewsPerDay)} channel median (${schedule.timeZone})`);
+    }
+    if (bestTimeBlock) {
+      schedulePatterns.push(`Uploads in the ${bestTimeBlock.label} get a median ${perDay(bestTimeBlock.medianViewsPerDay)} (n=${bestTimeBlock.count}), ${percentDiff(bestTimeBlock.medianViewsPerDay, schedule.medianViewsPerDay)} vs median`);
+    }
+    if (cadence) {
+      const gapDate = timestamp => formatDate(timestamp, { timeZone: schedule.timeZone, month: 'short', day: 'numeric', year: 'numeric' });
+      schedulePatterns.push(`Uploads every ${cadence.medianGapDays} days on median (${cadence.uploadsPerWeek}/week over ${cadence.spanDays} days, n=${cadence.uploads}); longest gap ${cadence.longestGap.days} days (${gapDate(cadence.longestGap.from)} - ${gapDate(cadence.longestGap.to)})`);
+      if (cadence.uploads >= MIN_SAMPLE) {
+        let line = `Schedule is ${cadence.consistency} (gap variation ${cadence.gapVariation})`;
+        if (cadence.trend !== null && Math.abs(cadence.trend) >= 20) {
+          line += `; upload rate ${cadence.trend > 0 ? 'up' : 'down'} ${Math.abs(cadence.trend)}% in the newer half of the window`;
+        }
+        schedulePatterns.push(line);
+      }
+    }
+    if (schedule.recentUploads > 0) {
+      schedulePatterns.push(`${schedule.recentUploads} upload${schedule.recentUploads > 1 ? 's' : ''} in the last 30 days`);
+    }
+
+    // Content themes
+    const contentThemes = [];
+    const describeTerm = term => `"${term.term}" ${term.lift.toFixed(1)}x (n=${term.count})`;
+    if (titles.terms.length > 0) {
+      contentThemes.push(`Recurring title terms: ${titles.terms.slice(0, 5).map(term => `"${term.term}" (n=${term.count})`).join(', ')}`);
+    }
+    
+    // High-performing keywords: average views with the term vs without it
+    if (titles.topTerms.length > 0) {
+      contentThemes.push(`High-performing keywords by lift: ${titles.topTerms.slice(0, 5).map(describeTerm).join(', ')}`);
+    }
+    
+    titles.notableFeatures.forEach(feature => {
+      contentThemes.push(`Titles with ${feature.label} average ${feature.lift.toFixed(1)}x the views of those without (n=${feature.count} vs ${feature.countWithout})`);
+    });
+    
+    if (titles.lengthCorrelation !== null && Math.abs(titles.lengthCorrelation) >= 0.3) {
+      contentThemes.push(`${titles.lengthCorrelation > 0 ? 'Longer' : 'Shorter'} titles tend to get more views (Spearman ${titles.lengthCorrelation}, average ${titles.averageLength} characters)`);
+    }
+
+    // What the videos actually say, when transcripts were ingested (--transcripts)
+    const spoken = transcripts ? analyzeTranscripts(videos, transcripts) : null;
+    if (spoken) {
+      const sources = Object.entries(spoken.sources).map(([source, count]) => `${count} ${source}`).join(', ');
+      contentThemes.push(`Transcripts found for ${spoken.videosWithTranscripts} of ${videos.length} videos${sources ? ` (${sources})` : ''}`);
+      if (spoken.topics.length > 0) {
+        contentThemes.push(`Most-discussed topics: ${spoken.topics.slice(0, 5).map(topic => `"${topic.term}" (n=${topic.count})`).join(', ')}`);
+      }
+      if (spoken.topTopics.length > 0) {
+        contentThemes.push(`Spoken topics in high performers by lift: ${spoken.topTopics.slice(0, 5).map(describeTerm).join(', ')}`);
+      }
+    }
+    if (spoken && spoken.videosWithTranscripts >= MIN_SAMPLE) {
+      const { hook, pace, segments } = spoken;
+      const trend = (metric, more, fewer) => (metric.correlation !== null && Math.abs(metric.correlation) >= 0.3
+        ? `; ${metric.correlation > 0 ? more : fewer} tends to get more views (Spearman ${metric.correlation})`
+        : '');
+      if (hook) {
+        performancePatterns.push(`Hook: the top half by views gets to the point in a median ${hook.topHalfMedian}s vs ${hook.bottomHalfMedian}s for the bottom half${trend(hook, 'a longer intro', 'a faster start')}`);
+      }
+      if (pace) {
+        performancePatterns.push(`Speaking pace: median ${pace.median} words/min (top half ${pace.topHalfMedian}, bottom half ${pace.bottomHalfMedian})${trend(pace, 'faster delivery', 'slower delivery')}`);
+      }
+      if (segments) {
+        performancePatterns.push(`Structure: a median ${segments.median} segments per video (top half ${segments.topHalfMedian}, bottom half ${segments.bottomHalfMedian})${trend(segments, 'more sections', 'fewer sections')}`);
+      }
+    }
+
+    // How the thumbnails look, when they were analyzed (--thumbnails)
+    const visual = thumbnails ? analyzeThumbnails(videos, thumbnails) : null;
+    if (visual) {
+      contentThemes.push(`Thumbnails analyzed for ${visual.videosWithThumbnails} of ${videos.length} videos`);
+    }
+    if (visual && visual.videosWithThumbnails >= MIN_SAMPLE) {
+      const shareOf = name => `${Math.round((visual.styles.find(style => style.style === name)?.count ?? 0) / visual.videosWithThumbnails * 100)}%`;
+      contentThemes.push(`Typical thumbnail: brightness ${visual.brightness.median}, contrast ${visual.contrast.median}, colorfulness ${visual.colorfulness.median}; a face on ${shareOf('face')}, text on ${shareOf('text')}`);
+      if (visual.topStyles.length > 0) {
+        const shares = visual.topStyles.slice(0, 3).map(style => `${style.label} (${Math.round(style.topShare * 100)}% vs ${Math.round(style.restShare * 100)}% of the rest)`);
+        performancePatterns.push(`Thumbnails of the top ${visual.topPerformers} videos by views share ${shares.join(', ')}`);
+      }
+      const trends = [
+        ['brightness', 'Brighter thumbnails', 'Darker thumbnails', 'brightness'],
+        ['contrast', 'Higher-contrast thumbnails', 'Lower-contrast thumbnails', 'contrast'],
+        ['colorfulness', 'More colorful thumbnails', 'More muted thumbnails', 'colorfulness'],
+        ['textArea', 'Thumbnails with more text', 'Thumbnails with less text', '% text'],
+        ['faceArea', 'Thumbnails with larger faces', 'Thumbnails with smaller or no faces', '% face']
+      ];
+      trends.forEach(([metric, more, fewer, label]) => {
+        const { correlation, topHalfMedian, bottomHalfMedian } = visual[metric];
+        if (correlation === null || Math.abs(correlation) < 0.3) return;
+        performancePatterns.push(`${correlation > 0 ? more : fewer} tend to get more views (Spearman ${correlation}; median ${label} ${topHalfMedian} in the top half vs ${bottomHalfMedian})`);
+      });
+    }
+
+    // Optimization opportunities
+    const optimizationOpportunities = [];
+    
+    if (outliers.high.length > 0) {
+      optimizationOpportunities.push(`Consider replicating elements from your top outlier (${outliers.high[0].title.substring(0, 50)}...), which drew ${(outliers.high[0].views / views.median).toFixed(1)}x the median views`);
+    }
+    
+    if (outliers.low.length > 0) {
+      optimizationOpportunities.push(`${outliers.low.length} video${outliers.low.length > 1 ? 's' : ''} fell below ${formatNumber(outliers.lowerFence)} views (IQR outliers, median ${formatNumber(views.median)}) - compare them against your breakouts`);
+    }
+    
+    if (titles.weakTerms.length > 0) {
+      optimizationOpportunities.push(`Underperforming title terms: ${titles.weakTerms.slice(0, 3).map(describeTerm).join(', ')} - test alternatives`);
+    }
+    
+    if (spoken?.weakTopics.length > 0) {
+      optimizationOpportunities.push(`Spoken topics in weaker videos: ${spoken.weakTopics.slice(0, 3).map(describeTerm).join(', ')} - lead with something else`);
+    }
+    if (spoken?.hook?.correlation <= -0.3) {
+      optimizationOpportunities.push(`Longer intros go with fewer views - aim to reach the substance within ${spoken.hook.topHalfMedian}s like your top half`);
+    }
+    if (visual?.weakStyles.length > 0) {
+      optimizationOpportunities.push(`Thumbnails with ${visual.weakStyles.map(style => `${style.label} (${style.lift.toFixed(1)}x, n=${style.count})`).join(', ')} draw fewer views than the rest - test alternatives`);
+    }
+    
+    const titleTokens = new Set(videos.flatMap(v => tokenize(v.title)));
+    if (commonWords.includes('tutorial') || titleTokens.has('tutorial') || titleTokens.has('how')) {
+      optimizationOpportunities.push(`Tutorial content detected - ensure clear value proposition in titles`);
+    }
+
+    return {
+      performancePatterns,
+      schedulePatterns,
+      contentThemes,
+      optimizationOpportunities,
+      avgViews,
+      medianViews: views.median,
+      performance,
+      schedule,
+      titles,
+      ...(spoken && { transcripts: spoken }),
+      ...(visual && { thumbnails: visual }),
+      topVideos
+    };
+  }
+
+  // Title ideas come from the configured LLM when there is one; any failure or
+  // malformed reply falls back to the built-in templates
+  async generateContentRecommendations(videos, insights, channelInfo, target = null) {
+    if (this.llm) {
+      try {
+        const context = buildRecommendationContext(channelInfo, videos, insights);
+        const result = await this.llm.generateRecommendations(context);
+        return { ...result, source: this.llm.name };
+      } catch (error) {
+        this.emit('warning', { message: `LLM recommendations failed (${error.message}) - using templates instead`, target });
+      }
+    }
+    return this.generateTemplateRecommendations(videos, insights);
+  }
+
+  generateTemplateRecommendations(videos, insights) {
+    const { topVideos, contentThemes } = insights;
+    const recommendations = [];
+    
+    // Extract successful patterns from top videos
+    const topTitles = topVideos.slice(0, 5).map(v => v.title);
+    const patterns = [];
+    
+    // Look for common structures
+    if (topTitles.some(t => t.includes(' vs ') || t.includes(' VS '))) {
+      patterns.push('comparison');
+    }
+    if (topTitles.some(t => t.toLowerCase().includes('review'))) {
+      patterns.push('review');
+    }
+    if (topTitles.some(t => t.toLowerCase().includes('first') || t.toLowerCase().includes('new'))) {
+      patterns.push('first-look');
+    }
+    if (topTitles.some(t => t.includes('!')  || t.includes('?'))) {
+      patterns.push('engaging-punctuation');
+    }
+    
+    // Generate recommendations based on patterns
+    const titleTemplates = {
+      comparison: [
+        '[Popular Topic A] vs [Popular Topic B]: The Real Winner',
+        'I Tried [Topic A] and [Topic B] for 30 Days - Here\'s What Happened',
+        `[Topic A] vs [Topic B]: Which Should You Choose in ${new Date().getFullYear()}?`
+      ],
+      review: [
+        '[New Product/Service]: Everything You Need to Know',
+        'I Used [Product] for [Time Period] - Honest Review', 
+        '[Product] Review: Worth the Hype?'
+      ],
+      'first-look': [
+        'First Look: [Trending Topic] Changes Everything',
+        'I Got Early Access to [New Thing] - Here\'s My Take',
+        '[New Release]: First Impressions After 24 Hours'
+      ]
+    };
+    
+    // Select templates based on detected patterns
+    patterns.forEach(pattern => {
+      if (titleTemplates[pattern] && recommendations.length < 3) {
+        recommendations.push(titleTemplates[pattern][0]);
+      }
+    });
+    
+    // Fill remaining slots with generic successful patterns
+    while (recommendations.length < 3) {
+      const generic = [
+        'Why Everyone is Talking About [Trending Topic]',
+        'The Truth About [Popular Subject] No One Tells You',
+        'I Spent [Time Period] Testing [Topic] - Results Will Surprise You'
+      ];
+      recommendations.push(generic[recommendations.length]);
+    }
+
+    // Transcripts know what the best videos were about, so fill the topic slot from them
+    const spokenTopics = insights.transcripts?.topTopics ?? [];
+    if (spokenTopics.length > 0) {
+      const titleCase = term => term.replace(/\b\p{L}/gu, letter => letter.toUpperCase());
+      recommendations.forEach((rec, index) => {
+        recommendations[index] = rec.replace(/\[[^\]]*(?:Topic|Subject|Thing|Product)[^\]]*\]/, titleCase(spokenTopics[index % spokenTopics.length].term));
+      });
+    }
+    
+    // Generate success formula
+    let successFormula = 'Focus on ';
+    if (patterns.includes('comparison')) successFormula += 'comparison content, ';
+    if (patterns.includes('review')) successFormula += 'honest reviews, ';
+    if (patterns.includes('first-look')) successFormula += 'trending/new topics, ';
+    
+    // Recommend a length only when the duration buckets actually showed a winner
+    const bestBucket = insights.performance?.bestDurationBucket;
+    if (spokenTopics.length > 0) successFormula += `talking about ${spokenTopics.slice(0, 2).map(topic => topic.term).join(' and ')}, `;
+    successFormula += bestBucket
+      ? `maintain ${bestBucket.label} videos (median ${formatNumber(bestBucket.medianViews)} views, n=${bestBucket.count})`
+      : `maintain a consistent video length`;
+    const thumbnailStyles = insights.thumbnails?.topStyles ?? [];
+    if (thumbnailStyles.length > 0) {
+      successFormula += `, with thumbnails showing ${thumbnailStyles.slice(0, 2).map(style => style.label).join(' and ')}`;
+    }
+    const hook = insights.transcripts?.hook;
+    if (hook?.topHalfMedian !== null && hook?.topHalfMedian !== undefined) {
+      successFormula += `, and get to the point within ~${Math.ceil(hook.topHalfMedian)}s`;
+    }
+    
+    return {
+      recommendations,
+      successFormula: successFormula.replace(', maintain', ' and maintain'),
+      source: 'templates'
+    };
+  }
+
+  // The shared second half of a channel or playlist analysis: transcripts, thumbnails,
+  // insights, optional comments and recommendations for videos already fetched
+  async analyzeVideos(videos, channelInfo, target, options, { progress, warn }) {
+    let transcripts = null;
+    if (options.transcripts) {
+      progress('transcripts', 'Loading transcripts...');
+      const loaded = await this.getTranscripts(videos, options);
+      transcripts = loaded.transcripts;
+      if (loaded.dropped.length > 0) {
+        warn(`Stopped reading ${loaded.dropped.join(' and ')} transcripts after repeated failures (${loaded.lastError.message})`);
+      }
+    }
+
+    let thumbnails = null;
+    if (options.thumbnails) {
+      progress('thumbnails', 'Analyzing thumbnails...');
+      const loaded = await this.getThumbnails(videos, options);
+      thumbnails = loaded.thumbnails;
+      if (loaded.dropped.length > 0) {
+        warn(`Stopped reading ${loaded.dropped.join(' and ')} thumbnails after repeated failures (${loaded.lastError.message})`);
+      }
+      if (loaded.unreadable.length > 0) {
+        warn(`${loaded.unreadable.length} thumbnail${loaded.unreadable.length > 1 ? 's' : ''} could not be decoded and ${loaded.unreadable.length > 1 ? 'were' : 'was'} skipped (${loaded.unreadable[0].reason})`);
+      }
+    }
+
+    progress('insights', 'Generating insights...');
+    const insights = this.generateAdvancedInsights(videos, channelInfo, options, transcripts, thumbnails);
+
+    // Opt-in: reading comments costs extra quota on every run
+    if (options.comments || options.commentBudget) {
+      progress('comments', 'Reading audience comments...');
+      try {
+        const { comments, groups, unitsUsed, skipped } = await this.getAudienceComments(videos, options.commentBudget);
+        insights.audience = analyzeComments(comments, groups, { unitsUsed, skipped });
+      } catch (error) {
+        // The videos are already in hand, so a quota or key failure here only costs this section
+        warn(`Comment analysis skipped: ${error.message}`);
+      }
+    }
+
+    progress('recommendations', 'Creating recommendations...');
+    const recommendations = await this.generateContentRecommendations(videos, insights, channelInfo, target);
+
+    return { insights, recommendations };
+  }
+
+  // Full analysis of one channel: { channelName, channelInfo, videos, insights, recommendations, resolution, options, warnings, snapshot }
+  // where snapshot is the one recorded for this run, or null when it couldn't be saved
+  async analyzeChannel(target, options = {}) {
+    await this.loadQuota();
+    const progress = (stage, message) => this.emit('progress', { stage, message, target });
+    const warnings = [];
+    const warn = message => {
+      warnings.push(message);
+      this.emit('warning', { message, target });
+    };
+
+    progress('resolve', `Resolving channel: ${target}...`);
+    const resolution = await this.resolveChannel(target);
+    progress('resolved', `Resolved via ${resolution.method} → ${resolution.channelId}`);
+    
+    progress('channel', 'Getting channel info...');
+    const channelInfo = await this.getChannelInfo(resolution.channelId);
+    const channelName = channelNameOf(channelInfo, resolution);
+    const uploadsPlaylistId = channelInfo.contentDetails.relatedPlaylists.uploads;
+    
+    progress('videos', 'Fetching recent videos...');
+    const { videos, incomplete } = await this.getChannelVideos(uploadsPlaylistId, options);
+    if (videos.length === 0) {
+      throw new NoVideosError('No videos with view data matched the selected window', { channelId: resolution.channelId });
+    }
+    if (incomplete) {
+      warn(`Partial results: only ${videos.length} videos were fetched before the request failed (${incomplete.message})`);
+    }
+
+    // Keep a timestamped snapshot so `/youtube history` can show growth between runs
+    let snapshot = null;
+    try {
+      snapshot = await this.snapshots.record({ channelName, channelInfo, videos });
+    } catch (error) {
+      this.emit('warning', { message: `Could not save snapshot: ${error.message}`, target });
+    }
+    
+    const { insights, recommendations } = await this.analyzeVideos(videos, channelInfo, target, options, { progress, warn });
+
+    return { channelName, channelInfo, videos, insights, recommendations, resolution, options, warnings, snapshot };
+  }
+
+  // The channel pipeline over any playlist (a series, a course) instead of the latest uploads.
+  // Same shape as analyzeChannel plus playlist: { id, title, channelTitle, itemCount, url }.
+  // No snapshot is kept: history follows uploads, not playlists.
+  async analyzePlaylist(target, options = {}) {
+    await this.loadQuota();
+    const progress = (stage, message) => this.emit('progress', { stage, message, target });
+    const warnings = [];
+    const warn = message => {
+      warnings.push(message);
+      this.emit('warning', { message, target });
+    };
+
+    let playlistId;
+    try {
+      playlistId = parsePlaylistInput(target);
+    } catch (error) {
+      throw new PlaylistNotFoundError(error.message, { target });
+    }
+
+    progress('playlist', `Looking up playlist: ${playlistId}...`);
+    const playlist = await this.getPlaylistInfo(playlistId);
+    progress('channel', `Getting channel info for ${playlist.channelTitle}...`);
+    const channelInfo = await this.getChannelInfo(playlist.channelId);
+
+    progress('videos', `Fetching playlist videos (${playlist.itemCount} in "${playlist.title}")...`);
+    const maxVideos = options.maxVideos ?? DEFAULT_PLAYLIST_VIDEOS;
+    const { videos, incomplete } = await this.getPlaylistVideos(playlistId, { ...options, maxVideos });
+    if (videos.length === 0) {
+      throw new NoVideosError('No videos in the playlist with view data matched the selected window', { channelId: playlist.channelId });
+    }
+    if (incomplete) {
+      warn(`Partial results: only ${videos.length} videos were fetched before the request failed (${incomplete.message})`);
+    } else if (options.maxVideos === undefined && videos.length === maxVideos && playlist.itemCount > maxVideos) {
+      warn(`Only the first ${maxVideos} of ${playlist.itemCount} playlist videos were analyzed - raise --videos to include more`);
+    }
+
+    const { insights, recommendations } = await this.analyzeVideos(videos, channelInfo, target, options, { progress, warn });
+    const resolution = { channelId: playlist.channelId, method: 'playlist', input: target };
+
+    return { channelName: channelNameOf(channelInfo), channelInfo, videos, insights, recommendations, resolution, playlist, options, warnings };
+  }
+
+  // One video against the channel's recent uploads (options.maxVideos/since/until pick them):
+  // { channelName, channelInfo, video, category, uploads, analysis, transcript, options, warnings }
+  async analyzeVideo(target, options = {}) {
+    await this.loadQuota();
+    const progress = (stage, message) => this.emit('progress', { stage, message, target });
+    const warnings = [];
+    const warn = message => {
+      warnings.push(message);
+      this.emit('warning', { message, target });
+    };
+
+    let videoId;
+    try {
+      videoId = parseVideoInput(target);
+    } catch (error) {
+      throw new VideoNotFoundError(error.message, { target });
+    }
+
+    progress('video', `Looking up video: ${videoId}...`);
+    const data = await this.dataSource.get('videos', {
+      id: videoId,
+      part: 'statistics,snippet,contentDetails,liveStreamingDetails'
+    });
+    const item = data.items?.[0];
+    if (!item) {
+      throw new VideoNotFoundError(`Video "${videoId}" not found (it may be private or deleted)`, { target });
+    }
+    const video = {
+      ...this.toVideo(item),
+      channelId: item.snippet.channelId,
+      description: item.snippet.description || '',
+      tags: item.snippet.tags || [],
+      categoryId: item.snippet.categoryId ?? null,
+      captions: item.contentDetails.caption === 'true',
+      definition: item.contentDetails.definition ?? null
+    };
+
+    progress('channel', `Getting channel info for ${item.snippet.channelTitle}...`);
+    const channelInfo = await this.getChannelInfo(video.channelId);
+    const category = await this.getCategoryTitle(video.categoryId, warn);
+
+    progress('videos', 'Fetching recent uploads to compare with...');
+    const { videos: uploads, incomplete } = await this.getChannelVideos(channelInfo.contentDetails.relatedPlaylists.uploads, options);
+    if (incomplete) {
+      warn(`Partial results: only ${uploads.length} uploads were fetched before the request failed (${incomplete.message})`);
+    }
+
+    let transcript = null;
+    if (options.transcripts) {
+      progress('transcripts', 'Loading transcript...');
+      const loaded = await this.getTranscripts([video], options);
+      const found = loaded.transcripts.get(videoId);
+      // A file or caption track with no cues (just a WEBVTT header, blank lines) counts as missing
+      if (found?.cues.length > 0) transcript = describeTranscript(video, found);
+      else if (found) warn(`The transcript${found.source ? ` from ${found.source}` : ''} has no text`);
+      else warn(`No transcript found${loaded.lastError ? ` (${loaded.lastError.message})` : ''}`);
+    }
+
+    progress('insights', 'Comparing with the channel...');
+    const analysis = describeVideo(video, uploads);
+
+    return { channelName: channelNameOf(channelInfo), channelInfo, video, category, uploads, analysis, transcript, options, warnings };
+  }
+
+  // Re-slices an analyzeChannel/analyzePlaylist result to a narrower window (options.maxVideos,
+  // since, until, exclude, only) and rebuilds its insights and recommendations without any
+  // API calls. The window is applied to the full result, not on top of an earlier slice.
+  // Comment analysis is carried over as is, thumbnail insights are recomputed from the
+  // stored per-video features, and transcript insights are dropped.
+  async sliceResult(result, options = {}) {
+    const { since, until, exclude = [], only = [] } = options;
+    const fetched = result.videos;
+    let videos = fetched.filter(video => {
+      const publishedAt = new Date(video.publishedAt);
+      return (!since || publishedAt >= since)
+        && (!until || publishedAt <= until)
+        && !exclude.includes(video.kind)
+        && (only.length === 0 || only.includes(video.kind));
+    });
+    if (options.maxVideos) videos = videos.slice(0, options.maxVideos);
+    if (videos.length === 0) {
+      throw new NoVideosError('None of the fetched videos match the selected window', { channelId: result.channelInfo.id });
+    }
+
+    const warnings = [];
+    const oldest = Math.min(...fetched.map(video => Date.parse(video.publishedAt)));
+    if ((options.maxVideos && options.maxVideos > fetched.length) || (since && since < oldest && !result.playlist)) {
+      warnings.push(`Only the ${fetched.length} videos already fetched (back to ${formatDate(oldest)}) are included - re-analyze with a wider window to fetch more`);
+    }
+    warnings.forEach(message => this.emit('warning', { message, target: result.channelName }));
+
+    const sliceOptions = {
+      ...result.options,
+      maxVideos: options.maxVideos ?? result.options?.maxVideos,
+      since,
+      until,
+      exclude,
+      only,
+      timeZone: options.timeZone ?? result.options?.timeZone
+    };
+    const thumbnails = result.insights.thumbnails && new Map(result.insights.thumbnails.videos.map(entry => [entry.videoId, entry]));
+    const insights = this.generateAdvancedInsights(videos, result.channelInfo, sliceOptions, null, thumbnails);
+    if (result.insights.audience) insights.audience = result.insights.audience;
+    const recommendations = await this.generateContentRecommendations(videos, insights, result.channelInfo, result.channelName);
+
+    return { ...result, videos, insights, recommendations, options: sliceOptions, warnings };
+  }
+
+  // Estimated cost of analyzing `channels` against what is left of today's budget;
+  // throws BudgetExceededError unless options.force is set
+  checkBatchBudget(channels, options = {}) {
+    const estimate = channels.length * estimateChannelUnits(options);
+    const { remaining, budget } = this.quota;
+    this.emit('progress', {
+      stage: 'budget',
+      message: `Estimated quota: ~${formatInteger(estimate)} units (${formatInteger(Math.max(remaining, 0))} of ${formatInteger(budget)} left today)`
+    });
+
+    if (estimate <= remaining) return estimate;
+    if (!options.force) {
+      throw new BudgetExceededError(
+        `This batch would need ~${formatInteger(estimate)} quota units but only ${formatInteger(Math.max(remaining, 0))} remain in today's budget. Raise --budget, trim the channel list, or pass --force to run anyway.`,
+        { estimate, remaining, budget });
+    }
+    this.emit('warning', { message: 'Estimated usage exceeds the remaining budget - continuing because of --force' });
+    return estimate;
+  }
+
+  // Every channel of a list (options.channels, or the file at options.channelsFile) through a
+  // worker pool, with a checkpoint so an interrupted batch can continue with options.resume
+  async analyzeBatch(options = {}) {
+    await this.loadQuota();
+    const progress = (stage, message) => this.emit('progress', { stage, message });
+    const channelsFile = options.channelsFile || DEFAULT_CHANNELS_FILE;
+    let channels = options.channels;
+    if (!channels) {
+      progress('load', `Loading channels from ${channelsFile}...`);
+      channels = await loadChannelList(channelsFile);
+    }
+    progress('batch', `Found ${channels.length} channels to analyze`);
+
+    // Channels finished in an earlier run are reused from the checkpoint on --resume;
+    // options.checkpointFile keeps callers such as the API server's jobs off the CLI's checkpoint
+    const checkpoint = new BatchCheckpoint(options.checkpointFile);
+    const settingsFor = channel => resultSettings({ ...options, ...channel.options });
+    const restored = new Map();
+    if (options.resume) {
+      if (!await checkpoint.load()) {
+        throw new Error(`No checkpoint found at ${checkpoint.file} - run the batch without --resume first`);
+      }
+      // Mixing results from another list or other options into this report would go unnoticed
+      const mismatch = checkpoint.mismatch(channelsFile, resultSettings(options));
+      if (mismatch) {
+        throw new Error(`Can't resume from ${checkpoint.file}: ${mismatch} - repeat the original batch command with --resume, or run without --resume to start over`);
+      }
+      for (const channel of channels) {
+        const { result, changes } = checkpoint.completedResult(channel, settingsFor(channel));
+        if (result) restored.set(channel, { ...result, group: channel.group, tags: channel.tags });
+        else if (changes) this.emit('warning', { message: `Analyzing ${channel.handle} again: its options changed since the checkpoint (${changes})`, target: channel.handle });
+      }
+      progress('resume', `Resuming: ${restored.size} channels already done (checkpoint from ${formatDateTime(checkpoint.state.startedAt)})`);
+    } else {
+      await checkpoint.start(channelsFile, resultSettings(options));
+    }
+    const pending = channels.filter(channel => !restored.has(channel));
+    this.checkBatchBudget(pending, options);
+    
+    let stopReason = null;
+    this.pool = new WorkerPool({ concurrency: options.concurrency || DEFAULT_CONCURRENCY });
+    let outcomes;
+    try {
+      outcomes = await this.pool.run(pending, async channel => {
+        const position = channels.indexOf(channel) + 1;
+        const event = { target: channel.handle, position, total: channels.length };
+        this.emit('channel', { ...event, status: 'start' });
+        try {
+          // Inline options from the channel list override the command line for that channel
+          const result = await this.analyzeChannel(channel.target, { ...options, ...channel.options });
+          await checkpoint.recordResult(channel, result, settingsFor(channel));
+          this.emit('channel', { ...event, status: 'done' });
+          return { ...result, group: channel.group, tags: channel.tags };
+        } catch (error) {
+          // Quota or key failures will hit every remaining channel, so stop and report what we have
+          if (error instanceof YouTubeApiError && error.stopsBatch) {
+            if (!stopReason) this.emit('channel', { ...event, status: 'stopped', error });
+            stopReason = stopReason || error.message;
+            this.pool.stop();
+          } else {
+            this.emit('channel', { ...event, status: 'failed', error });
+            await checkpoint.recordFailure(channel, error.message);
+          }
+          throw error;
+        }
+      });
+    } finally {
+      this.pool = null;
+    }
+
+    // Reassemble in list order so the first channel stays the comparison baseline
+    const results = [];
+    const errors = [];
+    const remaining = [];
+    for (const channel of channels) {
+      if (restored.has(channel)) {
+        results.push(restored.get(channel));
+        continue;
+      }
+      const outcome = outcomes[pending.indexOf(channel)];
+      if (outcome.status === 'fulfilled') {
+        results.push(outcome.value);
+      } else if (outcome.status === 'skipped' || outcome.error.stopsBatch) {
+        remaining.push(channel);
+      } else {
+        errors.push({ channel: channel.handle, error: outcome.error.message });
+      }
+    }
+
+    return {
+      channels,
+      results,
+      errors,
+      remaining,
+      stopReason,
+      // Group/tag roll-ups, and a comparison with the first channel in the list as the baseline
+      rollups: rollUpChannels(results),
+      comparison: results.length >= 2 ? compareChannels(results) : null
+    };
+  }
+
+  // Benchmarks the first target against the rest: { comparison, results, errors }
+  async compareChannels(targets, options = {}) {
+    await this.loadQuota();
+    this.emit('progress', { stage: 'compare', message: `Comparing ${targets.length} channels against ${targets[0]}` });
+    this.checkBatchBudget(targets, options);
+
+    const results = [];
+    const errors = [];
+    for (let i = 0; i < targets.length; i++) {
+      const event = { target: targets[i], position: i + 1, total: targets.length };
+      this.emit('channel', { ...event, status: 'start' });
+      try {
+        results.push(await this.analyzeChannel(targets[i], options));
+        this.emit('channel', { ...event, status: 'done' });
+      } catch (error) {
+        // Without the baseline, or with quota/key failures, there is nothing useful to compare
+        if (i === 0 || (error instanceof YouTubeApiError && error.stopsBatch)) throw error;
+        this.emit('channel', { ...event, status: 'failed', error });
+        errors.push({ channel: targets[i].replace(/^@/, ''), error: error.message });
+      }
+    }
+
+    return { comparison: compareChannels(results), results, errors };
+  }
+
+  // Re-analyzes the channels every options.interval until options.cycles checks have run or
+  // options.signal aborts, delivering detected changes to options.sinks (see lib/alert-sinks.js)
+  async watch(targets = [], options = {}) {
+    const interval = options.interval || DEFAULT_WATCH_INTERVAL;
+    const { signal, sinks = [] } = options;
+    const channels = targets.length > 0
+      ? targets.map(target => ({ handle: target.replace(/^@/, ''), target, options: {} }))
+      : await loadChannelList(options.channelsFile || DEFAULT_CHANNELS_FILE);
+    await this.loadQuota();
+    this.emit('progress', {
+      stage: 'watch',
+      message: `Watching ${channels.length} channels every ${formatInterval(interval)}${options.cycles ? ` for ${options.cycles} cycles` : ''}`
+    });
+
+    // Channel ID → the snapshot the last cycle recorded, so each cycle is compared with the
+    // one before it rather than with whatever was stored last (a manual run in between)
+    const baselines = new Map();
+    for (let cycle = 1; !signal?.aborted; cycle++) {
+      const events = await this.runWatchCycle(channels, options, sinks, cycle, baselines);
+      this.emit('cycle', { cycle, events, quota: await this.saveQuota() });
+      if (signal?.aborted || (options.cycles && cycle >= options.cycles)) break;
+
+      this.emit('progress', { stage: 'sleep', message: `Next check at ${formatDateTime(Date.now() + interval)}`, next: new Date(Date.now() + interval) });
+      await sleep(interval, signal);
+    }
+    return channels;
+  }
+
+  async runWatchCycle(channels, options, sinks, cycle, baselines = new Map()) {
+    this.emit('progress', { stage: 'cycle', message: `Watch cycle ${cycle} - ${formatDateTime(new Date())}`, cycle });
+    const events = [];
+
+    for (const channel of channels) {
+      const event = { target: channel.handle, position: channels.indexOf(channel) + 1, total: channels.length };
+      try {
+        // Every cycle has to see fresh numbers, not cached responses
+        const { snapshot } = await withRefresh(() => this.analyzeChannel(channel.target, { ...options, ...channel.options }));
+        // Without this cycle's snapshot there is nothing new to compare; diffing older ones would repeat alerts
+        if (!snapshot) {
+          this.emit('channel', { ...event, status: 'done', changes: null, unsaved: true });
+          continue;
+        }
+        const previous = baselines.get(snapshot.channelId) ?? await this.snapshotBefore(snapshot);
+        baselines.set(snapshot.channelId, snapshot);
+        if (!previous) {
+          this.emit('channel', { ...event, status: 'done', changes: null });
+          continue;
+        }
+        const changes = detectChanges(previous, snapshot);
+        this.emit('channel', { ...event, status: 'done', changes });
+        events.push(...changes);
+      } catch (error) {
+        if (error instanceof YouTubeApiError && error.reason === 'keyInvalid') throw error;
+        this.emit('channel', { ...event, status: 'failed', error });
+        // Out of quota: skip the rest of this cycle and try again on the next one
+        if (error instanceof YouTubeApiError && error.stopsBatch) break;
+      }
+    }
+
+    if (events.length > 0) {
+      this.emit('progress', { stage: 'alerts', message: `${events.length} alert${events.length > 1 ? 's' : ''}:`, cycle });
+    }
+    const failures = await deliverAlerts(sinks, events);
+    failures.forEach(failure => {
+      this.emit('warning', { message: `Could not deliver alerts via ${failure.sink}: ${failure.error.message}` });
+    });
+    return events;
+  }
+
+  // The stored snapshot recorded just before this one, as the first cycle's baseline
+  async snapshotBefore(snapshot) {
+    const stored = await this.snapshots.load(snapshot.channelId);
+    return stored.filter(entry => entry.timestamp < snapshot.timestamp).at(-1) ?? null;
+  }
+
+  // Recorded snapshots of a channel with the changes between them: { channelId, snapshots, overall, recent }
+  async history(target) {
+    // Prefer the local handle index so history works offline; fall back to the resolver
+    const channelId = await this.snapshots.findChannelId(target)
+      || (await this.resolveChannel(target)).channelId;
+    const snapshots = await this.snapshots.load(channelId);
+
+    if (snapshots.length === 0) {
+      throw new Error(`No snapshots recorded for ${target} yet. Run "/youtube ${target}" first.`);
+    }
+    const latest = snapshots[snapshots.length - 1];
+    return {
+      channelId,
+      snapshots,
+      overall: snapshots.length >= 2 ? diffSnapshots(snapshots[0], latest) : null,
+      recent: snapshots.length >= 2 ? diffSnapshots(snapshots[snapshots.length - 2], latest) : null
+    };
+  }
+}
@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import { DEFAULT_DATA_DIR } from './snapshot-store.js';
+
+export const DEFAULT_EVENT_LOG = path.join(DEFAULT_DATA_DIR, 'watch-events.jsonl');
+
+const EVENT_ICONS = {
+  new_upload: '🆕',
+  breakout: '🚀',
+  subscriber_milestone: '🎉',
+  cadence_change: '📆',
+  upload_overdue: '⏰'
+};
+
+export function formatAlert(event) {
+  return `${EVENT_ICONS[event.type] || '🔔'} [@${event.channel}] ${event.message}`;
+}
+
+export class ConsoleSink {
+  async send(events) {
+    events.forEach(event => console.log(formatAlert(event)));
+  }
+}
+
+// Append-only JSON lines, one event per line
+export class JsonlEventLog {
+  constructor(file = DEFAULT_EVENT_LOG) {
+    this.file = file;
+  }
+
+  async send(events) {
+    if (events.length === 0) return;
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.appendFile(this.file, events.map(event => JSON.stringify(event) + '\n').join(''));
+  }
+}
+
+// Generic outgoing webhook: one POST per event. `text` makes the payload usable as-is by
+// Slack/Mattermost-style incoming webhooks; the structured event rides along for everything else
+export class WebhookSink {
+  constructor(url, { timeoutMs = 10000 } = {}) {
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async send(events) {
+    for (const event of events) {
+      await axios.post(this.url, { text: formatAlert(event), event }, { timeout: this.timeoutMs });
+    }
+  }
+}
+
+// Delivers to every sink; one failing sink (say, the webhook being down) doesn't stop the others
+export async function deliverAlerts(sinks, events) {
+  const failures = [];
+  for (const sink of sinks) {
+    try {
+      await sink.send(events);
+    } catch (error) {
+      failures.push({ sink: sink.constructor.name, error });
+    }
+  }
+  return failures;
+}
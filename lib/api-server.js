@@ -0,0 +1,233 @@
+import http from 'http';
+import { parseArgs } from './command-options.js';
+import { parseChannelData, optionsToTokens } from './channel-list.js';
+import { YouTubeApiError, QuotaExceededError, ChannelNotFoundError, NoVideosError, BudgetExceededError } from './errors.js';
+import { buildAnalysisDocument, buildBatchDocument, SCHEMA_VERSION } from './exporters.js';
+import { renderChannelMarkdown, renderBatchMarkdown } from './markdown-report.js';
+import { renderChannelHtml, renderBatchHtml } from './html-report.js';
+import { ReportStore } from './report-store.js';
+import { BatchJobQueue } from './job-queue.js';
+
+export const DEFAULT_PORT = Number(process.env.YOUTUBE_API_PORT) || 3000;
+export const DEFAULT_HOST = '127.0.0.1';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+// What a caller may set per request; --refresh, --budget and --llm are fixed when the server starts,
+// and so are --transcripts and --thumbnails, which read directories on the server's disk
+const ANALYSIS_OPTION_KEYS = ['maxVideos', 'since', 'until', 'exclude', 'only', 'timeZone', 'comments', 'commentBudget'];
+const BATCH_OPTION_KEYS = [...ANALYSIS_OPTION_KEYS, 'concurrency', 'force'];
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8'
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+function statusFor(error) {
+  if (error instanceof HttpError) return error.status;
+  if (error instanceof ChannelNotFoundError) return 404;
+  if (error instanceof NoVideosError) return 422;
+  if (error instanceof BudgetExceededError || error instanceof QuotaExceededError) return 429;
+  if (error instanceof YouTubeApiError && error.reason === 'forbidden') return 403;
+  if (error instanceof YouTubeApiError) return error.reason === 'notFound' ? 404 : 502;
+  return 500;
+}
+
+function send(res, status, body, format = 'json', headers = {}) {
+  const payload = format === 'json' ? JSON.stringify(body, null, 2) : body;
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES[format], ...headers }).end(payload);
+}
+
+async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`);
+    chunks.push(chunk);
+  }
+  if (chunks.length === 0) return {};
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+  } catch (error) {
+    throw new HttpError(400, `Request body is not valid JSON: ${error.message}`);
+  }
+}
+
+// Same names as the command-line flags ({ videos: 50, exclude: ['shorts'], comments: true }),
+// validated by the same parser. Query strings arrive as text, so "true"/"" mean a bare flag.
+function parseRequestOptions(input, allowed, where) {
+  const cleaned = Object.fromEntries(Object.entries(input ?? {})
+    .map(([name, value]) => [name, value === 'true' || value === '' ? true : value])
+    .filter(([, value]) => value !== false && value !== 'false' && value !== null && value !== undefined));
+  let options;
+  try {
+    const parsed = parseArgs(optionsToTokens(cleaned, where));
+    if (parsed.positional.length > 0) throw new Error(`unexpected "${parsed.positional.join(' ')}"`);
+    options = parsed.options;
+  } catch (error) {
+    throw new HttpError(400, `${where}: ${error.message}`);
+  }
+  const unsupported = Object.keys(options).filter(key => !allowed.includes(key));
+  if (unsupported.length > 0) {
+    throw new HttpError(400, `${where}: ${unsupported.join(', ')} can't be set per request`);
+  }
+  return options;
+}
+
+function checkFormat(format = 'json') {
+  if (!Object.hasOwn(CONTENT_TYPES, format)) throw new HttpError(400, 'format must be json, md or html');
+  return format;
+}
+
+// "name.md" or "name?format=md"; JSON when neither is given
+function requestedFormat(name, query) {
+  const extension = name.match(/\.(json|md|html)$/)?.[1];
+  return {
+    format: checkFormat(query.get('format') || extension),
+    id: extension ? name.slice(0, -extension.length - 1) : name
+  };
+}
+
+function renderChannel(result, format, createdAt) {
+  if (format === 'md') return renderChannelMarkdown(result);
+  if (format === 'html') return renderChannelHtml(result);
+  return buildAnalysisDocument(result, createdAt);
+}
+
+function renderBatch(batch, format, createdAt, id) {
+  const { results, errors, remaining, comparison, rollups } = batch;
+  if (format === 'md') return renderBatchMarkdown(batch);
+  if (format === 'html') {
+    return renderBatchHtml(results, errors, remaining, { comparison, rollups, channelHref: result => `/reports/${encodeURIComponent(id)}/channels/${encodeURIComponent(result.channelName)}.html` });
+  }
+  return buildBatchDocument(results, errors, remaining, comparison, rollups, createdAt);
+}
+
+// REST front end for a YouTubeAgent:
+//   GET  /health                          status, queue and quota
+//   GET  /analyze?channel=@x&videos=50    analyze one channel (also POST /analyze { channel, options })
+//   POST /batches { channels, options }   queue a batch job → 202 with the job
+//   GET  /batches, /batches/:id           job status; finished jobs carry a reportId
+//   GET  /reports, /reports/:id           stored reports, as json, md or html (?format= or .ext)
+//   GET  /reports/:id/channels/:handle    one channel of a batch report
+// Set token (or YOUTUBE_API_TOKEN) to require "Authorization: Bearer <token>". serverOptions
+// ({ transcripts, thumbnails }) apply to every analysis and batch and can't be changed per request.
+export function createApiServer(agent, { reports = new ReportStore(), token = process.env.YOUTUBE_API_TOKEN, serverOptions = {}, jobsDir, log = () => {} } = {}) {
+  const queue = new BatchJobQueue(agent, reports, { jobsDir });
+
+  async function analyze(input, res) {
+    const target = typeof input.channel === 'string' ? input.channel.trim() : '';
+    if (!target) throw new HttpError(400, 'channel is required (an @handle, channel ID or URL)');
+    const options = parseRequestOptions(input.options, ANALYSIS_OPTION_KEYS, 'options');
+    const format = checkFormat(input.format);
+
+    let result;
+    try {
+      result = await agent.analyzeChannel(target, { ...serverOptions, ...options });
+    } finally {
+      await agent.saveQuota();
+    }
+    const report = await reports.save('channel', result, result.channelName);
+    const headers = { Location: `/reports/${report.id}`, 'X-Report-Id': report.id };
+    const body = renderChannel(result, format, new Date(report.createdAt));
+    send(res, 201, format === 'json' ? { reportId: report.id, ...body } : body, format, headers);
+  }
+
+  async function queueBatch(body, res) {
+    let channels;
+    try {
+      channels = parseChannelData({ channels: body.channels, groups: body.groups }, 'request body');
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    if (channels.length === 0) throw new HttpError(400, 'channels (or groups) must list at least one channel');
+    const options = parseRequestOptions(body.options, BATCH_OPTION_KEYS, 'options');
+    const job = queue.enqueue(channels, { ...serverOptions, ...options });
+    send(res, 202, job, 'json', { Location: `/batches/${job.id}` });
+  }
+
+  // /reports/:id or /reports/:id/channels/:handle
+  async function showReport(parts, query, res) {
+    const nested = parts.length === 4;
+    const { format, id } = requestedFormat(nested ? parts[3] : parts[1], query);
+    const record = await reports.load(nested ? parts[1] : id);
+    if (!record) throw new HttpError(404, `No report "${nested ? parts[1] : id}"`);
+    const createdAt = new Date(record.createdAt);
+
+    if (!nested) {
+      const body = record.kind === 'channel' ? renderChannel(record.data, format, createdAt) : renderBatch(record.data, format, createdAt, record.id);
+      return send(res, 200, body, format);
+    }
+    const handle = id.replace(/^@/, '').toLowerCase();
+    const result = record.kind === 'batch' && record.data.results.find(entry => entry.channelName.toLowerCase() === handle);
+    if (!result) throw new HttpError(404, `Report ${record.id} has no channel "${id}"`);
+    send(res, 200, renderChannel(result, format, createdAt), format);
+  }
+
+  async function route(req, res, url) {
+    let parts;
+    try {
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      throw new HttpError(400, `Malformed percent-encoding in ${url.pathname}`);
+    }
+    const [resource] = parts;
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      await agent.loadQuota();
+      return send(res, 200, { status: 'ok', schemaVersion: SCHEMA_VERSION, jobs: queue.counts(), quota: agent.quotaUsage() });
+    }
+    if (resource === 'analyze' && parts.length === 1) {
+      if (req.method === 'POST') return analyze(await readJsonBody(req), res);
+      if (req.method === 'GET') {
+        const { channel, format, ...options } = Object.fromEntries(url.searchParams);
+        return analyze({ channel, format, options }, res);
+      }
+    }
+    if (resource === 'batches') {
+      if (req.method === 'POST' && parts.length === 1) return queueBatch(await readJsonBody(req), res);
+      if (req.method === 'GET' && parts.length === 1) return send(res, 200, { jobs: queue.list() });
+      if (req.method === 'GET' && parts.length === 2) {
+        const job = queue.get(parts[1]);
+        if (!job) throw new HttpError(404, `No batch job "${parts[1]}"`);
+        return send(res, 200, job);
+      }
+    }
+    if (resource === 'reports' && req.method === 'GET') {
+      if (parts.length === 1) {
+        const kind = url.searchParams.get('kind');
+        const entries = await reports.list();
+        return send(res, 200, { reports: kind ? entries.filter(entry => entry.kind === kind) : entries });
+      }
+      if (parts.length === 2 || (parts.length === 4 && parts[2] === 'channels')) return showReport(parts, url.searchParams, res);
+    }
+    throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const startTime = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        throw new HttpError(401, 'Missing or wrong bearer token');
+      }
+      await route(req, res, url);
+    } catch (error) {
+      const status = statusFor(error);
+      const body = { error: { type: error.name, message: error.message, ...(error.reason && { reason: error.reason }), ...(error.candidates && { candidates: error.candidates }) } };
+      if (!res.headersSent) send(res, status, body);
+      else res.end();
+    }
+    log({ method: req.method, path: url.pathname, status: res.statusCode, ms: Date.now() - startTime });
+  });
+  server.queue = queue;
+  return server;
+}
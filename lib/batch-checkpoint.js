@@ -0,0 +1,100 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_DATA_DIR } from './snapshot-store.js';
+
+export const DEFAULT_CHECKPOINT_FILE = path.join(DEFAULT_DATA_DIR, 'batch-checkpoint.json');
+
+// The options that change what a channel's result contains; a result is only reused
+// when they match the run that produced it
+const RESULT_OPTION_KEYS = ['maxVideos', 'since', 'until', 'exclude', 'only', 'timeZone', 'comments', 'commentBudget', 'transcripts', 'thumbnails'];
+
+// Compared as JSON, so dates become strings and an unbounded maxVideos becomes null
+export function resultSettings(options = {}) {
+  return JSON.parse(JSON.stringify(Object.fromEntries(RESULT_OPTION_KEYS.map(key => [key, options[key] ?? null]))));
+}
+
+// "maxVideos 20 → 50, comments null → true"; empty when the settings match
+export function describeSettingChanges(before, after) {
+  return RESULT_OPTION_KEYS
+    .filter(key => JSON.stringify(before?.[key] ?? null) !== JSON.stringify(after[key]))
+    .map(key => `${key} ${JSON.stringify(before?.[key] ?? null)} → ${JSON.stringify(after[key])}`)
+    .join(', ');
+}
+
+// JSON round-trips turn the window dates into strings; restore them for the report writers
+export function reviveResult(result) {
+  const options = { ...result.options };
+  for (const key of ['since', 'until']) {
+    if (options[key]) options[key] = new Date(options[key]);
+  }
+  return { ...result, options };
+}
+
+// Progress of the current batch, rewritten after every channel so a crash or quota
+// stop loses at most the channels that were in flight
+export class BatchCheckpoint {
+  constructor(file = DEFAULT_CHECKPOINT_FILE) {
+    this.file = file;
+    this.state = null;
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      this.state = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Could not read checkpoint ${this.file}: ${error.message}`);
+      this.state = null;
+    }
+    return this.state;
+  }
+
+  // settings: resultSettings() of the batch-wide options
+  start(channelsFile, settings) {
+    const now = new Date().toISOString();
+    this.state = { channelsFile, settings, startedAt: now, updatedAt: now, completed: {}, failed: {} };
+    return this.save();
+  }
+
+  // Why this checkpoint can't be resumed by a batch of channelsFile with these settings, or null
+  mismatch(channelsFile, settings) {
+    if (this.state.channelsFile !== channelsFile) {
+      return `it is for ${this.state.channelsFile}, not ${channelsFile}`;
+    }
+    const changes = describeSettingChanges(this.state.settings, settings);
+    return changes ? `it was run with different options (${changes})` : null;
+  }
+
+  // The stored result, unless it was produced with other settings (say the channel's inline
+  // options changed in the list since); { result, changes } either way
+  completedResult(channel, settings) {
+    const entry = this.state?.completed[channel.target];
+    if (!entry) return { result: null, changes: null };
+    const changes = describeSettingChanges(entry.settings, settings);
+    return changes ? { result: null, changes } : { result: reviveResult(entry.result), changes: null };
+  }
+
+  recordResult(channel, result, settings) {
+    this.state.completed[channel.target] = { finishedAt: new Date().toISOString(), settings, result };
+    delete this.state.failed[channel.target];
+    return this.save();
+  }
+
+  recordFailure(channel, message) {
+    this.state.failed[channel.target] = { finishedAt: new Date().toISOString(), error: message };
+    return this.save();
+  }
+
+  // Writes are chained so concurrent workers never interleave, and go through a
+  // temp file so a crash mid-write leaves the previous checkpoint intact
+  save() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      this.state.updatedAt = new Date().toISOString();
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      const temp = `${this.file}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(this.state));
+      await fs.rename(temp, this.file);
+    });
+    return this.writing;
+  }
+}
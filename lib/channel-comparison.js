@@ -0,0 +1,155 @@
+import { median } from './performance-analysis.js';
+
+const MAX_OWNED_THEMES = 5;
+const MAX_SHARED_THEMES = 10;
+
+// Higher is better for every ranked metric
+export const COMPARISON_METRICS = [
+  { metric: 'uploadsPerWeek', label: 'Upload cadence', unit: 'uploads/week' },
+  { metric: 'medianViews', label: 'Median views', unit: 'views' },
+  { metric: 'viewsPerSubscriber', label: 'Views per subscriber', unit: 'views/subscriber' },
+  { metric: 'medianViewsPerDay', label: 'Views per day since publish', unit: 'views/day' },
+  { metric: 'likeRate', label: 'Like rate', unit: 'likes/view' },
+  { metric: 'commentRate', label: 'Comment rate', unit: 'comments/view' },
+  { metric: 'durationFit', label: 'Duration strategy', unit: 'main length views/best length views' }
+];
+
+function channelMetrics(result) {
+  const { channelInfo, videos, insights } = result;
+  const { performance, schedule } = insights;
+  const subscribers = channelInfo.statistics.hiddenSubscriberCount ? null : parseInt(channelInfo.statistics.subscriberCount) || null;
+  // The duration bucket a channel publishes in most is its strategy, whatever performs best
+  const mainBucket = performance.durationBuckets.reduce((main, bucket) => (!main || bucket.count > main.count ? bucket : main), null);
+
+  return {
+    channelName: result.channelName,
+    title: channelInfo.snippet.title,
+    subscribers,
+    videosAnalyzed: videos.length,
+    uploadsPerWeek: schedule.cadence?.uploadsPerWeek ?? null,
+    medianGapDays: schedule.cadence?.medianGapDays ?? null,
+    medianViews: performance.views.median,
+    viewsPerSubscriber: subscribers ? performance.views.median / subscribers : null,
+    medianViewsPerDay: schedule.medianViewsPerDay,
+    likeRate: performance.engagement.medianLikeRate,
+    commentRate: performance.engagement.medianCommentRate,
+    // How much of what its best-performing length earns the channel gets from the length it
+    // publishes most: 1 when those are the same. Null without two lengths to compare.
+    durationFit: performance.bestDurationBucket && mainBucket ? mainBucket.medianViews / performance.bestDurationBucket.medianViews : null,
+    duration: {
+      medianSeconds: Math.round(median(videos.map(video => video.durationSeconds))),
+      shortsShare: videos.filter(video => video.kind === 'short').length / videos.length,
+      mainBucket: mainBucket?.label ?? null,
+      bestBucket: performance.bestDurationBucket?.label ?? null
+    }
+  };
+}
+
+function rankChannels(channels, metric) {
+  return channels
+    .filter(channel => channel[metric] !== null && channel[metric] !== undefined)
+    .sort((a, b) => b[metric] - a[metric])
+    .map((channel, index) => ({ rank: index + 1, channelName: channel.channelName, value: channel[metric] }));
+}
+
+// A theme is a recurring title term; it is owned when only one channel uses it
+function compareThemes(results) {
+  const usage = new Map();
+  for (const result of results) {
+    for (const term of result.insights.titles.terms) {
+      if (!usage.has(term.term)) usage.set(term.term, []);
+      usage.get(term.term).push({ channelName: result.channelName, count: term.count, lift: term.lift });
+    }
+  }
+
+  const shared = [...usage.entries()]
+    .filter(([, channels]) => channels.length >= 2)
+    .map(([term, channels]) => ({ term, channels }))
+    .sort((a, b) => b.channels.length - a.channels.length
+      || b.channels.reduce((sum, c) => sum + c.count, 0) - a.channels.reduce((sum, c) => sum + c.count, 0))
+    .slice(0, MAX_SHARED_THEMES);
+
+  const owned = Object.fromEntries(results.map(result => [
+    result.channelName,
+    [...usage.entries()]
+      .filter(([, channels]) => channels.length === 1 && channels[0].channelName === result.channelName)
+      .map(([term, [channel]]) => ({ term, count: channel.count, lift: channel.lift }))
+      .sort((a, b) => b.count - a.count || (b.lift ?? 0) - (a.lift ?? 0))
+      .slice(0, MAX_OWNED_THEMES)
+  ]));
+
+  return { shared, owned };
+}
+
+// Benchmarks analyzed channels against each other; the first result is the baseline
+// ("our" channel) and every metric is also reported against the competitors' median
+export function compareChannels(results) {
+  if (results.length < 2) {
+    throw new Error('Comparison needs at least two analyzed channels');
+  }
+  const channels = results.map(channelMetrics);
+  const [baseline, ...competitors] = channels;
+
+  const rankings = Object.fromEntries(COMPARISON_METRICS.map(({ metric }) => [metric, rankChannels(channels, metric)]));
+
+  const baselineMetrics = COMPARISON_METRICS
+    .filter(({ metric }) => baseline[metric] !== null)
+    .map(({ metric, label, unit }) => {
+      const values = competitors.map(channel => channel[metric]).filter(value => value !== null);
+      const competitorMedian = values.length ? median(values) : null;
+      return {
+        metric,
+        label,
+        unit,
+        value: baseline[metric],
+        competitorMedian,
+        difference: competitorMedian ? (baseline[metric] - competitorMedian) / competitorMedian : null,
+        rank: rankings[metric].find(entry => entry.channelName === baseline.channelName).rank,
+        of: rankings[metric].length,
+        leader: rankings[metric][0].channelName
+      };
+    });
+
+  return {
+    baseline: baseline.channelName,
+    channels,
+    rankings,
+    baselineMetrics,
+    themes: compareThemes(results)
+  };
+}
+
+function summarizeMembers(name, members) {
+  const medianOf = metric => {
+    const values = members.map(member => member[metric]).filter(value => value !== null && value !== undefined);
+    return values.length ? median(values) : null;
+  };
+  const leader = members.reduce((best, member) => (member.medianViewsPerDay > best.medianViewsPerDay ? member : best));
+  return {
+    name,
+    channels: members.map(member => member.channelName),
+    subscribers: members.reduce((sum, member) => sum + (member.subscribers ?? 0), 0),
+    videosAnalyzed: members.reduce((sum, member) => sum + member.videosAnalyzed, 0),
+    medianViews: medianOf('medianViews'),
+    viewsPerSubscriber: medianOf('viewsPerSubscriber'),
+    medianViewsPerDay: medianOf('medianViewsPerDay'),
+    uploadsPerWeek: medianOf('uploadsPerWeek'),
+    likeRate: medianOf('likeRate'),
+    leader: leader.channelName
+  };
+}
+
+// Batch roll-ups: the median channel of each group and tag (results carry the
+// group and tags from the channel list)
+export function rollUpChannels(results) {
+  const members = results.map(result => ({ ...channelMetrics(result), group: result.group ?? null, tags: result.tags ?? [] }));
+  const groupNames = [...new Set(members.map(member => member.group).filter(Boolean))];
+  const tagNames = [...new Set(members.flatMap(member => member.tags))];
+
+  return {
+    groups: groupNames.map(group => summarizeMembers(group, members.filter(member => member.group === group))),
+    tags: tagNames
+      .map(tag => summarizeMembers(tag, members.filter(member => member.tags.includes(tag))))
+      .sort((a, b) => b.channels.length - a.channels.length || a.name.localeCompare(b.name))
+  };
+}
@@ -0,0 +1,181 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { parseArgs } from './command-options.js';
+
+export const DEFAULT_CHANNELS_FILE = 'youtube-channels.md';
+
+// Only options that change which videos are analyzed make sense per channel
+const CHANNEL_OPTION_KEYS = ['maxVideos', 'since', 'until', 'exclude', 'only', 'timeZone'];
+
+const TAG_PATTERN = /(?:^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+const FORMAT_EXAMPLE = `# YouTube Channels to Analyze
+
+## Tech Channels
+#tech
+- @mkbhd - Marques Brownlee #reviews
+- @PeterYangYT - Peter Yang --videos 50 --exclude shorts
+
+## Educational
+- @3Blue1Brown - Grant Sanderson`;
+
+function parseChannelOptions(tokens, where) {
+  if (tokens.length === 0) return {};
+  let parsed;
+  try {
+    parsed = parseArgs(tokens);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+  if (parsed.positional.length > 0) {
+    throw new Error(`${where}: unexpected "${parsed.positional.join(' ')}" after channel options`);
+  }
+  const unsupported = Object.keys(parsed.options).filter(key => !CHANNEL_OPTION_KEYS.includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(`${where}: only --videos, --since, --until, --exclude, --only and --timezone can be set per channel`);
+  }
+  return parsed.options;
+}
+
+function extractTags(text) {
+  const tags = [...text.matchAll(TAG_PATTERN)].map(match => match[1].toLowerCase());
+  return { tags, rest: text.replace(TAG_PATTERN, ' ').replace(/\s+/g, ' ').trim() };
+}
+
+function makeChannel({ target, description, group, tags, optionTokens, where }) {
+  const handle = target.replace(/^@/, '');
+  return {
+    handle,
+    target,
+    description: description || handle,
+    group: group || null,
+    tags: [...new Set(tags)],
+    options: parseChannelOptions(optionTokens, where),
+    optionTokens
+  };
+}
+
+// Markdown list: "## Group" headings, "#tag" lines that tag every channel in their
+// section, and "- @handle - Description #tag --videos 50" entries
+export function parseChannelMarkdown(content, filename = DEFAULT_CHANNELS_FILE) {
+  const sections = [{ group: null, tags: [], channels: [] }];
+
+  content.split('\n').forEach((line, index) => {
+    const where = `${filename}:${index + 1}`;
+    const heading = line.match(/^\s*#{2,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      sections.push({ group: heading[1], tags: [], channels: [] });
+      return;
+    }
+    const section = sections[sections.length - 1];
+
+    // A line of nothing but tags ("#tech #education")
+    if (/^\s*#[^\s#]/.test(line) && !extractTags(line).rest) {
+      section.tags.push(...extractTags(line).tags);
+      return;
+    }
+
+    // Handles may contain hyphens, dots and underscores, so the target is the whole first word
+    const item = line.match(/^\s*[-*]\s+(\S+)(.*)$/);
+    if (!item) return;
+    const { tags, rest } = extractTags(item[2]);
+    const optionStart = rest.search(/(?:^|\s)(?:--[a-z]|-n\s)/);
+    const description = (optionStart === -1 ? rest : rest.slice(0, optionStart)).replace(/^-\s*/, '').trim();
+    const optionTokens = optionStart === -1 ? [] : rest.slice(optionStart).trim().split(/\s+/);
+    section.channels.push({ target: item[1], description, tags, optionTokens, where });
+  });
+
+  return sections.flatMap(section => section.channels.map(channel =>
+    makeChannel({ ...channel, group: section.group, tags: [...section.tags, ...channel.tags] })));
+}
+
+// Object options from YAML/JSON ({ videos: 50, exclude: [shorts] }) become CLI-style tokens
+export function optionsToTokens(options, where) {
+  if (!options) return [];
+  if (typeof options === 'string') return options.trim().split(/\s+/);
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`${where}: options must be a string of flags or a mapping`);
+  }
+  return Object.entries(options).flatMap(([name, value]) => {
+    const flag = name.startsWith('-') ? name : `--${name}`;
+    if (value === true) return [flag];
+    return [flag, Array.isArray(value) ? value.join(',') : String(value)];
+  });
+}
+
+function entryToChannel(entry, group, groupTags, where) {
+  const spec = typeof entry === 'string' ? { channel: entry } : entry;
+  const target = spec?.channel ?? spec?.handle ?? spec?.id ?? spec?.url;
+  if (!target || typeof target !== 'string') {
+    throw new Error(`${where}: each channel needs a "channel" (handle, ID or URL)`);
+  }
+  return makeChannel({
+    target: target.trim(),
+    description: spec.description,
+    group: spec.group ?? group,
+    tags: [...groupTags, ...[].concat(spec.tags ?? [])].map(tag => String(tag).replace(/^#/, '').toLowerCase()),
+    optionTokens: optionsToTokens(spec.options, where),
+    where
+  });
+}
+
+// YAML/JSON list: either an array of channels, or { channels: [...], groups: { Name: { tags, channels } } }
+export function parseChannelData(data, filename) {
+  const root = Array.isArray(data) ? { channels: data } : data;
+  if (!root || typeof root !== 'object') {
+    throw new Error(`${filename}: expected a list of channels or an object with "channels" or "groups"`);
+  }
+
+  const channels = (root.channels ?? []).map((entry, index) =>
+    entryToChannel(entry, null, [], `${filename}: channels[${index}]`));
+
+  for (const [group, spec] of Object.entries(root.groups ?? {})) {
+    const groupSpec = Array.isArray(spec) ? { channels: spec } : spec ?? {};
+    const tags = [].concat(groupSpec.tags ?? []).map(tag => String(tag).replace(/^#/, '').toLowerCase());
+    (groupSpec.channels ?? []).forEach((entry, index) => {
+      channels.push(entryToChannel(entry, group, tags, `${filename}: groups.${group}[${index}]`));
+    });
+  }
+  return channels;
+}
+
+export async function loadChannelList(filename = DEFAULT_CHANNELS_FILE) {
+  let content;
+  try {
+    content = await fs.readFile(filename, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`${filename} not found. Create a file with this format:\n\n${FORMAT_EXAMPLE}`);
+    }
+    throw error;
+  }
+
+  const extension = path.extname(filename).toLowerCase();
+  if (extension === '.json' || extension === '.yaml' || extension === '.yml') {
+    let data;
+    try {
+      data = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+      throw new Error(`${filename} is not valid ${extension === '.json' ? 'JSON' : 'YAML'}: ${error.message}`);
+    }
+    return parseChannelData(data, filename);
+  }
+  return parseChannelMarkdown(content, filename);
+}
+
+// Inverse of parseChannelMarkdown, so a (partial) list can be written back out and re-read
+export function formatChannelMarkdown(channels) {
+  const lines = [];
+  let group;
+  for (const channel of channels) {
+    if (channel.group !== group) {
+      group = channel.group;
+      if (group) lines.push('', `## ${group}`);
+    }
+    const tags = channel.tags.map(tag => ` #${tag}`).join('');
+    const options = channel.optionTokens.length ? ` ${channel.optionTokens.join(' ')}` : '';
+    lines.push(`- ${channel.target} - ${channel.description}${tags}${options}`);
+  }
+  return lines.join('\n').trim() + '\n';
+}
@@ -0,0 +1,162 @@
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+const HANDLE_PATTERN = /^@?[\w.-]{3,30}$/;
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+// User playlists (PL), uploads (UU), mixes (RD), liked/favourites (LL, FL) and albums (OLAK5uy_)
+const PLAYLIST_ID_PATTERN = /^(PL|UU|RD|LL|FL|OL)[\w-]{10,}$/;
+const SEARCH_CANDIDATES = 5;
+
+// Classifies user input (handle, channel ID, URL or free text) without any API calls
+export function parseChannelInput(input) {
+  const value = input.trim();
+
+  if (/^(https?:\/\/)?([\w-]+\.)?(youtube\.com|youtu\.be)\//i.test(value)) {
+    return parseChannelUrl(value);
+  }
+  if (CHANNEL_ID_PATTERN.test(value)) {
+    return { type: 'id', value };
+  }
+  if (value.startsWith('@') && HANDLE_PATTERN.test(value)) {
+    return { type: 'handle', value: value.slice(1) };
+  }
+  if (HANDLE_PATTERN.test(value)) {
+    // A bare word is most likely a handle typed without the @
+    return { type: 'handle', value };
+  }
+  return { type: 'query', value };
+}
+
+function parseChannelUrl(value) {
+  const url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+  const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  const [first = '', second = ''] = segments;
+
+  if (url.hostname.toLowerCase().endsWith('youtu.be') && VIDEO_ID_PATTERN.test(first)) {
+    return { type: 'video', value: first };
+  }
+  if (first.startsWith('@')) {
+    return { type: 'handle', value: first.slice(1) };
+  }
+  if (first === 'channel' && CHANNEL_ID_PATTERN.test(second)) {
+    return { type: 'id', value: second };
+  }
+  if (first === 'c' && second) {
+    return { type: 'custom', value: second };
+  }
+  if (first === 'user' && second) {
+    return { type: 'username', value: second };
+  }
+  if (first === 'watch' && VIDEO_ID_PATTERN.test(url.searchParams.get('v') || '')) {
+    return { type: 'video', value: url.searchParams.get('v') };
+  }
+  if (['shorts', 'live', 'embed'].includes(first) && VIDEO_ID_PATTERN.test(second)) {
+    return { type: 'video', value: second };
+  }
+  throw new Error(`Unrecognized YouTube URL: ${value}`);
+}
+
+function toUrl(value) {
+  if (!/^(https?:\/\/)?([\w-]+\.)?(youtube\.com|youtu\.be)\//i.test(value)) return null;
+  return new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+}
+
+// A video ID, or any watch/youtu.be/shorts/live/embed URL, to the bare video ID
+export function parseVideoInput(input) {
+  const value = input.trim();
+  if (VIDEO_ID_PATTERN.test(value)) return value;
+  if (toUrl(value)) {
+    const parsed = parseChannelUrl(value);
+    if (parsed.type === 'video') return parsed.value;
+  }
+  throw new Error(`"${value}" is not a video ID or video URL`);
+}
+
+// A playlist ID, or any URL carrying ?list=, to the bare playlist ID
+export function parsePlaylistInput(input) {
+  const value = input.trim();
+  if (PLAYLIST_ID_PATTERN.test(value)) return value;
+  const list = toUrl(value)?.searchParams.get('list');
+  if (list && PLAYLIST_ID_PATTERN.test(list)) return list;
+  throw new Error(`"${value}" is not a playlist ID or playlist URL`);
+}
+
+// Turns any supported channel reference into a channel ID, preferring exact
+// lookups (1 quota unit) and only falling back to search (100 units)
+export class ChannelResolver {
+  constructor(dataSource) {
+    this.dataSource = dataSource;
+  }
+
+  async resolve(input) {
+    const parsed = parseChannelInput(input);
+
+    switch (parsed.type) {
+      case 'id':
+        return { channelId: parsed.value, method: 'channel-id', input };
+      case 'handle':
+        return await this.lookupHandle(parsed.value, input)
+          || await this.search(parsed.value, input);
+      case 'custom':
+        // Legacy /c/ URLs have no direct lookup, but most now match a handle or username
+        return await this.lookupHandle(parsed.value, input)
+          || await this.lookupUsername(parsed.value, input)
+          || await this.search(parsed.value, input);
+      case 'username':
+        return await this.lookupUsername(parsed.value, input)
+          || await this.search(parsed.value, input);
+      case 'video':
+        return await this.lookupVideo(parsed.value, input);
+      default:
+        return await this.search(parsed.value, input);
+    }
+  }
+
+  async lookupHandle(handle, input) {
+    const data = await this.dataSource.get('channels', { forHandle: `@${handle}`, part: 'id' });
+    if (!data.items?.length) return null;
+    return { channelId: data.items[0].id, method: 'handle', handle, input };
+  }
+
+  async lookupUsername(username, input) {
+    const data = await this.dataSource.get('channels', { forUsername: username, part: 'id' });
+    if (!data.items?.length) return null;
+    return { channelId: data.items[0].id, method: 'username', input };
+  }
+
+  async lookupVideo(videoId, input) {
+    const data = await this.dataSource.get('videos', { id: videoId, part: 'snippet' });
+    if (!data.items?.length) {
+      throw new Error(`Video "${videoId}" not found`);
+    }
+    return { channelId: data.items[0].snippet.channelId, method: 'video', input };
+  }
+
+  async search(query, input) {
+    const data = await this.dataSource.get('search', {
+      q: query,
+      type: 'channel',
+      part: 'snippet',
+      maxResults: SEARCH_CANDIDATES
+    });
+
+    const candidates = data.items.map(item => ({
+      channelId: item.snippet.channelId,
+      title: item.snippet.channelTitle || item.snippet.title
+    }));
+    if (candidates.length === 0) {
+      throw new Error(`Channel "${query}" not found`);
+    }
+
+    // Only trust search when the hit is unique or its title matches exactly
+    const normalize = text => text.toLowerCase().replace(/[\s_.@-]+/g, '');
+    const exactMatches = candidates.filter(c => normalize(c.title) === normalize(query));
+    const match = candidates.length === 1 ? candidates[0] : exactMatches.length === 1 ? exactMatches[0] : null;
+
+    if (!match) {
+      const list = candidates.map(c => `  - ${c.title} (${c.channelId})`).join('\n');
+      const error = new Error(`"${query}" is ambiguous. Candidates:\n${list}\nRe-run with an exact @handle, channel ID or channel URL.`);
+      error.candidates = candidates;
+      throw error;
+    }
+    return { channelId: match.channelId, method: 'search', input, candidates };
+  }
+}
@@ -0,0 +1,267 @@
+import { validateTimeZone } from './schedule-analysis.js';
+import { LLM_PROVIDERS } from './llm-providers.js';
+import { MAX_CONCURRENCY } from './worker-pool.js';
+
+export const DEFAULT_MAX_VIDEOS = 20;
+export const DEFAULT_PLAYLIST_VIDEOS = 200; // a whole series or course, within reason
+export const VIDEO_KINDS = ['video', 'short', 'live', 'premiere'];
+export const OUTPUT_FORMATS = ['md', 'json', 'csv', 'html'];
+export const DEFAULT_FORMATS = ['md'];
+
+const KIND_ALIASES = {
+  video: 'video', videos: 'video',
+  short: 'short', shorts: 'short',
+  live: 'live', livestream: 'live', livestreams: 'live', stream: 'live', streams: 'live',
+  premiere: 'premiere', premieres: 'premiere'
+};
+const KIND_LABELS = { video: 'regular videos', short: 'Shorts', live: 'livestreams', premiere: 'premieres' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseVideoCount(value) {
+  if (value === 'all') return Infinity;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`--videos expects a positive number or "all", got "${value}"`);
+  }
+  return count;
+}
+
+function parseFormats(value, name) {
+  return value.split(',').filter(Boolean).map(format => {
+    const normalized = format.toLowerCase() === 'markdown' ? 'md' : format.toLowerCase();
+    if (!OUTPUT_FORMATS.includes(normalized)) {
+      throw new Error(`${name} expects one of: ${OUTPUT_FORMATS.join(', ')} (got "${format}")`);
+    }
+    return normalized;
+  });
+}
+
+function parseBudget(value) {
+  const budget = Number(value);
+  if (!Number.isInteger(budget) || budget < 1) {
+    throw new Error(`--budget expects a positive number of quota units, got "${value}"`);
+  }
+  return budget;
+}
+
+function parseDate(value, name) {
+  // Relative windows like "90d" count back from now
+  const relative = value.match(/^(\d+)d$/);
+  if (relative) {
+    return new Date(Date.now() - Number(relative[1]) * DAY_MS);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value) || isNaN(Date.parse(value))) {
+    throw new Error(`${name} expects a date like 2024-01-31 or a relative window like 90d, got "${value}"`);
+  }
+  return new Date(value);
+}
+
+function parseKinds(value, name) {
+  return value.split(',').filter(Boolean).map(kind => {
+    const normalized = KIND_ALIASES[kind.toLowerCase()];
+    if (!normalized) {
+      throw new Error(`${name} expects a list of: videos, shorts, live, premieres (got "${kind}")`);
+    }
+    return normalized;
+  });
+}
+
+function parseConcurrency(value, name) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_CONCURRENCY) {
+    throw new Error(`${name} expects a whole number from 1 to ${MAX_CONCURRENCY}, got "${value}"`);
+  }
+  return count;
+}
+
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS };
+
+// "90s", "15m", "6h" or "1d" → milliseconds
+function parseInterval(value, name) {
+  const match = value.match(/^(\d+(?:\.\d+)?)([smhd])$/);
+  const ms = match ? Number(match[1]) * INTERVAL_UNITS[match[2]] : NaN;
+  if (!(ms >= 10 * 1000)) {
+    throw new Error(`${name} expects a duration of at least 10s such as 30m, 6h or 1d, got "${value}"`);
+  }
+  return ms;
+}
+
+// Inverse of parseInterval, using the largest whole unit
+export function formatInterval(ms) {
+  const [unit, size] = Object.entries(INTERVAL_UNITS).reverse().find(([, size]) => ms % size === 0) || ['s', 1000];
+  return `${ms / size}${unit}`;
+}
+
+function parsePositiveInteger(value, name) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`${name} expects a positive whole number, got "${value}"`);
+  }
+  return count;
+}
+
+function parsePort(value, name) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`${name} expects a port number from 1 to 65535, got "${value}"`);
+  }
+  return port;
+}
+
+function parseUrl(value, name) {
+  if (!/^https?:\/\/\S+$/.test(value)) {
+    throw new Error(`${name} expects an http(s) URL, got "${value}"`);
+  }
+  return value;
+}
+
+function parseLlmProvider(value, name) {
+  const provider = value.toLowerCase();
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`${name} expects one of: ${LLM_PROVIDERS.join(', ')} (got "${value}")`);
+  }
+  return provider;
+}
+
+// BCP 47 tags such as "de-DE" or "en-IN", canonicalized and checked against what Intl supports
+function parseLocale(value, name) {
+  let locale;
+  try {
+    [locale] = Intl.getCanonicalLocales(value);
+  } catch {
+    locale = null;
+  }
+  if (!locale || Intl.NumberFormat.supportedLocalesOf(locale).length === 0) {
+    throw new Error(`${name} expects a locale such as en-US, de-DE or ja-JP, got "${value}"`);
+  }
+  return locale;
+}
+
+const OPTION_SPECS = {
+  '--videos': { key: 'maxVideos', parse: parseVideoCount },
+  '-n': { key: 'maxVideos', parse: parseVideoCount },
+  '--since': { key: 'since', parse: parseDate },
+  '--until': {
+    key: 'until',
+    // Date-only bounds are inclusive, so "--until 2024-06-30" keeps that whole day
+    parse: (value, name) => {
+      const date = parseDate(value, name);
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(date.getTime() + DAY_MS - 1) : date;
+    }
+  },
+  '--exclude': { key: 'exclude', parse: parseKinds },
+  '--only': { key: 'only', parse: parseKinds },
+  '--refresh': { key: 'refresh', flag: true },
+  '--budget': { key: 'budget', parse: parseBudget },
+  '--force': { key: 'force', flag: true },
+  '--format': { key: 'formats', parse: parseFormats, repeatable: true },
+  '--timezone': { key: 'timeZone', parse: validateTimeZone },
+  '--locale': { key: 'locale', parse: parseLocale },
+  '--output-dir': { key: 'outputDir', parse: value => value },
+  '--llm': { key: 'llm', parse: parseLlmProvider },
+  '--channels': { key: 'channelsFile', parse: value => value },
+  '--concurrency': { key: 'concurrency', parse: parseConcurrency },
+  '--resume': { key: 'resume', flag: true },
+  '--interval': { key: 'interval', parse: parseInterval },
+  '--cycles': { key: 'cycles', parse: parsePositiveInteger },
+  '--webhook': { key: 'webhook', parse: parseUrl },
+  '--comments': { key: 'comments', flag: true },
+  '--comment-budget': { key: 'commentBudget', parse: parsePositiveInteger },
+  '--transcripts': { key: 'transcripts', parse: value => value }, // "auto" or a directory of .srt/.vtt/.txt files
+  '--thumbnails': { key: 'thumbnails', parse: value => value }, // "auto" or a directory of .jpg files
+  '--port': { key: 'port', parse: parsePort },
+  '--host': { key: 'host', parse: value => value },
+  '--config': { key: 'config', parse: value => value },
+  '--profile': { key: 'profile', parse: value => value }
+};
+
+export const OPTION_NAMES = Object.keys(OPTION_SPECS);
+
+// Splits command tokens into positional words and parsed --options
+export function parseArgs(tokens) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const spec = OPTION_SPECS[token];
+
+    if (!spec) {
+      if (token.startsWith('--')) {
+        throw new Error(`Unknown option "${token}"`);
+      }
+      positional.push(token);
+      continue;
+    }
+    if (spec.flag) {
+      options[spec.key] = true;
+      continue;
+    }
+
+    const value = tokens[++i];
+    if (value === undefined) {
+      throw new Error(`Option ${token} requires a value`);
+    }
+    const parsed = spec.parse(value, token);
+    // Repeatable options accumulate: --format json --format csv
+    options[spec.key] = spec.repeatable ? [...new Set([...(options[spec.key] || []), ...parsed])] : parsed;
+  }
+
+  if (options.since && options.until && options.since > options.until) {
+    throw new Error('--since must be before --until');
+  }
+  return { positional, options };
+}
+
+// "/youtube [history|watch|compare|serve|video|playlist] [targets...] [--options]" → { mode, target, options }
+export function parseCommand(input) {
+  const [command, ...tokens] = input.trim().split(/\s+/);
+  if (command !== '/youtube') {
+    throw new Error('Invalid command format. Use: /youtube @channelname or /youtube for batch processing');
+  }
+
+  // Accepts @handles, channel IDs, channel/video URLs or a free-text name, plus --options
+  const { positional, options } = parseArgs(tokens);
+  if (positional.length === 0) {
+    return { mode: 'batch', target: null, options };
+  }
+  if (positional[0] === 'history') {
+    if (positional.length < 2) {
+      throw new Error('Invalid command format. Use: /youtube history @channelname');
+    }
+    return { mode: 'history', target: positional.slice(1).join(' '), options };
+  }
+  if (positional[0] === 'watch') {
+    // Without channels, watch the batch channel list
+    return { mode: 'watch', target: positional.slice(1), options };
+  }
+  if (positional[0] === 'serve') {
+    return { mode: 'serve', target: null, options };
+  }
+  if (positional[0] === 'video' || positional[0] === 'playlist') {
+    if (positional.length !== 2) {
+      throw new Error(`Invalid command format. Use: /youtube ${positional[0]} <${positional[0]} ID or URL>`);
+    }
+    return { mode: positional[0], target: positional[1], options };
+  }
+  if (positional[0] === 'compare') {
+    if (positional.length < 3) {
+      throw new Error('Invalid command format. Use: /youtube compare @yourchannel @competitor [@competitor...]');
+    }
+    // One channel per word here, so free-text names are not supported
+    return { mode: 'compare', target: positional.slice(1), options };
+  }
+  return { mode: 'channel', target: positional.join(' '), options };
+}
+
+// Human-readable summary of the analysis window, e.g. "since 2024-01-01 • excluding shorts"
+export function describeVideoWindow(options = {}) {
+  const parts = [];
+  const day = date => date.toISOString().slice(0, 10);
+  if (options.since) parts.push(`since ${day(options.since)}`);
+  if (options.until) parts.push(`until ${day(options.until)}`);
+  const labels = kinds => kinds.map(kind => KIND_LABELS[kind]).join(', ');
+  if (options.only?.length) parts.push(`only ${labels(options.only)}`);
+  if (options.exclude?.length) parts.push(`excluding ${labels(options.exclude)}`);
+  return parts.join(' • ');
+}
@@ -0,0 +1,148 @@
+import { mean } from './performance-analysis.js';
+import { tokenize, isContentWord } from './title-analysis.js';
+
+// Small AFINN-style lexicon tuned for YouTube comments: word → weight (-3..3)
+const LEXICON = {
+  amazing: 3, awesome: 3, brilliant: 3, excellent: 3, fantastic: 3, incredible: 3, masterpiece: 3, outstanding: 3, perfect: 3,
+  superb: 3, wonderful: 3, beautiful: 2, best: 2, cool: 2, enjoyed: 2, enjoy: 2, fun: 2, glad: 2, good: 2, great: 2, helpful: 2,
+  informative: 2, insightful: 2, interesting: 2, love: 2, loved: 2, loving: 2, nice: 2, recommend: 2, thank: 2, thanks: 2,
+  underrated: 2, useful: 2, clear: 1, easy: 1, fair: 1, funny: 1, like: 1, liked: 1, solid: 1, well: 1, wow: 1, legend: 2, gem: 2,
+  awful: -3, garbage: -3, horrible: -3, terrible: -3, trash: -3, worst: -3, useless: -3, scam: -3, hate: -3, hated: -3,
+  annoying: -2, bad: -2, boring: -2, clickbait: -2, disappointed: -2, disappointing: -2, misleading: -2, poor: -2, sad: -2,
+  stupid: -2, waste: -2, wrong: -2, unsubscribed: -2, overrated: -2, cringe: -2, confusing: -1, meh: -1, slow: -1, long: -1,
+  expensive: -1, sponsored: -1, ads: -1
+};
+const EMOJI_SCORES = { '❤': 2, '😍': 3, '🔥': 2, '👍': 2, '👏': 2, '🙌': 2, '😂': 1, '👎': -2, '😡': -3, '🤮': -3, '😴': -2, '🙄': -1 };
+const NEGATORS = new Set(['not', 'no', 'never', "don't", "doesn't", "didn't", "isn't", "wasn't", "aren't", "can't", "won't", 'nothing', 'hardly']);
+const INTENSIFIERS = new Set(['very', 'really', 'so', 'super', 'extremely', 'incredibly', 'truly']);
+const NEGATION_WINDOW = 3;
+
+export const DEFAULT_COMMENT_BUDGET = 10; // commentThreads pages (1 quota unit each) per channel
+export const SAMPLE_VIDEOS = 5; // top and bottom performers whose comments are read
+export const COMMENT_PAGES_PER_VIDEO = 2;
+export const SENTIMENT_THRESHOLD = 0.05; // comparative score beyond which a comment counts as positive/negative
+
+// Content requests: "can you do a video on X", "please make one about X", "would love to see X"
+const REQUEST_PATTERNS = [
+  /\b(?:can|could|would|will) you (?:please )?(?:do|make|cover|review|try|talk about|explain)\s+(?:a |an |another |one |some )?(?:video |episode |review )?(?:on|about|of|for|explaining|covering)?\s*(.+)/i,
+  /\bplease (?:do|make|cover|review|try|explain)\s+(?:a |an |another |one )?(?:video |episode )?(?:on|about|of)?\s*(.+)/i,
+  /\b(?:would|i'd) love (?:to see |a video |an episode )(?:on |about |of )?(.+)/i,
+  /\b(?:next|future) video (?:should be |on |about |idea:?\s*)(.+)/i,
+  /\bmake a video (?:on|about) (.+)/i,
+  /\bvideo idea:?\s*(.+)/i
+];
+const QUESTION_START = /^(?:what|why|how|when|where|which|who|is|are|does|do|did|can|could|would|will|should|any)\b/i;
+
+// Sentiment of one comment: lexicon sum with negation flipping the next few words,
+// plus a comparative score (sum per token) so long comments don't dominate
+export function scoreSentiment(text) {
+  const tokens = tokenize(text);
+  let score = 0;
+  let negateFor = 0;
+  let boost = 1;
+
+  for (const token of tokens) {
+    if (NEGATORS.has(token)) {
+      negateFor = NEGATION_WINDOW;
+      continue;
+    }
+    if (INTENSIFIERS.has(token)) {
+      boost = 1.5;
+      continue;
+    }
+    const weight = LEXICON[token];
+    if (weight) score += weight * boost * (negateFor > 0 ? -1 : 1);
+    if (negateFor > 0) negateFor--;
+    boost = 1;
+  }
+  for (const [emoji, weight] of Object.entries(EMOJI_SCORES)) {
+    score += (text.split(emoji).length - 1) * weight;
+  }
+
+  const comparative = tokens.length ? score / tokens.length : 0;
+  const label = comparative > SENTIMENT_THRESHOLD ? 'positive' : comparative < -SENTIMENT_THRESHOLD ? 'negative' : 'neutral';
+  return { score, comparative, label };
+}
+
+function summarizeSentiment(comments) {
+  const scored = comments.map(comment => scoreSentiment(comment.text));
+  const share = label => (scored.length ? scored.filter(entry => entry.label === label).length / scored.length : 0);
+  return {
+    comments: scored.length,
+    meanScore: Number(mean(scored.map(entry => entry.comparative)).toFixed(3)),
+    positive: Number(share('positive').toFixed(2)),
+    neutral: Number(share('neutral').toFixed(2)),
+    negative: Number(share('negative').toFixed(2))
+  };
+}
+
+// Content words of a phrase in order, used as the grouping key for similar requests/questions
+function topicKey(text) {
+  return tokenize(text).filter(isContentWord).slice(0, 4).join(' ');
+}
+
+function cleanPhrase(text) {
+  return text.split(/[.!?\n]/)[0]
+    .replace(/\s+/g, ' ')
+    .replace(/^(?:the|a|an)\s+/i, '')
+    .replace(/[\s,]+(?:please|pls|plz|thanks|thank you|next)\s*$/i, '')
+    .trim()
+    .slice(0, 80);
+}
+
+// Groups similar phrases, most-asked (then most-liked) first; examples are the most-liked wording
+function groupPhrases(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!entry.key) continue;
+    if (!groups.has(entry.key)) groups.set(entry.key, []);
+    groups.get(entry.key).push(entry);
+  }
+  return [...groups.entries()]
+    .map(([key, members]) => {
+      const sorted = [...members].sort((a, b) => b.likes - a.likes);
+      return { topic: key, count: members.length, likes: members.reduce((sum, m) => sum + m.likes, 0), example: sorted[0].phrase };
+    })
+    .sort((a, b) => b.count - a.count || b.likes - a.likes);
+}
+
+export function extractRequests(comments) {
+  const entries = [];
+  for (const comment of comments) {
+    for (const pattern of REQUEST_PATTERNS) {
+      const match = comment.text.match(pattern);
+      if (match) {
+        const phrase = cleanPhrase(match[1]);
+        entries.push({ phrase, key: topicKey(phrase), likes: comment.likes });
+        break;
+      }
+    }
+  }
+  return groupPhrases(entries);
+}
+
+// Requests phrased as questions ("can you do a video on...?") are counted as requests only
+export function extractQuestions(comments) {
+  const entries = comments
+    .filter(comment => !REQUEST_PATTERNS.some(pattern => pattern.test(comment.text)))
+    .flatMap(comment => (comment.text.match(/[^.!?\n]*\?/g) || []).map(question => ({ question: question.trim(), likes: comment.likes })))
+    .filter(({ question }) => QUESTION_START.test(question) && tokenize(question).length >= 3)
+    .map(({ question, likes }) => ({ phrase: cleanPhrase(question) + '?', key: topicKey(question), likes }));
+  return groupPhrases(entries);
+}
+
+// comments: { videoId, text, likes, replies }; groups: { top: [videoId], bottom: [videoId] }
+export function analyzeComments(comments, groups, { unitsUsed = 0, skipped = [] } = {}) {
+  const inGroup = ids => comments.filter(comment => ids.includes(comment.videoId));
+  return {
+    videosSampled: new Set(comments.map(comment => comment.videoId)).size,
+    commentsAnalyzed: comments.length,
+    unitsUsed,
+    skipped,
+    sentiment: summarizeSentiment(comments),
+    topPerformers: { videos: groups.top.length, ...summarizeSentiment(inGroup(groups.top)) },
+    bottomPerformers: { videos: groups.bottom.length, ...summarizeSentiment(inGroup(groups.bottom)) },
+    requests: extractRequests(comments).slice(0, 8),
+    questions: extractQuestions(comments).slice(0, 8)
+  };
+}
@@ -0,0 +1,247 @@
+import { describeVideoWindow } from './command-options.js';
+import { COMPARISON_METRICS } from './channel-comparison.js';
+import { diffSnapshots } from './snapshot-store.js';
+import { describeAudience } from './markdown-report.js';
+import { formatNumber, formatMetric, describeBaselineMetric, formatInteger, formatDate, formatDateTime } from './formatting.js';
+import { summarizeVideo } from './video-analysis.js';
+import { QuotaExceededError, ChannelNotFoundError, VideoNotFoundError, PlaylistNotFoundError, NoVideosError, BudgetExceededError } from './errors.js';
+
+// result is YouTubeAgent#analyzeChannel's (or #analyzePlaylist's) return value
+export function displayChannelReport(result) {
+  const { channelInfo, videos, insights, recommendations, playlist, options = {} } = result;
+  const timestamp = formatDateTime(new Date(), {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+  const subscriberCount = formatInteger(parseInt(channelInfo.statistics.subscriberCount));
+
+  console.log('\n' + '='.repeat(60));
+  if (playlist) {
+    console.log(`📚 YouTube Playlist Analysis: ${playlist.title}`);
+    console.log(`📊 Analyzed ${videos.length} of ${playlist.itemCount} playlist videos • ${channelInfo.snippet.title} (${subscriberCount} subscribers)`);
+  } else {
+    console.log(`🎥 YouTube Channel Analysis: ${channelInfo.snippet.title}`);
+    console.log(`📊 Analyzed ${videos.length} recent videos • ${subscriberCount} subscribers`);
+  }
+  const videoWindow = describeVideoWindow(options);
+  if (videoWindow) console.log(`🗓️  Window: ${videoWindow}`);
+  console.log(`📅 Analysis generated on ${timestamp}`);
+  console.log('='.repeat(60));
+
+  console.log('\n🔍 KEY INSIGHTS\n');
+
+  console.log('📈 Performance Patterns:');
+  insights.performancePatterns.forEach(pattern => {
+    console.log(`• ${pattern}`);
+  });
+
+  if (insights.schedulePatterns.length > 0) {
+    console.log('\n🗓️  Publishing Schedule:');
+    insights.schedulePatterns.forEach(pattern => {
+      console.log(`• ${pattern}`);
+    });
+  }
+
+  console.log('\n🎯 Content Themes:');
+  insights.contentThemes.forEach(theme => {
+    console.log(`• ${theme}`);
+  });
+
+  console.log('\n📊 Optimization Opportunities:');
+  insights.optimizationOpportunities.forEach(opportunity => {
+    console.log(`• ${opportunity}`);
+  });
+
+  if (insights.audience) {
+    console.log('\n👥 Audience Voice:');
+    describeAudience(insights.audience).forEach(line => {
+      console.log(`• ${line}`);
+    });
+  }
+
+  console.log('\n💡 YOUR NEXT VIDEO\n');
+  const via = recommendations.source && recommendations.source !== 'templates' ? ` (via ${recommendations.source})` : '';
+  console.log(`Based on your top performers, consider these title ideas${via}:`);
+  recommendations.recommendations.forEach((rec, index) => {
+    console.log(`${index + 1}. "${rec}"`);
+  });
+
+  console.log(`\n💯 Success Formula: ${recommendations.successFormula}`);
+
+  console.log('\n🏆 TOP 10 VIDEOS BY VIEWS\n');
+  insights.topVideos.forEach((video, index) => {
+    console.log(`${(index + 1).toString().padStart(2, ' ')}. ${video.title}`);
+    console.log(`    👀 ${formatNumber(video.views)} views • ⏱️ ${video.duration} • 📅 ${formatDate(video.publishedAt)}`);
+    console.log(`    🔗 ${video.url}\n`);
+  });
+}
+
+// result is YouTubeAgent#analyzeVideo's return value
+export function displayVideoReport(result) {
+  const { channelName, channelInfo, video, analysis } = result;
+  const { performance, metadata, opportunities } = summarizeVideo(result);
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`🎬 YouTube Video Analysis: ${video.title}`);
+  console.log(`📺 ${channelInfo.snippet.title} (@${channelName}) • 📅 ${formatDate(video.publishedAt)} (${Math.floor(analysis.ageDays)} days ago)`);
+  console.log(`👀 ${formatNumber(video.views)} views • 👍 ${formatNumber(video.likes)} likes • 💬 ${video.comments === null ? 'comments off' : `${formatNumber(video.comments)} comments`} • ⏱️ ${video.duration} (${video.kind})`);
+  console.log(`🔗 ${video.url}`);
+  console.log('='.repeat(60));
+
+  console.log('\n📈 VS THE CHANNEL\n');
+  performance.forEach(line => {
+    console.log(`• ${line}`);
+  });
+
+  console.log('\n🏷️  METADATA\n');
+  metadata.forEach(line => {
+    console.log(`• ${line}`);
+  });
+  if (analysis.tags.count > 0) {
+    console.log(`\nTags: ${analysis.tags.tags.join(', ')}`);
+  }
+  if (analysis.links.length > 0) {
+    console.log('\nDescription links:');
+    analysis.links.forEach(link => {
+      console.log(`  [${link.kind}] ${link.url}`);
+    });
+  }
+  if (analysis.chaptersValid) {
+    console.log('\nChapters:');
+    analysis.chapters.forEach(chapter => {
+      console.log(`  ${chapter.timestamp} ${chapter.title}`);
+    });
+  }
+
+  if (opportunities.length > 0) {
+    console.log('\n💡 OPPORTUNITIES\n');
+    opportunities.forEach(opportunity => {
+      console.log(`• ${opportunity}`);
+    });
+  }
+}
+
+export function displayComparison(comparison) {
+  const baseline = comparison.channels[0];
+  console.log('\n' + '='.repeat(60));
+  console.log(`⚖️  Channel Comparison: ${baseline.title} vs ${comparison.channels.length - 1} competitors`);
+  console.log('='.repeat(60));
+
+  console.log(`\n📏 HOW @${baseline.channelName} STACKS UP\n`);
+  comparison.baselineMetrics.forEach(entry => {
+    console.log(`• ${entry.label}: ${describeBaselineMetric(entry)}`);
+  });
+
+  console.log('\n🏅 RANKINGS\n');
+  COMPARISON_METRICS.forEach(({ metric, label }) => {
+    const ranking = comparison.rankings[metric];
+    if (ranking.length === 0) return;
+    console.log(`• ${label}: ${ranking.map(entry => `${entry.rank}. @${entry.channelName} (${formatMetric(metric, entry.value)})`).join('  ')}`);
+  });
+
+  console.log('\n⏱️  DURATION STRATEGY\n');
+  comparison.channels.forEach(channel => {
+    const { duration } = channel;
+    const medianLength = `${Math.floor(duration.medianSeconds / 60)}:${(duration.medianSeconds % 60).toString().padStart(2, '0')}`;
+    console.log(`• @${channel.channelName}: mostly ${duration.mainBucket ?? 'n/a'} (median ${medianLength}, ${Math.round(duration.shortsShare * 100)}% Shorts)${duration.bestBucket ? ` • best ${duration.bestBucket}` : ''}`);
+  });
+
+  console.log('\n🏷️  TITLE THEMES\n');
+  Object.entries(comparison.themes.owned).forEach(([channelName, themes]) => {
+    console.log(`• @${channelName} owns: ${themes.length ? themes.map(theme => `"${theme.term}"`).join(', ') : 'no distinct themes'}`);
+  });
+  if (comparison.themes.shared.length > 0) {
+    console.log(`• Shared: ${comparison.themes.shared.map(theme => `"${theme.term}" (${theme.channels.map(c => `@${c.channelName}`).join(', ')})`).join('; ')}`);
+  }
+}
+
+// history is YouTubeAgent#history's return value
+export function displayHistory(history) {
+  const { snapshots, overall, recent } = history;
+  const latest = snapshots[snapshots.length - 1];
+  const formatDelta = value => (value === null ? 'n/a' : `${value >= 0 ? '+' : '-'}${formatNumber(Math.abs(value))}`);
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`📈 Snapshot History: ${latest.title}`);
+  console.log(`🗂️  ${snapshots.length} snapshots from ${formatDateTime(snapshots[0].timestamp)} to ${formatDateTime(latest.timestamp)}`);
+  console.log('='.repeat(60));
+
+  console.log('\n👥 CHANNEL METRICS\n');
+  snapshots.slice(-10).forEach((snapshot, index, shown) => {
+    const subscribers = snapshot.channel.subscribers === null ? 'hidden' : formatNumber(snapshot.channel.subscribers);
+    let line = `${formatDateTime(snapshot.timestamp)} • 👥 ${subscribers} subscribers • 👀 ${formatNumber(snapshot.channel.views)} views • 🎬 ${snapshot.channel.videoCount} videos`;
+    const previous = index > 0 ? shown[index - 1] : snapshots[snapshots.length - shown.length - 1];
+    if (previous) {
+      const diff = diffSnapshots(previous, snapshot);
+      line += ` (${formatDelta(diff.subscribersGained)} subs, ${formatDelta(diff.viewsGained)} views)`;
+    }
+    console.log(`• ${line}`);
+  });
+
+  if (!overall) {
+    console.log('\nOnly one snapshot so far - run the analysis again later to see changes.');
+    return;
+  }
+
+  console.log(`\n📊 Since first snapshot (${overall.days.toFixed(1)} days): ${formatDelta(overall.subscribersGained)} subscribers, ${formatDelta(overall.viewsGained)} views, ${formatDelta(overall.videosAdded)} videos`);
+
+  console.log(`\n🚀 VIDEO VELOCITY (last ${recent.days.toFixed(1)} days)\n`);
+  if (recent.videos.length === 0) {
+    console.log('No videos appear in both of the last two snapshots.');
+  }
+  recent.videos.slice(0, 10).forEach((video, index) => {
+    console.log(`${(index + 1).toString().padStart(2, ' ')}. ${video.title}`);
+    console.log(`    👀 ${formatDelta(video.viewsGained)} views (${formatNumber(video.viewsPerDay)}/day) • 👍 ${formatDelta(video.likesGained)} likes • now ${formatNumber(video.views)}`);
+  });
+
+  if (recent.newVideos.length > 0) {
+    console.log('\n🆕 NEW SINCE PREVIOUS SNAPSHOT\n');
+    recent.newVideos.forEach(video => {
+      console.log(`• ${video.title} (${formatNumber(video.views)} views)`);
+    });
+  }
+}
+
+export function displayQuotaUsage(usage) {
+  const cacheNote = usage.cachedResponses > 0 ? ` • ${usage.cachedResponses} cached responses reused` : '';
+  console.log(`🎫 Quota: ${formatInteger(usage.runUnits)} units used this run (${formatInteger(usage.usedToday)}/${formatInteger(usage.budget)} today)${cacheNote}`);
+  // Per-key breakdown only when rotating through a pool
+  if (usage.keys?.length > 1) {
+    const keys = usage.keys.map(key => `${key.key} ${formatInteger(key.usedToday)}${key.exhausted ? ' (used up)' : ''}`);
+    console.log(`   🔑 Keys today: ${keys.join(' • ')}`);
+  }
+}
+
+// written is what the report writers return: [{ file, description }]
+export function displayWritten(written) {
+  written.forEach(({ file, description }) => console.log(`📄 ${description} saved to ${file}`));
+}
+
+// Error message plus a hint for the failures a user can do something about
+export function displayError(error) {
+  console.error(`❌ Error: ${error.message}`);
+
+  // Transient failures were already retried with backoff by the data source
+  if (error instanceof QuotaExceededError) {
+    console.error('Daily API quota exhausted. Cached results still work; the quota resets at midnight Pacific Time (or add keys to YOUTUBE_API_KEYS to rotate through).');
+  } else if (error.reason === 'keyInvalid') {
+    console.error('Invalid API key. Please check YOUTUBE_API_KEY (or YOUTUBE_API_KEYS / apiKeys in your config file).');
+  } else if (error instanceof VideoNotFoundError || error instanceof PlaylistNotFoundError) {
+    console.error('Check the ID or URL; private and deleted videos and playlists cannot be analyzed.');
+  } else if (error.reason === 'forbidden') {
+    console.error('YouTube refused access to this resource; private and restricted channels and playlists cannot be analyzed.');
+  } else if ((error instanceof ChannelNotFoundError && !error.candidates) || error.reason === 'notFound') {
+    console.error('Channel not found. Please check the channel name and try again.');
+  } else if (error instanceof NoVideosError) {
+    console.error('Try a wider --since/--until window or fewer --exclude/--only filters.');
+  } else if (error instanceof BudgetExceededError) {
+    console.error(`Estimated ${formatInteger(error.estimate)} units against ${formatInteger(Math.max(error.remaining, 0))} remaining.`);
+  } else if (error.reason === 'rateLimitExceeded' || error.reason === 'serverError') {
+    console.error('The YouTube API kept failing after several retries. Please try again in a few minutes.');
+  } else if (error.reason === 'network') {
+    console.error('Network error. Please check your internet connection.');
+  }
+}
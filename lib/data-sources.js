@@ -0,0 +1,197 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { classifyApiError, QuotaExceededError } from './errors.js';
+import { quotaDay } from './quota-ledger.js';
+
+export const YOUTUBE_API_BASE = 'https://www.googleapis.com/youtube/v3';
+export const DEFAULT_FIXTURES_DIR = 'fixtures';
+export const DEFAULT_RETRY = { retries: 4, baseDelayMs: 500, maxDelayMs: 16000 };
+
+// Stable identifier for a request; the API key never takes part, so fixtures and cache entries are shareable
+export function requestHash(params) {
+  const { key, ...rest } = params;
+  const canonical = JSON.stringify(Object.keys(rest).sort().map(name => [name, String(rest[name])]));
+  return crypto.createHash('sha1').update(canonical).digest('hex').slice(0, 16);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// How a key appears in logs and usage reports: never the key itself
+export function apiKeyLabel(key) {
+  return `…${key.slice(-4)}`;
+}
+
+// How the quota ledger tells keys apart: two keys can share their last four characters
+export function apiKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+// Live backend: every call goes to the YouTube Data API v3. Transient failures
+// (rate limits, 5xx, network) are retried with exponential backoff and full
+// jitter; everything else is thrown as a classified YouTubeApiError.
+// With several keys, a key that runs out of quota is set aside for the day
+// (in the ledger, when given) and the request is repeated with the next one.
+export class HttpDataSource {
+  constructor({ apiKey, apiKeys = [apiKey], baseUrl = YOUTUBE_API_BASE, ledger = null, retry = {}, onRetry = null, onKeyExhausted = null } = {}) {
+    this.apiKeys = [...new Set(apiKeys.filter(Boolean))];
+    if (this.apiKeys.length === 0) {
+      throw new Error('HttpDataSource requires a YouTube API key');
+    }
+    this.baseUrl = baseUrl;
+    this.ledger = ledger;
+    this.retry = { ...DEFAULT_RETRY, ...retry };
+    this.onRetry = onRetry;
+    this.onKeyExhausted = onKeyExhausted;
+    this.exhausted = new Map(); // key ID → quota day it ran out on, for runs without a ledger
+  }
+
+  // Only for the quota day the key ran out on: it has a fresh quota after midnight Pacific Time
+  isExhausted(key) {
+    const id = apiKeyId(key);
+    return this.exhausted.get(id) === quotaDay() || Boolean(this.ledger?.isExhausted(id));
+  }
+
+  // A single key is always tried: the ledger can't know whether its quota was raised since
+  get apiKey() {
+    if (this.apiKeys.length === 1) return this.apiKeys[0];
+    return this.apiKeys.find(key => !this.isExhausted(key)) ?? null;
+  }
+
+  exhaust(key) {
+    const id = apiKeyId(key);
+    this.exhausted.set(id, quotaDay());
+    this.ledger?.markExhausted(id);
+  }
+
+  async get(endpoint, params = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const key = this.apiKey;
+      if (!key) {
+        throw new QuotaExceededError(`All ${this.apiKeys.length} YouTube API keys are out of quota for today`, { endpoint });
+      }
+      try {
+        // Quota is charged per request, whether or not it succeeds
+        this.ledger?.record(endpoint, apiKeyId(key));
+        const response = await axios.get(`${this.baseUrl}/${endpoint}`, {
+          params: { ...params, key }
+        });
+        return response.data;
+      } catch (rawError) {
+        const error = classifyApiError(rawError, endpoint);
+        if (error instanceof QuotaExceededError && this.apiKeys.length > 1) {
+          // Parallel requests can hit the same exhausted key; only the first one reports it
+          if (!this.isExhausted(key)) {
+            this.exhaust(key);
+            const next = this.apiKey;
+            this.onKeyExhausted?.({
+              key: apiKeyLabel(key),
+              next: next && apiKeyLabel(next),
+              position: next ? this.apiKeys.indexOf(next) + 1 : null,
+              total: this.apiKeys.length
+            });
+          }
+          attempt--; // switching keys is not a retry
+          continue;
+        }
+        if (!error.retryable || attempt >= this.retry.retries) throw error;
+
+        const ceiling = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** attempt);
+        const delay = Math.round(Math.random() * ceiling);
+        this.onRetry?.(error, attempt + 1, delay);
+        await sleep(delay);
+      }
+    }
+  }
+}
+
+// Fixture backend: in "record" mode it proxies another source and saves every
+// response to disk; in "replay" mode it serves those saved responses offline
+export class FixtureDataSource {
+  constructor({ dir = DEFAULT_FIXTURES_DIR, mode = 'replay', source = null } = {}) {
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Unknown fixture mode "${mode}" (expected "record" or "replay")`);
+    }
+    if (mode === 'record' && !source) {
+      throw new Error('Recording fixtures requires an upstream data source');
+    }
+    this.dir = dir;
+    this.mode = mode;
+    this.source = source;
+  }
+
+  fixturePath(endpoint, params) {
+    return path.join(this.dir, endpoint, `${requestHash(params)}.json`);
+  }
+
+  async get(endpoint, params = {}) {
+    const file = this.fixturePath(endpoint, params);
+
+    if (this.mode === 'record') {
+      const data = await this.source.get(endpoint, params);
+      const { key, ...recordedParams } = params;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify({ endpoint, params: recordedParams, data }, null, 2));
+      return data;
+    }
+
+    try {
+      const fixture = JSON.parse(await fs.readFile(file, 'utf-8'));
+      return fixture.data;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No fixture recorded for ${endpoint} ${JSON.stringify(params)} (expected ${file})`);
+      }
+      throw error;
+    }
+  }
+}
+
+// Serves fresh entries from a response cache (see lib/response-cache.js) and
+// stores everything fetched from the upstream source
+export class CachedDataSource {
+  constructor(source, cache) {
+    this.source = source;
+    this.cache = cache;
+  }
+
+  async get(endpoint, params = {}) {
+    const cached = await this.cache.read(endpoint, params);
+    if (cached !== undefined) return cached;
+
+    const data = await this.source.get(endpoint, params);
+    await this.cache.write(endpoint, params, data);
+    return data;
+  }
+}
+
+// Builds the data source selected by YOUTUBE_DATA_SOURCE: "http" (default),
+// "record" (live API + save fixtures) or "replay" (fixtures only, no key needed).
+// Live requests go through the response cache and quota ledger when given.
+export function createDataSource({
+  mode = process.env.YOUTUBE_DATA_SOURCE || 'http',
+  apiKey = process.env.YOUTUBE_API_KEY,
+  apiKeys = [apiKey],
+  fixturesDir = process.env.YOUTUBE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+  cache = null,
+  ledger = null,
+  onRetry = null,
+  onKeyExhausted = null
+} = {}) {
+  const live = () => {
+    const http = new HttpDataSource({ apiKeys, ledger, onRetry, onKeyExhausted });
+    return cache ? new CachedDataSource(http, cache) : http;
+  };
+
+  switch (mode) {
+    case 'http':
+      return live();
+    case 'record':
+      return new FixtureDataSource({ dir: fixturesDir, mode: 'record', source: live() });
+    case 'replay':
+      return new FixtureDataSource({ dir: fixturesDir, mode: 'replay' });
+    default:
+      throw new Error(`Unknown data source "${mode}" (expected "http", "record" or "replay")`);
+  }
+}
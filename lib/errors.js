@@ -0,0 +1,123 @@
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_NETWORK'];
+const QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+const KEY_REASONS = ['keyInvalid', 'keyExpired', 'accessNotConfigured', 'ipRefererBlocked'];
+// One private or restricted resource; the key itself is fine, so only that channel or playlist fails
+const ACCESS_REASONS = ['forbidden', 'channelForbidden', 'playlistForbidden', 'videoForbidden'];
+
+// An error returned by (or on the way to) the YouTube Data API, classified by
+// its payload `reason` so callers can decide whether to retry, skip or stop
+export class YouTubeApiError extends Error {
+  constructor(message, { reason, status = null, endpoint = null, retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = 'YouTubeApiError';
+    this.reason = reason;
+    this.status = status;
+    this.endpoint = endpoint;
+    this.retryable = retryable;
+  }
+
+  // Errors that will fail every following request too, so a batch should stop early
+  get stopsBatch() {
+    return this.reason === 'quotaExceeded' || this.reason === 'keyInvalid';
+  }
+}
+
+export class QuotaExceededError extends YouTubeApiError {
+  constructor(message, details) {
+    super(message, { ...details, reason: 'quotaExceeded', retryable: false });
+    this.name = 'QuotaExceededError';
+  }
+}
+
+// Missing API key, unknown LLM provider and similar setup problems; setting names the culprit
+export class ConfigurationError extends Error {
+  constructor(message, { setting = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ConfigurationError';
+    this.setting = setting;
+  }
+}
+
+// The channel reference couldn't be resolved (unknown handle, video or ambiguous search)
+export class ChannelNotFoundError extends Error {
+  constructor(message, { target = null, candidates = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ChannelNotFoundError';
+    this.target = target;
+    this.candidates = candidates;
+  }
+}
+
+// No public video (or playlist) with that ID; private and deleted ones look the same to the API
+export class VideoNotFoundError extends Error {
+  constructor(message, { target = null } = {}) {
+    super(message);
+    this.name = 'VideoNotFoundError';
+    this.target = target;
+  }
+}
+
+export class PlaylistNotFoundError extends Error {
+  constructor(message, { target = null } = {}) {
+    super(message);
+    this.name = 'PlaylistNotFoundError';
+    this.target = target;
+  }
+}
+
+// The channel resolved but no uploads matched the requested window
+export class NoVideosError extends Error {
+  constructor(message, { channelId = null } = {}) {
+    super(message);
+    this.name = 'NoVideosError';
+    this.channelId = channelId;
+  }
+}
+
+// A batch was refused because its estimated cost exceeds what is left of the daily quota
+export class BudgetExceededError extends Error {
+  constructor(message, { estimate, remaining, budget }) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.estimate = estimate;
+    this.remaining = remaining;
+    this.budget = budget;
+  }
+}
+
+export function classifyApiError(error, endpoint) {
+  if (error instanceof YouTubeApiError) return error;
+
+  const status = error.response?.status ?? null;
+  const payload = error.response?.data?.error;
+  const reason = payload?.errors?.[0]?.reason;
+  const detail = payload?.message || error.message;
+  const details = { status, endpoint, cause: error };
+
+  if (!error.response) {
+    if (NETWORK_ERROR_CODES.includes(error.code)) {
+      return new YouTubeApiError(`Network error calling ${endpoint} (${error.code})`, { ...details, reason: 'network', retryable: true });
+    }
+    return new YouTubeApiError(detail, { ...details, reason: 'unknown' });
+  }
+  if (QUOTA_REASONS.includes(reason)) {
+    return new QuotaExceededError(`YouTube API quota exceeded while calling ${endpoint}`, details);
+  }
+  if (RATE_LIMIT_REASONS.includes(reason) || status === 429) {
+    return new YouTubeApiError(`Rate limited by YouTube API on ${endpoint}`, { ...details, reason: 'rateLimitExceeded', retryable: true });
+  }
+  if (ACCESS_REASONS.includes(reason)) {
+    return new YouTubeApiError(`Access denied by YouTube API on ${endpoint}: ${detail}`, { ...details, reason: 'forbidden' });
+  }
+  if (KEY_REASONS.includes(reason) || (status === 400 && /api key/i.test(detail))) {
+    return new YouTubeApiError(`YouTube API key rejected: ${detail}`, { ...details, reason: 'keyInvalid' });
+  }
+  if (status >= 500) {
+    return new YouTubeApiError(`YouTube API server error ${status} on ${endpoint}`, { ...details, reason: 'serverError', retryable: true });
+  }
+  if (status === 404) {
+    return new YouTubeApiError(`Not found: ${detail}`, { ...details, reason: reason || 'notFound' });
+  }
+  return new YouTubeApiError(`YouTube API error ${status} on ${endpoint}: ${detail}`, { ...details, reason: reason || 'apiError' });
+}
@@ -0,0 +1,194 @@
+import fs from 'fs/promises';
+import { DEFAULT_MAX_VIDEOS, DEFAULT_PLAYLIST_VIDEOS } from './command-options.js';
+
+// Bump the major version on breaking changes to the JSON or CSV layout (see spec/output-schema.md)
+export const SCHEMA_VERSION = '1.11.0';
+
+export const VIDEO_CSV_COLUMNS = [
+  'channelId',
+  'channelHandle',
+  'channelTitle',
+  'videoId',
+  'title',
+  'url',
+  'publishedAt',
+  'kind',
+  'durationSeconds',
+  'duration',
+  'views',
+  'likes',
+  'thumbnail',
+  'comments'
+];
+
+export const COMPARISON_CSV_COLUMNS = [
+  'channelHandle',
+  'channelTitle',
+  'baseline',
+  'subscribers',
+  'videosAnalyzed',
+  'uploadsPerWeek',
+  'medianGapDays',
+  'medianViews',
+  'viewsPerSubscriber',
+  'medianViewsPerDay',
+  'likeRate',
+  'commentRate',
+  'medianDurationSeconds',
+  'shortsShare',
+  'mainDurationBucket',
+  'bestDurationBucket',
+  'durationFit'
+];
+
+function describeWindow(options = {}, playlist = null) {
+  // Mirrors getChannelVideos: a date window without a count is unbounded (null)
+  const maxVideos = options.maxVideos ?? (playlist ? DEFAULT_PLAYLIST_VIDEOS : options.since ? Infinity : DEFAULT_MAX_VIDEOS);
+  return {
+    maxVideos: Number.isFinite(maxVideos) ? maxVideos : null,
+    since: options.since?.toISOString() ?? null,
+    until: options.until?.toISOString() ?? null,
+    exclude: options.exclude ?? [],
+    only: options.only ?? []
+  };
+}
+
+function describeChannel(result) {
+  const { channelInfo } = result;
+  return {
+    id: channelInfo.id,
+    handle: result.channelName,
+    title: channelInfo.snippet.title,
+    customUrl: channelInfo.snippet.customUrl ?? null,
+    subscribers: channelInfo.statistics.hiddenSubscriberCount ? null : parseInt(channelInfo.statistics.subscriberCount) || 0,
+    totalViews: parseInt(channelInfo.statistics.viewCount) || 0,
+    videoCount: parseInt(channelInfo.statistics.videoCount) || 0,
+    resolvedVia: result.resolution?.method ?? null,
+    group: result.group ?? null,
+    tags: result.tags ?? []
+  };
+}
+
+// Full analyzeChannel (or analyzePlaylist) result as a plain, versioned JSON document
+export function buildAnalysisDocument(result, generatedAt = new Date()) {
+  return {
+    schema: 'youtube-agent/channel-analysis',
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    channel: describeChannel(result),
+    playlist: result.playlist ?? null,
+    window: describeWindow(result.options, result.playlist),
+    warnings: result.warnings ?? [],
+    videos: result.videos,
+    // Top videos are referenced by ID instead of repeating the video objects
+    insights: { ...result.insights, topVideos: result.insights.topVideos.map(video => video.videoId) },
+    recommendations: result.recommendations
+  };
+}
+
+// analyzeVideo result; window describes the uploads the video was compared with
+export function buildVideoDocument(result, generatedAt = new Date()) {
+  return {
+    schema: 'youtube-agent/video-analysis',
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    channel: describeChannel(result),
+    window: describeWindow(result.options),
+    warnings: result.warnings ?? [],
+    video: { ...result.video, category: result.category },
+    analysis: result.analysis,
+    transcript: result.transcript
+  };
+}
+
+export function buildBatchDocument(results, errors = [], remaining = [], comparison = null, rollups = null, generatedAt = new Date()) {
+  return {
+    schema: 'youtube-agent/batch-analysis',
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    channels: results.map(result => buildAnalysisDocument(result, generatedAt)),
+    comparison,
+    rollups,
+    failed: errors,
+    notAnalyzed: remaining.map(channel => channel.target)
+  };
+}
+
+export function buildComparisonDocument(comparison, results, errors = [], generatedAt = new Date()) {
+  return {
+    schema: 'youtube-agent/channel-comparison',
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    window: describeWindow(results[0]?.options),
+    comparison,
+    channels: results.map(result => buildAnalysisDocument(result, generatedAt)),
+    failed: errors
+  };
+}
+
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per video across every given channel result
+export function videosToCsv(results) {
+  const rows = [VIDEO_CSV_COLUMNS.join(',')];
+  for (const result of results) {
+    const channel = {
+      channelId: result.channelInfo.id,
+      channelHandle: result.channelName,
+      channelTitle: result.channelInfo.snippet.title
+    };
+    for (const video of result.videos) {
+      const row = { ...channel, ...video };
+      rows.push(VIDEO_CSV_COLUMNS.map(column => csvEscape(row[column])).join(','));
+    }
+  }
+  return rows.join('\n') + '\n';
+}
+
+// One row per channel with the normalized comparison metrics
+export function comparisonToCsv(comparison) {
+  const rows = [COMPARISON_CSV_COLUMNS.join(',')];
+  for (const channel of comparison.channels) {
+    const row = {
+      ...channel,
+      channelHandle: channel.channelName,
+      channelTitle: channel.title,
+      baseline: channel.channelName === comparison.baseline,
+      medianDurationSeconds: channel.duration.medianSeconds,
+      shortsShare: channel.duration.shortsShare,
+      mainDurationBucket: channel.duration.mainBucket,
+      bestDurationBucket: channel.duration.bestBucket
+    };
+    rows.push(COMPARISON_CSV_COLUMNS.map(column => csvEscape(row[column])).join(','));
+  }
+  return rows.join('\n') + '\n';
+}
+
+export async function writeJsonReport(result, filename) {
+  await fs.writeFile(filename, JSON.stringify(buildAnalysisDocument(result), null, 2));
+  return filename;
+}
+
+export async function writeVideoJson(result, filename) {
+  await fs.writeFile(filename, JSON.stringify(buildVideoDocument(result), null, 2));
+  return filename;
+}
+
+export async function writeCsvReport(results, filename) {
+  await fs.writeFile(filename, videosToCsv(results));
+  return filename;
+}
+
+export async function writeComparisonJson(comparison, results, errors, filename) {
+  await fs.writeFile(filename, JSON.stringify(buildComparisonDocument(comparison, results, errors), null, 2));
+  return filename;
+}
+
+export async function writeComparisonCsv(comparison, filename) {
+  await fs.writeFile(filename, comparisonToCsv(comparison));
+  return filename;
+}
@@ -0,0 +1,57 @@
+// Number and metric formatting shared by the console, markdown and insight text
+
+// Locale and time zone for dates and numbers in reports (--locale, --timezone or the
+// project config); left unset, the system defaults apply
+const display = { locale: undefined, timeZone: undefined };
+
+export function setDisplayLocale({ locale, timeZone } = {}) {
+  display.locale = locale;
+  display.timeZone = timeZone;
+}
+
+export function formatInteger(num) {
+  return num.toLocaleString(display.locale);
+}
+
+export function formatDate(value, options = {}) {
+  return new Date(value).toLocaleDateString(display.locale, { timeZone: display.timeZone, ...options });
+}
+
+export function formatDateTime(value, options = {}) {
+  return new Date(value).toLocaleString(display.locale, { timeZone: display.timeZone, ...options });
+}
+
+export function formatNumber(num) {
+  // A configured locale gets its own compact notation (1,2 Mio., 28.5万)
+  if (display.locale) {
+    return new Intl.NumberFormat(display.locale, { notation: 'compact', maximumFractionDigits: 1 }).format(num);
+  }
+  if (num >= 1000000) {
+    return (num / 1000000).toFixed(1) + 'M';
+  } else if (num >= 1000) {
+    return (num / 1000).toFixed(1) + 'K';
+  }
+  return String(Math.round(num));
+}
+
+export function formatMetric(metric, value) {
+  if (value === null || value === undefined) return 'n/a';
+  switch (metric) {
+    case 'uploadsPerWeek': return `${Number(value.toFixed(2))}/week`;
+    case 'viewsPerSubscriber': return `${(value * 100).toFixed(1)}% of subs`;
+    case 'medianViewsPerDay': return `${formatNumber(value)}/day`;
+    case 'likeRate':
+    case 'commentRate': return `${(value * 100).toFixed(2)}%`;
+    case 'durationFit': return `${Math.round(value * 100)}% of best length`;
+    default: return formatNumber(Math.round(value));
+  }
+}
+
+export function describeBaselineMetric(entry) {
+  let line = `${formatMetric(entry.metric, entry.value)}`;
+  if (entry.competitorMedian !== null) {
+    line += ` vs competitor median ${formatMetric(entry.metric, entry.competitorMedian)}`;
+    if (entry.difference !== null) line += ` (${entry.difference >= 0 ? '+' : ''}${Math.round(entry.difference * 100)}%)`;
+  }
+  return `${line} • rank ${entry.rank}/${entry.of}${entry.rank > 1 ? ` (leader @${entry.leader})` : ''}`;
+}
@@ -0,0 +1,464 @@
+import fs from 'fs/promises';
+import { COMPARISON_METRICS } from './channel-comparison.js';
+import { viewsPerDay } from './schedule-analysis.js';
+import { summarizeVideo } from './video-analysis.js';
+import { formatInteger, formatNumber, formatMetric, formatDate, formatDateTime } from './formatting.js';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 280;
+const MARGIN = { top: 16, right: 16, bottom: 40, left: 64 };
+const COLORS = ['#e63946', '#457b9d', '#2a9d8f', '#f4a261', '#6d597a', '#8ab17d', '#264653', '#e76f51'];
+const KIND_COLORS = { video: COLORS[1], short: COLORS[2], live: COLORS[3], premiere: COLORS[4] };
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0 auto; max-width: 1080px; padding: 24px; color: #1d1d1f; background: #fafafa; }
+  h1 { margin-bottom: 4px; }
+  .meta { color: #666; margin-bottom: 24px; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 12px; margin-bottom: 24px; }
+  .card { background: #fff; border-radius: 8px; padding: 12px 16px; box-shadow: 0 1px 3px rgba(0,0,0,.08); }
+  .card .value { font-size: 1.5em; font-weight: 600; }
+  .card .label { color: #666; font-size: .85em; }
+  section { background: #fff; border-radius: 8px; padding: 16px 20px; margin-bottom: 20px; box-shadow: 0 1px 3px rgba(0,0,0,.08); }
+  .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(480px, 1fr)); gap: 20px; }
+  svg { width: 100%; height: auto; }
+  svg text { font-size: 11px; fill: #555; }
+  table { border-collapse: collapse; width: 100%; font-size: .9em; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; }
+  th { cursor: pointer; user-select: none; background: #f3f3f3; position: sticky; top: 0; }
+  th.sorted-asc::after { content: " ▲"; }
+  th.sorted-desc::after { content: " ▼"; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  .legend { font-size: .85em; color: #555; }
+  .legend span { margin-right: 12px; }
+  .warning { background: #fff3cd; border-radius: 6px; padding: 8px 12px; margin-bottom: 12px; }
+  footer { color: #999; font-size: .85em; text-align: center; margin-top: 32px; }
+`;
+
+// Click-to-sort for every table.sortable; numeric cells sort by their data-value
+const SORT_SCRIPT = `
+  document.querySelectorAll('table.sortable').forEach(table => {
+    table.querySelectorAll('th').forEach((th, column) => {
+      th.addEventListener('click', () => {
+        const ascending = !th.classList.contains('sorted-asc');
+        table.querySelectorAll('th').forEach(other => other.classList.remove('sorted-asc', 'sorted-desc'));
+        th.classList.add(ascending ? 'sorted-asc' : 'sorted-desc');
+        const body = table.tBodies[0];
+        const value = row => {
+          const cell = row.cells[column];
+          return cell.dataset.value !== undefined ? Number(cell.dataset.value) : cell.textContent.trim().toLowerCase();
+        };
+        [...body.rows]
+          .sort((a, b) => (value(a) > value(b) ? 1 : value(a) < value(b) ? -1 : 0) * (ascending ? 1 : -1))
+          .forEach(row => body.appendChild(row));
+      });
+    });
+  });
+`;
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const shortDate = timestamp => formatDate(timestamp, { year: 'numeric', month: 'short', day: 'numeric' });
+
+// Linear scale, or log10 when the values span more than two orders of magnitude
+function makeScale(values, [rangeStart, rangeEnd], allowLog = false) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const useLog = allowLog && min > 0 && max / min > 100;
+  const transform = useLog ? Math.log10 : value => value;
+  const low = transform(min);
+  const high = transform(max);
+  const span = high - low || 1;
+  const scale = value => rangeStart + ((transform(value) - low) / span) * (rangeEnd - rangeStart);
+
+  const ticks = [];
+  if (useLog) {
+    for (let power = Math.floor(low); power <= Math.ceil(high); power++) {
+      const tick = 10 ** power;
+      if (tick >= min && tick <= max) ticks.push(tick);
+    }
+  } else {
+    for (let i = 0; i <= 4; i++) ticks.push(min + ((max - min) * i) / 4);
+  }
+  return { scale, ticks: ticks.length > 0 ? ticks : [min, max], useLog };
+}
+
+// Scatter plot (optionally joined as a line) with axis ticks and native hover titles
+export function scatterChart({ points, xLabel, yLabel, formatX = formatNumber, formatY = formatNumber, line = false, logY = true }) {
+  if (points.length === 0) return '<p>No data to chart.</p>';
+
+  const plotRight = CHART_WIDTH - MARGIN.right;
+  const plotBottom = CHART_HEIGHT - MARGIN.bottom;
+  const x = makeScale(points.map(p => p.x), [MARGIN.left, plotRight]);
+  const y = makeScale(points.map(p => p.y), [plotBottom, MARGIN.top], logY);
+
+  let svg = `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHtml(yLabel)} by ${escapeHtml(xLabel)}">`;
+  svg += `<line x1="${MARGIN.left}" y1="${plotBottom}" x2="${plotRight}" y2="${plotBottom}" stroke="#ccc"/>`;
+  svg += `<line x1="${MARGIN.left}" y1="${MARGIN.top}" x2="${MARGIN.left}" y2="${plotBottom}" stroke="#ccc"/>`;
+
+  y.ticks.forEach(tick => {
+    const ty = y.scale(tick).toFixed(1);
+    svg += `<line x1="${MARGIN.left}" y1="${ty}" x2="${plotRight}" y2="${ty}" stroke="#f0f0f0"/>`;
+    svg += `<text x="${MARGIN.left - 6}" y="${ty}" text-anchor="end" dominant-baseline="middle">${escapeHtml(formatY(tick))}</text>`;
+  });
+  x.ticks.forEach(tick => {
+    svg += `<text x="${x.scale(tick).toFixed(1)}" y="${plotBottom + 16}" text-anchor="middle">${escapeHtml(formatX(tick))}</text>`;
+  });
+  svg += `<text x="${(MARGIN.left + plotRight) / 2}" y="${CHART_HEIGHT - 6}" text-anchor="middle">${escapeHtml(xLabel)}</text>`;
+  svg += `<text x="14" y="${(MARGIN.top + plotBottom) / 2}" text-anchor="middle" transform="rotate(-90 14 ${(MARGIN.top + plotBottom) / 2})">${escapeHtml(yLabel)}${y.useLog ? ' (log)' : ''}</text>`;
+
+  if (line) {
+    const path = [...points].sort((a, b) => a.x - b.x).map(p => `${x.scale(p.x).toFixed(1)},${y.scale(p.y).toFixed(1)}`).join(' ');
+    svg += `<polyline points="${path}" fill="none" stroke="${COLORS[1]}" stroke-width="1.5" opacity=".6"/>`;
+  }
+  points.forEach(p => {
+    svg += `<circle cx="${x.scale(p.x).toFixed(1)}" cy="${y.scale(p.y).toFixed(1)}" r="4" fill="${p.color || COLORS[0]}" opacity=".75"><title>${escapeHtml(p.label)}</title></circle>`;
+  });
+  return svg + '</svg>';
+}
+
+// Horizontal bar chart
+export function barChart({ bars, formatValue = formatNumber }) {
+  if (bars.length === 0) return '<p>No data to chart.</p>';
+
+  const rowHeight = 24;
+  const labelWidth = 160;
+  const height = bars.length * rowHeight + 8;
+  const max = Math.max(...bars.map(bar => bar.value)) || 1;
+  const barSpace = CHART_WIDTH - labelWidth - 60;
+
+  let svg = `<svg viewBox="0 0 ${CHART_WIDTH} ${height}" role="img">`;
+  bars.forEach((bar, index) => {
+    const top = index * rowHeight + 4;
+    const width = Math.max((bar.value / max) * barSpace, 1);
+    svg += `<text x="${labelWidth - 8}" y="${top + rowHeight / 2}" text-anchor="end" dominant-baseline="middle">${escapeHtml(bar.label)}</text>`;
+    svg += `<rect x="${labelWidth}" y="${top + 3}" width="${width.toFixed(1)}" height="${rowHeight - 6}" rx="3" fill="${bar.color || COLORS[index % COLORS.length]}"><title>${escapeHtml(bar.title || `${bar.label}: ${formatValue(bar.value)}`)}</title></rect>`;
+    svg += `<text x="${(labelWidth + width + 6).toFixed(1)}" y="${top + rowHeight / 2}" dominant-baseline="middle">${escapeHtml(formatValue(bar.value))}</text>`;
+  });
+  return svg + '</svg>';
+}
+
+// Title terms by lift (average views with the term vs without), weakest in a muted color
+function titleKeywordBars(titles) {
+  return [...titles.topTerms, ...titles.weakTerms].map(term => ({
+    label: term.term,
+    value: term.lift,
+    color: term.lift >= 1 ? COLORS[2] : '#bbb',
+    title: `"${term.term}": ${term.lift.toFixed(2)}x views in ${term.count} videos`
+  }));
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body}
+<footer>Generated by YouTube AI Agent on ${escapeHtml(formatDateTime(new Date()))}</footer>
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function listSection(heading, items) {
+  if (!items?.length) return '';
+  return `<h3>${escapeHtml(heading)}</h3><ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+}
+
+function videoTable(videos) {
+  const rows = [...videos].sort((a, b) => b.views - a.views).map(video => `
+    <tr>
+      <td><a href="${escapeHtml(video.url)}">${escapeHtml(video.title)}</a></td>
+      <td data-value="${Date.parse(video.publishedAt)}">${escapeHtml(formatDate(video.publishedAt))}</td>
+      <td class="num" data-value="${video.views}">${formatInteger(video.views)}</td>
+      <td class="num" data-value="${video.likes}">${formatInteger(video.likes)}</td>
+      <td class="num" data-value="${video.durationSeconds}">${escapeHtml(video.duration)}</td>
+      <td>${escapeHtml(video.kind)}</td>
+    </tr>`).join('');
+  return `<table class="sortable">
+    <thead><tr><th>Title</th><th>Published</th><th>Views</th><th>Likes</th><th>Duration</th><th>Kind</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+export function renderChannelHtml(result) {
+  const { channelName, channelInfo, videos, insights, recommendations, playlist, warnings = [] } = result;
+  const subscribers = parseInt(channelInfo.statistics.subscriberCount) || 0;
+  const totalLikes = videos.reduce((sum, video) => sum + video.likes, 0);
+  const totalViews = videos.reduce((sum, video) => sum + video.views, 0);
+  const label = video => `${video.title} — ${formatNumber(video.views)} views`;
+
+  const viewsOverTime = scatterChart({
+    points: videos.map(video => ({ x: Date.parse(video.publishedAt), y: video.views, label: label(video) })),
+    xLabel: 'Publish date',
+    yLabel: 'Views',
+    formatX: shortDate,
+    line: true
+  });
+  const durationVsViews = scatterChart({
+    points: videos.filter(video => video.durationSeconds > 0).map(video => ({
+      x: video.durationSeconds / 60,
+      y: video.views,
+      label: `${label(video)} • ${video.duration}`,
+      color: KIND_COLORS[video.kind]
+    })),
+    xLabel: 'Duration (minutes)',
+    yLabel: 'Views',
+    formatX: value => value.toFixed(0)
+  });
+  const keywords = barChart({ bars: titleKeywordBars(insights.titles), formatValue: value => `${value.toFixed(1)}x` });
+
+  const body = `
+${playlist
+    ? `<h1>📚 ${escapeHtml(playlist.title)}</h1>
+<div class="meta"><a href="${escapeHtml(playlist.url)}">Playlist</a> by ${escapeHtml(channelInfo.snippet.title)} (@${escapeHtml(channelName)}) • ${videos.length} of ${playlist.itemCount} videos analyzed</div>`
+    : `<h1>🎥 ${escapeHtml(channelInfo.snippet.title)}</h1>
+<div class="meta">@${escapeHtml(channelName)} • ${videos.length} videos analyzed</div>`}
+${warnings.map(warning => `<div class="warning">⚠️ ${escapeHtml(warning)}</div>`).join('')}
+<div class="cards">
+  <div class="card"><div class="value">${formatNumber(subscribers)}</div><div class="label">Subscribers</div></div>
+  <div class="card"><div class="value">${formatNumber(insights.medianViews)}</div><div class="label">Median views</div></div>
+  <div class="card"><div class="value">${formatNumber(insights.topVideos[0]?.views || 0)}</div><div class="label">Top video views</div></div>
+  <div class="card"><div class="value">${totalViews > 0 ? ((totalLikes / totalViews) * 100).toFixed(1) : '0.0'}%</div><div class="label">Like rate</div></div>
+</div>
+<section>
+  <h2>🔍 Key Insights</h2>
+  ${listSection('📈 Performance Patterns', insights.performancePatterns)}
+  ${listSection('🗓️ Publishing Schedule', insights.schedulePatterns)}
+  ${listSection('🎯 Content Themes', insights.contentThemes)}
+  ${listSection('📊 Optimization Opportunities', insights.optimizationOpportunities)}
+</section>
+<section>
+  <h2>💡 Your Next Video</h2>
+  <ol>${recommendations.recommendations.map(rec => `<li>${escapeHtml(rec)}</li>`).join('')}</ol>
+  <p><strong>💯 Success Formula:</strong> ${escapeHtml(recommendations.successFormula)}</p>
+  ${recommendations.source && recommendations.source !== 'templates' ? `<p class="meta">Title ideas generated by ${escapeHtml(recommendations.source)}</p>` : ''}
+</section>
+<div class="charts">
+  <section><h2>Views by Publish Date</h2>${viewsOverTime}</section>
+  <section><h2>Duration vs Views</h2>${durationVsViews}
+    <div class="legend">${Object.entries(KIND_COLORS).map(([kind, color]) => `<span style="color:${color}">●</span> ${kind}`).join(' ')}</div>
+  </section>
+</div>
+<section><h2>Title Keywords by Lift</h2>${keywords}</section>
+<section><h2>All Videos</h2>${videoTable(videos)}</section>`;
+
+  return page(playlist ? `YouTube Playlist Analysis: ${playlist.title}` : `YouTube Channel Analysis: ${channelInfo.snippet.title}`, body);
+}
+
+// result is YouTubeAgent#analyzeVideo's return value
+export function renderVideoHtml(result) {
+  const { channelName, channelInfo, video, uploads, analysis, warnings = [] } = result;
+  const { performance, metadata, opportunities } = summarizeVideo(result);
+  const metric = name => analysis.comparison.metrics.find(entry => entry.metric === name);
+  const pace = metric('viewsPerDay');
+  const likeRate = metric('likeRate');
+
+  // The video's views per day among the uploads it was compared with
+  const baseline = new Set(analysis.comparison.baselineVideoIds);
+  const paceChart = scatterChart({
+    points: [...uploads.filter(upload => baseline.has(upload.videoId)), video].map(entry => ({
+      x: Date.parse(entry.publishedAt),
+      y: Math.max(viewsPerDay(entry), 1),
+      label: `${entry.title} — ${formatNumber(viewsPerDay(entry))} views/day`,
+      color: entry === video ? COLORS[0] : '#bbb'
+    })),
+    xLabel: 'Publish date',
+    yLabel: 'Views per day',
+    formatX: shortDate
+  });
+  const ratios = barChart({
+    bars: analysis.comparison.metrics.filter(entry => entry.ratio !== null && entry.metric !== 'durationSeconds').map(entry => ({
+      label: entry.label,
+      value: entry.ratio,
+      color: entry.ratio >= 1 ? COLORS[2] : '#bbb'
+    })),
+    formatValue: value => `${value.toFixed(2)}x`
+  });
+
+  const body = `
+<h1>🎬 ${escapeHtml(video.title)}</h1>
+<div class="meta"><a href="${escapeHtml(video.url)}">${escapeHtml(video.url)}</a> • ${escapeHtml(channelInfo.snippet.title)} (@${escapeHtml(channelName)}) • ${escapeHtml(formatDate(video.publishedAt))} • ${escapeHtml(video.duration)} ${escapeHtml(video.kind)}</div>
+${warnings.map(warning => `<div class="warning">⚠️ ${escapeHtml(warning)}</div>`).join('')}
+<div class="cards">
+  <div class="card"><div class="value">${formatNumber(video.views)}</div><div class="label">Views</div></div>
+  <div class="card"><div class="value">${formatNumber(pace.value)}</div><div class="label">Views per day (median ${pace.channelMedian === null ? 'n/a' : formatNumber(pace.channelMedian)})</div></div>
+  <div class="card"><div class="value">${likeRate.value === null ? 'n/a' : `${(likeRate.value * 100).toFixed(1)}%`}</div><div class="label">Like rate</div></div>
+  <div class="card"><div class="value">${analysis.comparison.paceRank === null ? 'n/a' : `#${analysis.comparison.paceRank} of ${analysis.comparison.of}`}</div><div class="label">Rank by views per day</div></div>
+</div>
+<section>
+  <h2>📈 Compared with the Channel</h2>
+  <ul>${performance.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+</section>
+<div class="charts">
+  <section><h2>Views per Day vs Recent Uploads</h2>${paceChart}</section>
+  <section><h2>Against the Channel Median</h2>${ratios}</section>
+</div>
+<section>
+  <h2>🏷️ Metadata</h2>
+  <ul>${metadata.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+  ${analysis.tags.count > 0 ? `<p><strong>Tags:</strong> ${analysis.tags.tags.map(escapeHtml).join(', ')}</p>` : ''}
+  ${analysis.links.length > 0 ? `<table><thead><tr><th>Link</th><th>Kind</th></tr></thead><tbody>${analysis.links.map(link => `<tr><td><a href="${escapeHtml(link.url)}">${escapeHtml(link.url)}</a></td><td>${escapeHtml(link.kind)}</td></tr>`).join('')}</tbody></table>` : ''}
+  ${analysis.chaptersValid ? listSection('Chapters', analysis.chapters.map(chapter => `${chapter.timestamp} ${chapter.title}`)) : ''}
+</section>
+${opportunities.length > 0 ? `<section><h2>💡 Opportunities</h2><ul>${opportunities.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul></section>` : ''}`;
+
+  return page(`YouTube Video Analysis: ${video.title}`, body);
+}
+
+export function channelHtmlFilename(result) {
+  return `youtube-${result.channelName}-report.html`;
+}
+
+function comparisonSections(comparison, colorFor) {
+  const baseline = comparison.channels[0];
+  const metricBars = metric => barChart({
+    bars: comparison.rankings[metric].map(entry => ({ label: `@${entry.channelName}`, value: entry.value, color: colorFor(entry.channelName) })),
+    formatValue: value => formatMetric(metric, value)
+  });
+  const stackUp = comparison.baselineMetrics.map(entry => {
+    const versus = entry.competitorMedian === null ? ''
+      : ` vs competitor median ${formatMetric(entry.metric, entry.competitorMedian)}${entry.difference === null ? '' : ` (${entry.difference >= 0 ? '+' : ''}${Math.round(entry.difference * 100)}%)`}`;
+    return `<li><strong>${escapeHtml(entry.label)}:</strong> ${formatMetric(entry.metric, entry.value)}${versus} • rank ${entry.rank}/${entry.of}</li>`;
+  });
+  const rankings = COMPARISON_METRICS
+    .filter(({ metric }) => comparison.rankings[metric].length > 0)
+    .map(({ metric, label }) => `<tr><td>${escapeHtml(label)}</td><td>${comparison.rankings[metric]
+      .map(entry => `${entry.rank}. @${escapeHtml(entry.channelName)} (${formatMetric(metric, entry.value)})`).join('<br>')}</td></tr>`);
+  const owned = Object.entries(comparison.themes.owned).map(([channelName, themes]) =>
+    `<li><strong>@${escapeHtml(channelName)}:</strong> ${themes.length ? themes.map(theme => `“${escapeHtml(theme.term)}” (${theme.count})`).join(', ') : 'no distinct themes'}</li>`);
+  const shared = comparison.themes.shared.map(theme =>
+    `<li>“${escapeHtml(theme.term)}”: ${theme.channels.map(c => `@${escapeHtml(c.channelName)} (${c.count})`).join(', ')}</li>`);
+
+  return `
+<section><h2>⚖️ How @${escapeHtml(baseline.channelName)} Stacks Up</h2><ul>${stackUp.join('')}</ul></section>
+<div class="charts">
+  <section><h2>Views per Subscriber</h2>${metricBars('viewsPerSubscriber')}</section>
+  <section><h2>Views per Day Since Publish</h2>${metricBars('medianViewsPerDay')}</section>
+  <section><h2>Uploads per Week</h2>${metricBars('uploadsPerWeek')}</section>
+  <section><h2>Rankings</h2><table><tbody>${rankings.join('')}</tbody></table></section>
+</div>
+<section><h2>🏷️ Title Themes</h2><h3>Owned</h3><ul>${owned.join('')}</ul>${shared.length ? `<h3>Shared</h3><ul>${shared.join('')}</ul>` : ''}</section>`;
+}
+
+function rollupTable(heading, rollups) {
+  if (rollups.length === 0) return '';
+  return `<section><h2>${escapeHtml(heading)}</h2><table class="sortable">
+    <thead><tr><th>Name</th><th>Channels</th><th>Subscribers</th><th>Median views</th><th>Views/subscriber</th><th>Views/day</th><th>Uploads/week</th><th>Like rate</th><th>Leader</th></tr></thead>
+    <tbody>${rollups.map(rollup => `
+      <tr>
+        <td>${escapeHtml(rollup.name)}</td>
+        <td class="num" data-value="${rollup.channels.length}" title="${escapeHtml(rollup.channels.map(name => `@${name}`).join(', '))}">${rollup.channels.length}</td>
+        <td class="num" data-value="${rollup.subscribers}">${formatNumber(rollup.subscribers)}</td>
+        ${['medianViews', 'viewsPerSubscriber', 'medianViewsPerDay', 'uploadsPerWeek', 'likeRate'].map(metric =>
+          `<td class="num" data-value="${rollup[metric] ?? ''}">${formatMetric(metric, rollup[metric])}</td>`).join('')}
+        <td>@${escapeHtml(rollup.leader)}</td>
+      </tr>`).join('')}
+    </tbody>
+  </table></section>`;
+}
+
+// channelHref points each row at that channel's page; the default is the file written next to the batch report
+export function renderBatchHtml(results, errors = [], remaining = [], { comparison = null, rollups = null, title = 'YouTube Batch Analysis', channelHref = channelHtmlFilename } = {}) {
+  const median = values => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  };
+  const rows = results.map((result, index) => {
+    const subscribers = parseInt(result.channelInfo.statistics.subscriberCount) || 0;
+    const views = result.videos.map(video => video.views);
+    const totalViews = views.reduce((sum, value) => sum + value, 0);
+    const totalLikes = result.videos.reduce((sum, video) => sum + video.likes, 0);
+    return {
+      result,
+      color: COLORS[index % COLORS.length],
+      subscribers,
+      avgViews: result.insights.avgViews,
+      medianViews: median(views),
+      likeRate: totalViews > 0 ? totalLikes / totalViews : 0,
+      medianMinutes: median(result.videos.map(video => video.durationSeconds / 60))
+    };
+  });
+
+  const channelBars = (key, formatValue) => barChart({
+    bars: rows.map(row => ({ label: row.result.channelInfo.snippet.title, value: row[key], color: row.color })),
+    formatValue
+  });
+  const allVideos = scatterChart({
+    points: rows.flatMap(row => row.result.videos.map(video => ({
+      x: Date.parse(video.publishedAt),
+      y: video.views,
+      label: `${row.result.channelInfo.snippet.title}: ${video.title} — ${formatNumber(video.views)} views`,
+      color: row.color
+    }))),
+    xLabel: 'Publish date',
+    yLabel: 'Views',
+    formatX: shortDate
+  });
+
+  const table = `<table class="sortable">
+    <thead><tr><th>Channel</th><th>Subscribers</th><th>Videos</th><th>Avg views</th><th>Median views</th><th>Like rate</th><th>Median length</th><th>Top video</th></tr></thead>
+    <tbody>${rows.map(row => `
+      <tr>
+        <td><span style="color:${row.color}">●</span> <a href="${escapeHtml(channelHref(row.result))}">${escapeHtml(row.result.channelInfo.snippet.title)}</a></td>
+        <td class="num" data-value="${row.subscribers}">${formatNumber(row.subscribers)}</td>
+        <td class="num" data-value="${row.result.videos.length}">${row.result.videos.length}</td>
+        <td class="num" data-value="${row.avgViews}">${formatNumber(row.avgViews)}</td>
+        <td class="num" data-value="${row.medianViews}">${formatNumber(row.medianViews)}</td>
+        <td class="num" data-value="${row.likeRate}">${(row.likeRate * 100).toFixed(1)}%</td>
+        <td class="num" data-value="${row.medianMinutes}">${row.medianMinutes.toFixed(1)} min</td>
+        <td><a href="${escapeHtml(row.result.insights.topVideos[0]?.url)}">${escapeHtml(row.result.insights.topVideos[0]?.title)}</a></td>
+      </tr>`).join('')}
+    </tbody>
+  </table>`;
+
+  const problems = [
+    ...errors.map(error => `<li><strong>@${escapeHtml(error.channel)}:</strong> ${escapeHtml(error.error)}</li>`),
+    ...remaining.map(channel => `<li><strong>@${escapeHtml(channel.handle)}:</strong> not analyzed (batch stopped early)</li>`)
+  ];
+
+  const body = `
+<h1>📊 ${escapeHtml(title)}</h1>
+<div class="meta">${results.length} channels analyzed • ${errors.length} failed${remaining.length ? ` • ${remaining.length} not analyzed` : ''}</div>
+<section><h2>Channels Side by Side</h2>${table}</section>
+<div class="charts">
+  <section><h2>Median Views</h2>${channelBars('medianViews')}</section>
+  <section><h2>Subscribers</h2>${channelBars('subscribers')}</section>
+  <section><h2>Like Rate</h2>${channelBars('likeRate', value => `${(value * 100).toFixed(1)}%`)}</section>
+  <section><h2>Median Video Length</h2>${channelBars('medianMinutes', value => `${value.toFixed(1)} min`)}</section>
+</div>
+<section><h2>All Videos by Publish Date</h2>${allVideos}</section>
+${rollups ? rollupTable('Groups', rollups.groups) + rollupTable('Tags', rollups.tags.map(tag => ({ ...tag, name: `#${tag.name}` }))) : ''}
+${comparison ? comparisonSections(comparison, channelName => rows.find(row => row.result.channelName === channelName).color) : ''}
+${problems.length ? `<section><h2>Failed Channels</h2><ul>${problems.join('')}</ul></section>` : ''}`;
+
+  return page(title, body);
+}
+
+export async function writeHtmlReport(result, filename) {
+  await fs.writeFile(filename, renderChannelHtml(result));
+  return filename;
+}
+
+export async function writeVideoHtmlReport(result, filename) {
+  await fs.writeFile(filename, renderVideoHtml(result));
+  return filename;
+}
+
+export async function writeBatchHtmlReport(results, errors, remaining, filename, options = {}) {
+  await fs.writeFile(filename, renderBatchHtml(results, errors, remaining, options));
+  return filename;
+}
@@ -0,0 +1,34 @@
+// Programmatic entry point: `import { YouTubeAgent } from 'youtube-ai-agent'`.
+// index.js at the repository root is the CLI built on top of these exports.
+export { YouTubeAgent, DEFAULT_WATCH_INTERVAL } from './agent.js';
+export {
+  YouTubeApiError,
+  QuotaExceededError,
+  ConfigurationError,
+  ChannelNotFoundError,
+  VideoNotFoundError,
+  PlaylistNotFoundError,
+  NoVideosError,
+  BudgetExceededError
+} from './errors.js';
+export { parseCommand, parseArgs, describeVideoWindow, formatInterval, DEFAULT_MAX_VIDEOS, DEFAULT_PLAYLIST_VIDEOS, DEFAULT_FORMATS, OUTPUT_FORMATS, OPTION_NAMES } from './command-options.js';
+export { writeChannelReports, writeVideoReports, writeBatchReports, writeComparisonReports, writeRemainingChannels } from './reports.js';
+export { renderChannelMarkdown, renderVideoMarkdown, renderBatchMarkdown, renderComparisonMarkdown, describeAudience } from './markdown-report.js';
+export { renderChannelHtml, renderVideoHtml, renderBatchHtml } from './html-report.js';
+export { displayChannelReport, displayVideoReport, displayComparison, displayHistory, displayQuotaUsage, displayWritten, displayError } from './console-report.js';
+export { buildAnalysisDocument, buildVideoDocument, buildBatchDocument, buildComparisonDocument, videosToCsv, comparisonToCsv, SCHEMA_VERSION } from './exporters.js';
+export { ConsoleSink, JsonlEventLog, WebhookSink } from './alert-sinks.js';
+export { createApiServer, DEFAULT_PORT } from './api-server.js';
+export { ReportStore } from './report-store.js';
+export { BatchJobQueue } from './job-queue.js';
+export { InteractiveShell, DEFAULT_HISTORY_FILE } from './interactive-shell.js';
+export { loadChannelList, DEFAULT_CHANNELS_FILE } from './channel-list.js';
+export { loadProjectConfig, parseProjectConfig, resolveRunOptions, resolveApiKeys, CONFIG_FILES } from './project-config.js';
+export { createDataSource, apiKeyLabel, apiKeyId, FixtureDataSource, DEFAULT_FIXTURES_DIR } from './data-sources.js';
+export { createLlmProvider, LLM_PROVIDERS } from './llm-providers.js';
+export { ResponseCache } from './response-cache.js';
+export { QuotaLedger, DAILY_QUOTA } from './quota-ledger.js';
+export { SnapshotStore } from './snapshot-store.js';
+export { formatNumber, formatMetric, formatInteger, formatDate, formatDateTime, setDisplayLocale } from './formatting.js';
+export { describeVideo, extractLinks, extractChapters } from './video-analysis.js';
+export { parseChannelInput, parseVideoInput, parsePlaylistInput } from './channel-resolver.js';
@@ -0,0 +1,313 @@
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { parseCommand, parseArgs, describeVideoWindow, OPTION_NAMES, OUTPUT_FORMATS } from './command-options.js';
+import { DEFAULT_DATA_DIR } from './snapshot-store.js';
+import { compareChannels } from './channel-comparison.js';
+import { viewsPerDay } from './schedule-analysis.js';
+import { writeChannelReports, writeVideoReports, writeComparisonReports } from './reports.js';
+import { displayChannelReport, displayVideoReport, displayComparison, displayQuotaUsage, displayWritten, displayError } from './console-report.js';
+import { formatNumber, formatDate } from './formatting.js';
+
+export const DEFAULT_HISTORY_FILE = path.join(DEFAULT_DATA_DIR, 'shell-history');
+const HISTORY_SIZE = 500;
+
+const COMMANDS = {
+  '/youtube': '/youtube @channel|video ID|playlist ID [--options]   Analyze (reuses what is already loaded)',
+  '/compare': '/compare @a @b [...]                  Benchmark loaded or new channels (the current one is the baseline)',
+  '/top': '/top [N] [--by views|views-per-day|likes|like-rate|comments]   Best videos of the current view',
+  '/filter': '/filter [--videos N] [--since …] [--until …] [--exclude …] [--only …]   Re-slice without new API calls; no options resets',
+  '/export': '/export [md|json|csv|html,...] [comparison]   Write the current view (or the last comparison)',
+  '/channels': '/channels                             List what is loaded this session',
+  '/use': '/use @channel                         Switch the current view to a loaded channel',
+  '/help': '/help                                 Show this list',
+  '/quit': '/quit                                 Leave the shell (also Ctrl+D)'
+};
+
+const TOP_METRICS = {
+  views: { label: 'views', value: video => video.views },
+  'views-per-day': { label: 'views/day', value: video => viewsPerDay(video) },
+  likes: { label: 'likes', value: video => video.likes },
+  'like-rate': { label: 'like rate', value: video => (video.views > 0 ? video.likes / video.views : 0), format: value => `${(value * 100).toFixed(2)}%` },
+  comments: { label: 'comments', value: video => video.comments ?? 0 }
+};
+const DEFAULT_TOP = 10;
+
+const keyFor = name => String(name).replace(/^@/, '').toLowerCase();
+
+// Interactive front end for one YouTubeAgent. Every analysis stays in memory for the session:
+// the full fetched result plus the current slice of it, so /filter, /top, /compare and /export
+// work on data already in hand instead of spending quota again.
+export class InteractiveShell {
+  // defaults are run options (from the config file and the shell's command line) under every /youtube and /compare
+  constructor(agent, { input = process.stdin, output = process.stdout, historyFile = DEFAULT_HISTORY_FILE, defaults = {} } = {}) {
+    this.agent = agent;
+    this.defaults = defaults;
+    this.input = input;
+    this.output = output;
+    this.historyFile = historyFile;
+    this.loaded = new Map(); // key → { result, view }; channel handles, video and playlist IDs
+    this.current = null;
+    this.comparison = null;
+  }
+
+  async loadHistory() {
+    try {
+      return (await fs.readFile(this.historyFile, 'utf-8')).split('\n').filter(Boolean).slice(-HISTORY_SIZE).reverse();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async saveHistory(history) {
+    try {
+      await fs.mkdir(path.dirname(this.historyFile), { recursive: true });
+      await fs.writeFile(this.historyFile, [...history].reverse().join('\n') + '\n');
+    } catch (error) {
+      this.agent.emit('warning', { message: `Could not save shell history: ${error.message}` });
+    }
+  }
+
+  // Handles analyzed this session or typed in earlier ones
+  knownHandles(history) {
+    const handles = new Set([...this.loaded.values()].filter(entry => !entry.result.video && !entry.result.playlist).map(entry => `@${entry.result.channelName}`));
+    history.forEach(line => (line.match(/@[\w.-]+/g) || []).forEach(handle => handles.add(handle)));
+    return [...handles].sort();
+  }
+
+  complete(line, history) {
+    const words = line.split(/\s+/);
+    const word = words[words.length - 1];
+    let candidates;
+    if (words.length === 1) candidates = Object.keys(COMMANDS);
+    else if (word.startsWith('-')) candidates = OPTION_NAMES.filter(name => name.startsWith('--'));
+    else if (words[0] === '/export') candidates = [...OUTPUT_FORMATS, 'comparison'];
+    else if (words[0] === '/top' && words[words.length - 2] === '--by') candidates = Object.keys(TOP_METRICS);
+    else candidates = this.knownHandles(history);
+    const hits = candidates.filter(candidate => candidate.startsWith(word));
+    return [hits.length > 0 ? hits : candidates, word];
+  }
+
+  async start() {
+    let history = await this.loadHistory();
+    const rl = readline.createInterface({
+      input: this.input,
+      output: this.output,
+      prompt: '🎬 youtube> ',
+      history,
+      historySize: HISTORY_SIZE,
+      removeHistoryDuplicates: true,
+      completer: line => this.complete(line, history)
+    });
+    rl.on('history', updated => {
+      history = updated;
+    });
+    rl.on('SIGINT', () => rl.close());
+
+    console.log('🎬 YouTube AI Agent interactive shell. Type /help for commands, Tab to complete, Ctrl+D to quit.');
+    rl.prompt();
+    for await (const line of rl) {
+      const input = line.trim();
+      if (input) {
+        // Piped input has no readline history, so keep it by hand
+        if (!rl.terminal && history[0] !== input) history = [input, ...history].slice(0, HISTORY_SIZE);
+        if (input === '/quit' || input === '/exit') break;
+        await this.run(input);
+      }
+      rl.prompt();
+    }
+    rl.close();
+    await this.saveHistory(history);
+  }
+
+  async run(input) {
+    const [command, ...tokens] = input.split(/\s+/);
+    try {
+      switch (command) {
+        case '/youtube': return await this.analyze(input);
+        case '/compare': return await this.compare(tokens);
+        case '/top': return this.top(tokens);
+        case '/filter': return await this.filter(tokens);
+        case '/export': return await this.export(tokens);
+        case '/channels': return this.list();
+        case '/use': return this.use(tokens);
+        case '/help': return this.help();
+        default:
+          console.log(`❓ Unknown command "${command}" - type /help for the list`);
+      }
+    } catch (error) {
+      displayError(error);
+    }
+  }
+
+  // Loaded entry for a handle, video ID or playlist ID as typed
+  find(target) {
+    return this.loaded.get(keyFor(target)) ?? null;
+  }
+
+  // Keyed by handle, video or playlist ID and by the target as typed (a URL, a channel ID)
+  store(result, target) {
+    const entry = { result, view: result };
+    [result.video?.videoId ?? result.playlist?.id ?? result.channelName, target].forEach(key => this.loaded.set(keyFor(key), entry));
+    return entry;
+  }
+
+  requireCurrent({ channel = false } = {}) {
+    if (!this.current) throw new Error('Nothing loaded yet - start with /youtube @channel');
+    if (channel && this.current.result.video) throw new Error('Not available for a single video - load a channel or playlist');
+    return this.current;
+  }
+
+  async analyze(input) {
+    const { mode, target, options } = parseCommand(input);
+    if (!['channel', 'video', 'playlist'].includes(mode)) {
+      throw new Error('The shell analyzes one channel, video or playlist at a time: /youtube @channel, /youtube video ID, /youtube playlist ID');
+    }
+
+    // Without options an already loaded target is shown again for free
+    const loaded = this.find(target);
+    if (loaded && Object.keys(options).length === 0) {
+      this.current = loaded;
+      console.log('♻️  Already loaded - showing it again (pass any option, e.g. --refresh, to fetch anew)');
+      this.display(loaded.view);
+      return;
+    }
+
+    this.agent.cache.refresh = Boolean(options.refresh ?? this.defaults.refresh);
+    if (options.llm) this.agent.useLlm(options.llm);
+    const runOptions = { ...this.defaults, ...options };
+    try {
+      const result = mode === 'video'
+        ? await this.agent.analyzeVideo(target, runOptions)
+        : mode === 'playlist'
+          ? await this.agent.analyzePlaylist(target, runOptions)
+          : await this.agent.analyzeChannel(target, runOptions);
+      this.current = this.store(result, target);
+      this.display(result);
+    } finally {
+      displayQuotaUsage(await this.agent.saveQuota());
+    }
+  }
+
+  display(result) {
+    if (result.video) displayVideoReport(result);
+    else displayChannelReport(result);
+  }
+
+  // Loaded channels are compared as currently filtered; the rest are fetched with the given options
+  async compare(tokens) {
+    const { positional, options } = parseArgs(tokens);
+    const current = this.current && !this.current.result.video && !this.current.result.playlist ? `@${this.current.result.channelName}` : null;
+    const targets = positional.length < 2 && current && !positional.some(target => keyFor(target) === keyFor(current))
+      ? [current, ...positional]
+      : positional;
+    if (targets.length < 2) throw new Error('Usage: /compare @yours @rival [...] (or load a channel first and /compare @rival)');
+
+    const results = [];
+    let fetched = false;
+    try {
+      for (const target of targets) {
+        const loaded = this.find(target);
+        if (loaded && !loaded.result.video && !loaded.result.playlist) {
+          results.push(loaded.view);
+          continue;
+        }
+        console.log(`\n📥 Fetching ${target}...`);
+        fetched = true;
+        results.push(this.store(await this.agent.analyzeChannel(target, { ...this.defaults, ...options }), target).result);
+      }
+    } finally {
+      if (fetched) displayQuotaUsage(await this.agent.saveQuota());
+    }
+
+    this.comparison = { comparison: compareChannels(results), results, errors: [] };
+    displayComparison(this.comparison.comparison);
+  }
+
+  top(tokens) {
+    const { view } = this.requireCurrent({ channel: true });
+    const byIndex = tokens.indexOf('--by');
+    const by = byIndex >= 0 ? tokens[byIndex + 1] : 'views';
+    const metric = TOP_METRICS[by];
+    if (!metric) throw new Error(`--by expects one of: ${Object.keys(TOP_METRICS).join(', ')}`);
+    const rest = byIndex >= 0 ? tokens.filter((token, index) => index !== byIndex && index !== byIndex + 1) : tokens;
+    const count = rest.length > 0 ? Number(rest[0]) : DEFAULT_TOP;
+    if (!Number.isInteger(count) || count < 1) throw new Error(`/top expects a positive number, got "${rest[0]}"`);
+
+    const format = metric.format ?? (value => formatNumber(Math.round(value)));
+    const ranked = [...view.videos].sort((a, b) => metric.value(b) - metric.value(a)).slice(0, count);
+    console.log(`\n🏆 TOP ${ranked.length} BY ${metric.label.toUpperCase()} (${view.videos.length} videos in view)\n`);
+    ranked.forEach((video, index) => {
+      console.log(`${(index + 1).toString().padStart(2, ' ')}. ${video.title}`);
+      console.log(`    ${by === 'views' ? '' : `⭐ ${format(metric.value(video))} ${metric.label} • `}👀 ${formatNumber(video.views)} views • ⏱️ ${video.duration} • 📅 ${formatDate(video.publishedAt)}`);
+      console.log(`    🔗 ${video.url}`);
+    });
+  }
+
+  async filter(tokens) {
+    const entry = this.requireCurrent({ channel: true });
+    const { positional, options } = parseArgs(tokens);
+    if (positional.length > 0) throw new Error(`/filter only takes options, got "${positional.join(' ')}"`);
+    const unsupported = Object.keys(options).filter(key => !['maxVideos', 'since', 'until', 'exclude', 'only', 'timeZone'].includes(key));
+    if (unsupported.length > 0) throw new Error(`/filter can't change ${unsupported.join(', ')} - use /youtube to fetch again`);
+
+    entry.view = Object.keys(options).length === 0 ? entry.result : await this.agent.sliceResult(entry.result, options);
+    const window = describeVideoWindow(entry.view.options);
+    console.log(`🔎 ${entry.view.videos.length} of ${entry.result.videos.length} fetched videos${window ? ` • ${window}` : ''}`);
+    this.display(entry.view);
+  }
+
+  async export(tokens) {
+    const formats = tokens.filter(token => token !== 'comparison').flatMap(token => token.split(',')).filter(Boolean);
+    const unknown = formats.filter(format => !OUTPUT_FORMATS.includes(format));
+    if (unknown.length > 0) throw new Error(`/export formats are ${OUTPUT_FORMATS.join(', ')} (got ${unknown.join(', ')})`);
+    const chosen = formats.length > 0 ? formats : this.defaults.formats ?? ['md'];
+    const dir = this.defaults.outputDir ?? '.';
+
+    if (tokens.includes('comparison')) {
+      if (!this.comparison) throw new Error('No comparison yet - run /compare first');
+      displayWritten(await writeComparisonReports(this.comparison, chosen, {}, dir));
+      return;
+    }
+    const { view } = this.requireCurrent();
+    if (view.video) {
+      displayWritten(await writeVideoReports(view, path.join(dir, `youtube-video-${view.video.videoId}`), chosen));
+    } else {
+      const basename = view.playlist ? `youtube-playlist-${view.playlist.id}` : `youtube-${view.channelName}-report`;
+      displayWritten(await writeChannelReports(view, path.join(dir, basename), chosen));
+    }
+  }
+
+  list() {
+    const entries = [...new Set(this.loaded.values())];
+    if (entries.length === 0) {
+      console.log('Nothing loaded yet - start with /youtube @channel');
+      return;
+    }
+    entries.forEach(entry => {
+      const { result, view } = entry;
+      const marker = entry === this.current ? '▶' : ' ';
+      const label = result.video
+        ? `🎬 ${result.video.videoId} "${result.video.title}"`
+        : result.playlist
+          ? `📚 ${result.playlist.id} "${result.playlist.title}"`
+          : `📺 @${result.channelName}`;
+      const filtered = view !== result ? ` (filtered to ${view.videos.length})` : '';
+      console.log(`${marker} ${label}${result.videos ? ` • ${result.videos.length} videos${filtered}` : ''}`);
+    });
+  }
+
+  use(tokens) {
+    const entry = tokens[0] && this.find(tokens[0]);
+    if (!entry) throw new Error(`"${tokens[0] ?? ''}" isn't loaded - see /channels`);
+    this.current = entry;
+    console.log(`▶ Now working with ${entry.result.video ? entry.result.video.title : entry.result.playlist ? entry.result.playlist.title : `@${entry.result.channelName}`}`);
+  }
+
+  help() {
+    console.log('\nCommands:');
+    Object.values(COMMANDS).forEach(line => console.log(`  ${line}`));
+    console.log('\nAnalysis options are the same as on the command line (see node index.js without arguments).');
+  }
+}
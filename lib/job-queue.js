@@ -0,0 +1,129 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createId } from './report-store.js';
+import { DEFAULT_DATA_DIR } from './snapshot-store.js';
+
+export const DEFAULT_JOBS_DIR = path.join(DEFAULT_DATA_DIR, 'jobs');
+
+const FINISHED_JOBS_KEPT = 100;
+
+// What API clients see of a job
+function describeJob(job) {
+  const { channels, options, ...visible } = job;
+  return visible;
+}
+
+// In-process FIFO of batch jobs. Jobs share one agent, and with it the quota ledger and
+// the worker pool, so they run one at a time and everything behind them waits as "queued".
+// The queue lives in memory: jobs still waiting when the server stops are cancelled, but
+// every finished batch is in the report store.
+export class BatchJobQueue {
+  constructor(agent, reports, { jobsDir = DEFAULT_JOBS_DIR } = {}) {
+    this.agent = agent;
+    this.reports = reports;
+    this.jobsDir = jobsDir;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = null;
+    this.idle = Promise.resolve();
+  }
+
+  // channels: entries as returned by loadChannelList/parseChannelData
+  enqueue(channels, options = {}) {
+    const job = {
+      id: createId('job'),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      total: channels.length,
+      completed: 0,
+      failed: 0,
+      remaining: 0,
+      current: [],
+      reportId: null,
+      stopReason: null,
+      error: null,
+      channels,
+      options
+    };
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.prune();
+    this.runNext();
+    return this.get(job.id);
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...describeJob(job), position: job.status === 'queued' ? this.pending.indexOf(job) + 1 : null } : null;
+  }
+
+  list() {
+    return [...this.jobs.values()].reverse().map(job => this.get(job.id));
+  }
+
+  counts() {
+    return { queued: this.pending.length, running: this.running ? 1 : 0 };
+  }
+
+  runNext() {
+    if (this.running || this.pending.length === 0) return;
+    this.running = this.pending.shift();
+    this.idle = this.run(this.running).then(() => {
+      this.running = null;
+      this.runNext();
+    });
+  }
+
+  async run(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    // A stopped channel (quota or key failure) is neither completed nor failed: it ends up in
+    // the batch's remaining channels with everything not started yet
+    const onChannel = ({ status, target, error }) => {
+      if (status === 'start') job.current.push(target);
+      else job.current = job.current.filter(handle => handle !== target);
+      if (status === 'done') job.completed++;
+      if (status === 'failed') job.failed++;
+      if (status === 'stopped') job.stopReason = error.message;
+    };
+    this.agent.on('channel', onChannel);
+    // Each job checkpoints to its own file, so a paused CLI batch in the same directory stays resumable
+    const checkpointFile = path.join(this.jobsDir, `${job.id}.json`);
+    try {
+      const batch = await this.agent.analyzeBatch({ ...job.options, channels: job.channels, checkpointFile });
+      const report = await this.reports.save('batch', batch, 'batch');
+      job.reportId = report.id;
+      job.stopReason = batch.stopReason;
+      job.remaining = batch.remaining.length;
+      job.status = 'done';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = { type: error.name, message: error.message };
+    } finally {
+      this.agent.off('channel', onChannel);
+      job.current = [];
+      job.finishedAt = new Date().toISOString();
+      // Jobs can't be resumed, and the finished batch is in the report store
+      await fs.rm(checkpointFile, { force: true });
+      await this.agent.saveQuota();
+    }
+  }
+
+  // Drops the queued jobs and resolves once the running one has finished
+  async close() {
+    this.pending.splice(0).forEach(job => {
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+    });
+    await this.idle;
+  }
+
+  // Old finished jobs are forgotten; their reports stay in the store
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+    finished.slice(0, Math.max(finished.length - FINISHED_JOBS_KEPT, 0)).forEach(job => this.jobs.delete(job.id));
+  }
+}
@@ -0,0 +1,178 @@
+import axios from 'axios';
+
+export const LLM_PROVIDERS = ['openai', 'llamacpp', 'ollama', 'mock', 'none'];
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const TITLE_IDEAS = 3;
+const MAX_TITLE_LENGTH = 120;
+const MAX_FORMULA_LENGTH = 400;
+
+const SYSTEM_PROMPT = `You are a YouTube strategist. Using only the channel data you are given, suggest ${TITLE_IDEAS} concrete video titles the channel should make next and a one-sentence success formula.
+Titles must be specific (real topics, no placeholders like [Topic]) and fit the channel's proven themes and style.
+Reply with JSON only, exactly in this shape:
+{"recommendations": ["title 1", "title 2", "title 3"], "successFormula": "one sentence"}`;
+
+// Compact, model-friendly summary of what the analysis found
+export function buildRecommendationContext(channelInfo, videos, insights) {
+  const { performance, schedule, titles } = insights;
+  return {
+    channel: channelInfo.snippet.title,
+    subscribers: parseInt(channelInfo.statistics.subscriberCount) || null,
+    videosAnalyzed: videos.length,
+    medianViews: insights.medianViews,
+    topVideos: insights.topVideos.slice(0, 10).map(video => ({
+      title: video.title,
+      views: video.views,
+      duration: video.duration,
+      publishedAt: video.publishedAt.slice(0, 10)
+    })),
+    highLiftKeywords: titles.topTerms.map(term => ({ term: term.term, lift: term.lift, videos: term.count })),
+    lowLiftKeywords: titles.weakTerms.map(term => ({ term: term.term, lift: term.lift, videos: term.count })),
+    titleFeatures: titles.notableFeatures.map(feature => ({ feature: feature.label, lift: feature.lift })),
+    bestDuration: performance.bestDurationBucket,
+    bestWeekday: schedule.bestWeekday?.label ?? null,
+    uploadsPerWeek: schedule.cadence?.uploadsPerWeek ?? null,
+    ...(insights.transcripts && {
+      spokenTopics: insights.transcripts.topTopics.map(topic => ({ topic: topic.term, lift: topic.lift, videos: topic.count })),
+      hookSeconds: insights.transcripts.hook,
+      wordsPerMinute: insights.transcripts.pace
+    }),
+    ...(insights.thumbnails && {
+      thumbnailStyles: insights.thumbnails.topStyles.map(style => ({ style: style.label, topPerformers: style.topShare, others: style.restShare, lift: style.lift }))
+    }),
+    currentYear: new Date().getFullYear()
+  };
+}
+
+function buildMessages(context) {
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `Channel data:\n${JSON.stringify(context, null, 2)}` }
+  ];
+}
+
+// Validates a model reply (tolerating code fences or chatter around the JSON)
+export function parseRecommendations(text) {
+  const json = typeof text === 'string' ? text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1) : '';
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    throw new Error('model reply was not valid JSON');
+  }
+
+  const recommendations = Array.isArray(parsed.recommendations)
+    ? parsed.recommendations.filter(title => typeof title === 'string' && title.trim()).map(title => title.trim())
+    : [];
+  if (recommendations.length < TITLE_IDEAS) {
+    throw new Error(`expected ${TITLE_IDEAS} title ideas, got ${recommendations.length}`);
+  }
+  if (recommendations.some(title => title.length > MAX_TITLE_LENGTH || /\[[^\]]*\]/.test(title))) {
+    throw new Error('title ideas must be concrete titles without [placeholders]');
+  }
+  if (typeof parsed.successFormula !== 'string' || !parsed.successFormula.trim() || parsed.successFormula.length > MAX_FORMULA_LENGTH) {
+    throw new Error('missing or oversized successFormula');
+  }
+  return {
+    recommendations: recommendations.slice(0, TITLE_IDEAS),
+    successFormula: parsed.successFormula.trim()
+  };
+}
+
+// OpenAI's /chat/completions API and anything compatible with it
+// (llama.cpp server, vLLM, LM Studio, OpenRouter...)
+export class OpenAICompatibleProvider {
+  constructor({ baseUrl = 'https://api.openai.com/v1', apiKey = null, model = 'gpt-4o-mini', timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.name = `openai-compatible:${model}`;
+  }
+
+  async generateRecommendations(context) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages: buildMessages(context),
+      temperature: 0.7,
+      response_format: { type: 'json_object' }
+    }, {
+      timeout: this.timeoutMs,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    });
+    return parseRecommendations(response.data.choices?.[0]?.message?.content);
+  }
+}
+
+// Ollama's native /api/chat endpoint with JSON mode
+export class OllamaProvider {
+  constructor({ baseUrl = 'http://localhost:11434', model = 'llama3.1', timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.name = `ollama:${model}`;
+  }
+
+  async generateRecommendations(context) {
+    const response = await axios.post(`${this.baseUrl}/api/chat`, {
+      model: this.model,
+      messages: buildMessages(context),
+      format: 'json',
+      stream: false
+    }, { timeout: this.timeoutMs });
+    return parseRecommendations(response.data.message?.content);
+  }
+}
+
+// Deterministic stand-in for tests and offline runs: same context, same output
+export class MockProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  async generateRecommendations(context) {
+    const capitalize = text => text.replace(/(^|\s)\p{L}/gu, letter => letter.toUpperCase());
+    const keywords = context.highLiftKeywords.map(keyword => capitalize(keyword.term));
+    const [first = context.channel, second = 'Your Setup', third = 'This Year'] = keywords;
+    const topTitle = context.topVideos[0]?.title ?? context.channel;
+
+    const reply = {
+      recommendations: [
+        `${first}: What Nobody Tells You in ${context.currentYear}`,
+        `I Tried ${second} for 30 Days - Here's What Happened`,
+        `${third} vs ${first}: The Honest Comparison`
+      ],
+      successFormula: `Build on "${topTitle}" with ${keywords.length ? keywords.slice(0, 2).join(' and ') : 'your proven topics'}`
+        + `${context.bestDuration ? ` in ${context.bestDuration.label} videos` : ''}`
+        + `${context.bestWeekday ? `, published on ${context.bestWeekday}` : ''}`
+    };
+    return parseRecommendations(JSON.stringify(reply));
+  }
+}
+
+// Picks a provider from LLM_PROVIDER (openai, llamacpp, ollama, mock); returns null when
+// none is configured so callers fall back to the built-in template engine
+export function createLlmProvider({
+  provider = process.env.LLM_PROVIDER,
+  baseUrl = process.env.LLM_BASE_URL,
+  apiKey = process.env.LLM_API_KEY,
+  model = process.env.LLM_MODEL,
+  timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+} = {}) {
+  const settings = Object.fromEntries(Object.entries({ baseUrl, apiKey, model, timeoutMs }).filter(([, value]) => value));
+
+  switch ((provider || 'none').toLowerCase()) {
+    case 'none':
+      return null;
+    case 'openai':
+      return new OpenAICompatibleProvider(settings);
+    case 'llamacpp':
+      return new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1', model: 'local', ...settings });
+    case 'ollama':
+      return new OllamaProvider(settings);
+    case 'mock':
+      return new MockProvider();
+    default:
+      throw new Error(`Unknown LLM provider "${provider}" (expected one of: ${LLM_PROVIDERS.join(', ')})`);
+  }
+}
@@ -0,0 +1,346 @@
+import { describeVideoWindow } from './command-options.js';
+import { formatNumber, formatMetric, describeBaselineMetric, formatInteger, formatDate, formatDateTime } from './formatting.js';
+import { COMPARISON_METRICS } from './channel-comparison.js';
+import { summarizeVideo } from './video-analysis.js';
+
+// Summary lines shared by the console and markdown reports
+export function describeAudience(audience) {
+  const { sentiment, topPerformers, bottomPerformers, requests, questions } = audience;
+  if (audience.commentsAnalyzed === 0) {
+    return [`No comments could be read (${audience.unitsUsed} requests, ${audience.skipped.length} videos skipped)`];
+  }
+  const percent = share => `${Math.round(share * 100)}%`;
+  const lines = [
+    `Read ${formatInteger(audience.commentsAnalyzed)} top comments on ${audience.videosSampled} videos (${audience.unitsUsed} quota units)`,
+    `Sentiment: ${percent(sentiment.positive)} positive, ${percent(sentiment.neutral)} neutral, ${percent(sentiment.negative)} negative`
+  ];
+  if (topPerformers.comments > 0 && bottomPerformers.comments > 0) {
+    lines.push(`Top performers: ${percent(topPerformers.positive)} positive / ${percent(topPerformers.negative)} negative vs bottom performers: ${percent(bottomPerformers.positive)} positive / ${percent(bottomPerformers.negative)} negative`);
+  }
+  if (requests.length > 0) {
+    lines.push(`Most requested: ${requests.slice(0, 3).map(request => `"${request.example}" (${request.count}x)`).join(', ')}`);
+  }
+  if (questions.length > 0) {
+    lines.push(`Recurring questions: ${questions.slice(0, 3).map(question => `"${question.example}" (${question.count}x)`).join(', ')}`);
+  }
+  if (audience.skipped.length > 0) {
+    lines.push(`${audience.skipped.length} video${audience.skipped.length > 1 ? 's' : ''} skipped (${[...new Set(audience.skipped.map(entry => entry.reason))].join(', ')})`);
+  }
+  return lines;
+}
+
+export function renderChannelMarkdown(result) {
+  const { channelName, channelInfo, videos, insights, recommendations, playlist, options = {}, warnings = [] } = result;
+  const sortedVideos = [...videos].sort((a, b) => b.views - a.views);
+  const timestamp = formatDateTime(new Date());
+  
+  let markdown = playlist
+    ? `# YouTube Playlist Analysis: ${playlist.title}\n\n`
+    : `# YouTube Channel Analysis: ${channelInfo.snippet.title}\n\n`;
+  markdown += `**Analysis Date:** ${timestamp}\n`;
+  if (playlist) {
+    markdown += `**Playlist:** ${playlist.url} (${formatInteger(playlist.itemCount)} videos)\n`;
+  }
+  markdown += `**Channel:** @${channelName}\n`;
+  markdown += `**Subscribers:** ${formatInteger(parseInt(channelInfo.statistics.subscriberCount))}\n`;
+  markdown += `**Total Videos:** ${formatInteger(parseInt(channelInfo.statistics.videoCount))}\n`;
+  markdown += `**Videos Analyzed:** ${videos.length}\n`;
+  const videoWindow = describeVideoWindow(options);
+  if (videoWindow) markdown += `**Window:** ${videoWindow}\n`;
+  markdown += `\n`;
+  warnings.forEach(warning => {
+    markdown += `> ⚠️ ${warning}\n\n`;
+  });
+
+  markdown += `## Top ${playlist ? 'Playlist' : 'Recent'} Videos\n\n`;
+  sortedVideos.forEach((video, index) => {
+    markdown += `### ${index + 1}. ${video.title}\n`;
+    markdown += `- **Views:** ${formatInteger(video.views)}\n`;
+    markdown += `- **Duration:** ${video.duration}\n`;
+    markdown += `- **Link:** ${video.url}\n`;
+    markdown += `- **Published:** ${formatDate(video.publishedAt)}\n\n`;
+  });
+
+  markdown += `## Performance Patterns\n\n`;
+  insights.performancePatterns.forEach(pattern => {
+    markdown += `- ${pattern}\n`;
+  });
+  
+  const { performance } = insights;
+  if (performance.reliable) {
+    markdown += `\n### Views by Duration\n\n`;
+    markdown += `| Duration | Videos | Median Views |\n|----------|--------|--------------|\n`;
+    performance.durationBuckets.forEach(bucket => {
+      markdown += `| ${bucket.label} | ${bucket.count} | ${formatInteger(bucket.medianViews)} |\n`;
+    });
+  }
+  
+  if (insights.schedulePatterns.length > 0) {
+    markdown += `\n## Publishing Schedule\n\n`;
+    insights.schedulePatterns.forEach(pattern => {
+      markdown += `- ${pattern}\n`;
+    });
+    
+    markdown += `\n| Weekday (${insights.schedule.timeZone}) | Uploads | Median Views/Day |\n|---------|---------|------------------|\n`;
+    insights.schedule.byWeekday.forEach(day => {
+      markdown += `| ${day.label} | ${day.count} | ${formatInteger(day.medianViewsPerDay)} |\n`;
+    });
+  }
+  
+  markdown += `\n## Content Themes\n\n`;
+  insights.contentThemes.forEach(theme => {
+    markdown += `- ${theme}\n`;
+  });
+  
+  markdown += `\n## Optimization Opportunities\n\n`;
+  insights.optimizationOpportunities.forEach(opportunity => {
+    markdown += `- ${opportunity}\n`;
+  });
+  
+  if (insights.transcripts?.videos.length > 0) {
+    markdown += `\n## Transcripts\n\n`;
+    markdown += `| Video | Views | Words/Min | Hook | Segments | Keywords |\n|-------|-------|-----------|------|----------|----------|\n`;
+    [...insights.transcripts.videos].sort((a, b) => b.views - a.views).forEach(video => {
+      const hook = video.hookSeconds === null ? '-' : `${video.hookSeconds}s`;
+      markdown += `| ${video.title.replace(/\|/g, '\\|')} | ${formatInteger(video.views)} | ${video.wordsPerMinute ?? '-'} | ${hook} | ${video.segments} | ${video.keywords.join(', ')} |\n`;
+    });
+  }
+  
+  if (insights.thumbnails?.videos.length > 0) {
+    markdown += `\n## Thumbnails\n\n`;
+    if (insights.thumbnails.topStyles.length > 0) {
+      markdown += `Top ${insights.thumbnails.topPerformers} videos by views share: ${insights.thumbnails.topStyles.map(style => `${style.label} (${Math.round(style.topShare * 100)}% vs ${Math.round(style.restShare * 100)}%)`).join(', ')}\n\n`;
+    }
+    markdown += `| Video | Views | Brightness | Contrast | Colorfulness | Text | Faces | Colors |\n|-------|-------|------------|----------|--------------|------|-------|--------|\n`;
+    [...insights.thumbnails.videos].sort((a, b) => b.views - a.views).forEach(video => {
+      const faces = video.faces > 0 ? `${video.faces} (${video.faceArea}%)` : '-';
+      markdown += `| ${video.title.replace(/\|/g, '\\|')} | ${formatInteger(video.views)} | ${video.brightness} | ${video.contrast} | ${video.colorfulness} | ${video.textArea}% | ${faces} | ${video.palette.map(color => `${color.name} ${color.hex}`).join(', ')} |\n`;
+    });
+  }
+  
+  if (insights.audience) {
+    markdown += `\n## Audience Voice\n\n`;
+    describeAudience(insights.audience).forEach(line => {
+      markdown += `- ${line}\n`;
+    });
+    const { requests, questions } = insights.audience;
+    if (requests.length > 0) {
+      markdown += `\n| Requested Topic | Requests | Likes | Example |\n|-----------------|----------|-------|---------|\n`;
+      requests.forEach(request => {
+        markdown += `| ${request.topic} | ${request.count} | ${formatInteger(request.likes)} | "${request.example.replace(/\|/g, '\\|')}" |\n`;
+      });
+    }
+    if (questions.length > 0) {
+      markdown += `\n| Recurring Question | Asked | Likes |\n|--------------------|-------|-------|\n`;
+      questions.forEach(question => {
+        markdown += `| ${question.example.replace(/\|/g, '\\|')} | ${question.count} | ${formatInteger(question.likes)} |\n`;
+      });
+    }
+  }
+  
+  markdown += `\n## Content Recommendations\n\n`;
+  if (recommendations.source && recommendations.source !== 'templates') {
+    markdown += `*Title ideas generated by ${recommendations.source}*\n\n`;
+  }
+  recommendations.recommendations.forEach((rec, index) => {
+    markdown += `${index + 1}. "${rec}"\n`;
+  });
+  markdown += `\n**Success Formula:** ${recommendations.successFormula}\n`;
+
+  markdown += `\n---\n*Generated by YouTube AI Agent*`;
+
+  return markdown;
+}
+
+// result is YouTubeAgent#analyzeVideo's return value
+export function renderVideoMarkdown(result) {
+  const { channelName, channelInfo, video, analysis, warnings = [] } = result;
+  const { performance, metadata, opportunities } = summarizeVideo(result);
+
+  let markdown = `# YouTube Video Analysis: ${video.title}\n\n`;
+  markdown += `**Analysis Date:** ${formatDateTime(new Date())}\n`;
+  markdown += `**Channel:** @${channelName} (${channelInfo.snippet.title})\n`;
+  markdown += `**Link:** ${video.url}\n`;
+  markdown += `**Published:** ${formatDate(video.publishedAt)} (${Math.floor(analysis.ageDays)} days ago)\n`;
+  markdown += `**Views:** ${formatInteger(video.views)} • **Likes:** ${formatInteger(video.likes)} • **Comments:** ${video.comments === null ? 'disabled' : formatInteger(video.comments)}\n`;
+  markdown += `**Duration:** ${video.duration} (${video.kind})\n\n`;
+  warnings.forEach(warning => {
+    markdown += `> ⚠️ ${warning}\n\n`;
+  });
+
+  markdown += `## Compared with the Channel\n\n`;
+  performance.forEach(line => {
+    markdown += `- ${line}\n`;
+  });
+
+  markdown += `\n## Metadata\n\n`;
+  metadata.forEach(line => {
+    markdown += `- ${line}\n`;
+  });
+  if (analysis.tags.count > 0) {
+    markdown += `\n**Tags:** ${analysis.tags.tags.map(tag => `\`${tag}\``).join(', ')}\n`;
+  }
+  if (analysis.links.length > 0) {
+    markdown += `\n| Link | Domain | Kind |\n|------|--------|------|\n`;
+    analysis.links.forEach(link => {
+      markdown += `| ${link.url} | ${link.domain} | ${link.kind} |\n`;
+    });
+  }
+  if (analysis.chaptersValid) {
+    markdown += `\n### Chapters\n\n`;
+    analysis.chapters.forEach(chapter => {
+      markdown += `- ${chapter.timestamp} ${chapter.title}\n`;
+    });
+  }
+
+  if (opportunities.length > 0) {
+    markdown += `\n## Opportunities\n\n`;
+    opportunities.forEach(opportunity => {
+      markdown += `- ${opportunity}\n`;
+    });
+  }
+
+  markdown += `\n---\n*Generated by YouTube AI Agent*`;
+
+  return markdown;
+}
+
+export function renderBatchMarkdown(batch) {
+  const { results, errors, remaining = [], stopReason = null, rollups, comparison } = batch;
+  const timestamp = formatDateTime(new Date());
+  
+  let markdown = `# YouTube Batch Analysis Report\n\n`;
+  markdown += `**Analysis Date:** ${timestamp}\n`;
+  markdown += `**Channels Analyzed:** ${results.length}\n`;
+  markdown += `**Channels Failed:** ${errors.length}\n`;
+  if (remaining.length > 0) {
+    markdown += `**Channels Not Analyzed:** ${remaining.length}\n`;
+  }
+  markdown += `\n`;
+  
+  // Summary statistics
+  if (results.length > 0) {
+    const totalSubscribers = results.reduce((sum, r) => sum + parseInt(r.channelInfo.statistics.subscriberCount), 0);
+    const avgViews = results.reduce((sum, r) => sum + r.insights.avgViews, 0) / results.length;
+    
+    markdown += `## Summary Statistics\n\n`;
+    markdown += `- **Total Subscribers:** ${formatInteger(totalSubscribers)}\n`;
+    markdown += `- **Average Views per Video:** ${formatInteger(Math.round(avgViews))}\n`;
+    markdown += `- **Total Videos Analyzed:** ${results.reduce((sum, r) => sum + r.videos.length, 0)}\n\n`;
+  }
+  
+  // Individual channel reports
+  markdown += `## Channel Reports\n\n`;
+  for (const result of results) {
+    markdown += `### ${result.channelInfo.snippet.title}\n`;
+    markdown += `- **Handle:** @${result.channelName}\n`;
+    if (result.group) markdown += `- **Group:** ${result.group}\n`;
+    if (result.tags?.length) markdown += `- **Tags:** ${result.tags.map(tag => `#${tag}`).join(' ')}\n`;
+    markdown += `- **Subscribers:** ${formatInteger(parseInt(result.channelInfo.statistics.subscriberCount))}\n`;
+    markdown += `- **Avg Views:** ${formatInteger(Math.round(result.insights.avgViews))}\n`;
+    markdown += `- **Median Views:** ${formatInteger(result.insights.medianViews)}\n`;
+    const { cadence, bestWeekday } = result.insights.schedule;
+    if (cadence) {
+      markdown += `- **Upload Cadence:** every ${cadence.medianGapDays} days (${cadence.uploadsPerWeek}/week, ${cadence.consistency})${bestWeekday ? ` • best day ${bestWeekday.label}` : ''}\n`;
+    }
+    markdown += `- **Top Video:** ${result.insights.topVideos[0].title} (${formatNumber(result.insights.topVideos[0].views)} views)\n\n`;
+  }
+  
+  // Group and tag roll-ups from the channel list
+  markdown += rollupMarkdown('Groups', rollups.groups);
+  markdown += rollupMarkdown('Tags', rollups.tags.map(tag => ({ ...tag, name: `#${tag.name}` })));
+  
+  // Cross-channel comparison, with the first channel in the list as the baseline
+  if (comparison) {
+    markdown += comparisonMarkdown(comparison);
+  }
+  
+  // Errors
+  if (errors.length > 0) {
+    markdown += `## Failed Channels\n\n`;
+    for (const error of errors) {
+      markdown += `- **@${error.channel}:** ${error.error}\n`;
+    }
+    markdown += `\n`;
+  }
+  
+  // Channels skipped after the batch had to stop
+  if (remaining.length > 0) {
+    markdown += `## Not Analyzed\n\n`;
+    markdown += `The batch stopped early: ${stopReason}\n\n`;
+    for (const channel of remaining) {
+      markdown += `- @${channel.handle}\n`;
+    }
+    markdown += `\nResume with the list saved in \`youtube-channels-remaining.md\`.\n\n`;
+  }
+  
+  markdown += `---\n*Generated by YouTube AI Agent - Batch Mode*`;
+  
+  return markdown;
+}
+
+// compared is YouTubeAgent#compareChannels' { comparison, results, errors }
+export function renderComparisonMarkdown(compared, options = {}) {
+  const { comparison, errors } = compared;
+  let markdown = `# YouTube Channel Comparison\n\n`;
+  markdown += `**Analysis Date:** ${formatDateTime(new Date())}\n`;
+  const videoWindow = describeVideoWindow(options);
+  if (videoWindow) markdown += `**Window:** ${videoWindow}\n`;
+  markdown += `\n`;
+  markdown += comparisonMarkdown(comparison);
+  if (errors.length > 0) {
+    markdown += `## Failed Channels\n\n`;
+    errors.forEach(error => markdown += `- **@${error.channel}:** ${error.error}\n`);
+    markdown += `\n`;
+  }
+  markdown += `---\n*Generated by YouTube AI Agent*`;
+  return markdown;
+}
+
+export function rollupMarkdown(heading, rollups) {
+  if (rollups.length === 0) return '';
+  let markdown = `## ${heading}\n\n`;
+  markdown += `| ${heading.replace(/s$/, '')} | Channels | Subscribers | Videos | Median Views | Views/Subscriber | Views/Day | Uploads/Week | Like Rate | Leader |\n`;
+  markdown += `|---|---|---|---|---|---|---|---|---|---|\n`;
+  rollups.forEach(rollup => {
+    markdown += `| ${rollup.name} | ${rollup.channels.length} | ${formatNumber(rollup.subscribers)} | ${rollup.videosAnalyzed} | ${formatMetric('medianViews', rollup.medianViews)} | ${formatMetric('viewsPerSubscriber', rollup.viewsPerSubscriber)} | ${formatMetric('medianViewsPerDay', rollup.medianViewsPerDay)} | ${formatMetric('uploadsPerWeek', rollup.uploadsPerWeek)} | ${formatMetric('likeRate', rollup.likeRate)} | @${rollup.leader} |\n`;
+  });
+  markdown += `\nGroup and tag figures are medians across their channels; the leader has the most views per day.\n\n`;
+  return markdown;
+}
+
+export function comparisonMarkdown(comparison) {
+  const baseline = comparison.channels[0];
+  let markdown = `## Channel Comparison\n\n`;
+  markdown += `Baseline **${baseline.title}** (@${baseline.channelName}) against ${comparison.channels.length - 1} competitors. Views per subscriber uses median views; views per day is the median of each video's views divided by days since publish.\n\n`;
+
+  markdown += `| Channel | Subscribers | Uploads/Week | Median Views | Views/Subscriber | Views/Day | Like Rate | Comment Rate | Main Length | Best Length |\n`;
+  markdown += `|---------|-------------|--------------|--------------|------------------|-----------|-----------|--------------|-------------|-------------|\n`;
+  comparison.channels.forEach(channel => {
+    markdown += `| @${channel.channelName} | ${channel.subscribers === null ? 'hidden' : formatNumber(channel.subscribers)} | ${channel.uploadsPerWeek ?? 'n/a'} | ${formatMetric('medianViews', channel.medianViews)} | ${formatMetric('viewsPerSubscriber', channel.viewsPerSubscriber)} | ${formatMetric('medianViewsPerDay', channel.medianViewsPerDay)} | ${formatMetric('likeRate', channel.likeRate)} | ${formatMetric('commentRate', channel.commentRate)} | ${channel.duration.mainBucket ?? 'n/a'} | ${channel.duration.bestBucket ?? 'n/a'} |\n`;
+  });
+
+  markdown += `\n### How @${baseline.channelName} Stacks Up\n\n`;
+  comparison.baselineMetrics.forEach(entry => {
+    markdown += `- **${entry.label}:** ${describeBaselineMetric(entry)}\n`;
+  });
+
+  markdown += `\n### Rankings\n\n`;
+  COMPARISON_METRICS.forEach(({ metric, label }) => {
+    const ranking = comparison.rankings[metric];
+    if (ranking.length === 0) return;
+    markdown += `- **${label}:** ${ranking.map(entry => `${entry.rank}. @${entry.channelName} (${formatMetric(metric, entry.value)})`).join(', ')}\n`;
+  });
+
+  markdown += `\n### Title Themes\n\n`;
+  Object.entries(comparison.themes.owned).forEach(([channelName, themes]) => {
+    markdown += `- **@${channelName} owns:** ${themes.length ? themes.map(theme => `"${theme.term}" (${theme.count} videos)`).join(', ') : 'no distinct themes'}\n`;
+  });
+  if (comparison.themes.shared.length > 0) {
+    markdown += `\n**Shared themes:**\n\n`;
+    comparison.themes.shared.forEach(theme => {
+      markdown += `- "${theme.term}": ${theme.channels.map(c => `@${c.channelName} (${c.count})`).join(', ')}\n`;
+    });
+  }
+  return markdown + `\n`;
+}
@@ -0,0 +1,145 @@
+// Descriptive statistics for a channel's videos. View counts are heavy-tailed,
+// so medians and percentiles are preferred over means throughout.
+
+export const MIN_SAMPLE = 5; // fewer videos than this and no pattern is reported
+export const MIN_BUCKET_SAMPLE = 3; // smallest duration bucket worth comparing
+
+export const DURATION_BUCKETS = [
+  { label: 'under 1 min', maxSeconds: 60 },
+  { label: '1-5 min', maxSeconds: 5 * 60 },
+  { label: '5-10 min', maxSeconds: 10 * 60 },
+  { label: '10-20 min', maxSeconds: 20 * 60 },
+  { label: '20-40 min', maxSeconds: 40 * 60 },
+  { label: '40+ min', maxSeconds: Infinity }
+];
+
+export function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Linear interpolation between closest ranks (same as numpy's default)
+export function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+export function median(values) {
+  return percentile(values, 50);
+}
+
+export function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+// Spearman rank correlation; ties share the average rank
+export function rankCorrelation(xs, ys) {
+  const rank = values => {
+    const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+    const ranks = new Array(values.length);
+    for (let i = 0; i < order.length;) {
+      let j = i;
+      while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+      for (let k = i; k <= j; k++) ranks[order[k].index] = (i + j) / 2;
+      i = j + 1;
+    }
+    return ranks;
+  };
+  const x = rank(xs);
+  const y = rank(ys);
+  const meanX = mean(x);
+  const meanY = mean(y);
+  const covariance = x.reduce((sum, value, i) => sum + (value - meanX) * (y[i] - meanY), 0);
+  const spread = Math.sqrt(x.reduce((sum, value) => sum + (value - meanX) ** 2, 0) * y.reduce((sum, value) => sum + (value - meanY) ** 2, 0));
+  return spread > 0 ? Number((covariance / spread).toFixed(2)) : 0;
+}
+
+// Median of a metric for the better and worse half by views, plus its rank correlation with views
+export function relateToViews(described, metric) {
+  const measured = described.filter(entry => entry[metric] !== null);
+  if (measured.length === 0) return null;
+  const byViews = [...measured].sort((a, b) => b.views - a.views);
+  const half = Math.ceil(byViews.length / 2);
+  const roundedMedian = entries => (entries.length ? Number(median(entries.map(entry => entry[metric])).toFixed(1)) : null);
+  return {
+    median: roundedMedian(measured),
+    topHalfMedian: roundedMedian(byViews.slice(0, half)),
+    bottomHalfMedian: roundedMedian(byViews.slice(half)),
+    correlation: measured.length >= MIN_SAMPLE ? rankCorrelation(measured.map(entry => entry[metric]), measured.map(entry => entry.views)) : null
+  };
+}
+
+// Tukey fences on log10(views): views span orders of magnitude, so fences on
+// raw counts would flag nearly every hit as an outlier
+export function detectOutliers(videos) {
+  if (videos.length < MIN_SAMPLE) {
+    return { high: [], low: [], upperFence: null, lowerFence: null };
+  }
+  const logViews = videos.map(video => Math.log10(Math.max(video.views, 1)));
+  const q1 = percentile(logViews, 25);
+  const q3 = percentile(logViews, 75);
+  const iqr = q3 - q1;
+  const upperFence = 10 ** (q3 + 1.5 * iqr);
+  const lowerFence = 10 ** (q1 - 1.5 * iqr);
+
+  return {
+    high: videos.filter(video => video.views > upperFence).sort((a, b) => b.views - a.views),
+    low: videos.filter(video => video.views < lowerFence).sort((a, b) => a.views - b.views),
+    upperFence: Math.round(upperFence),
+    lowerFence: Math.round(lowerFence)
+  };
+}
+
+export function engagementRates(videos) {
+  const withViews = videos.filter(video => video.views > 0);
+  const likeRates = withViews.map(video => video.likes / video.views);
+  const commentRates = withViews.filter(video => video.comments !== null && video.comments !== undefined).map(video => video.comments / video.views);
+  return {
+    count: withViews.length,
+    medianLikeRate: median(likeRates),
+    medianCommentRate: commentRates.length ? median(commentRates) : null,
+    commentSample: commentRates.length
+  };
+}
+
+export function durationBuckets(videos) {
+  return DURATION_BUCKETS
+    .map((bucket, index) => {
+      const minSeconds = index === 0 ? 0 : DURATION_BUCKETS[index - 1].maxSeconds;
+      const views = videos
+        .filter(video => video.durationSeconds > minSeconds && video.durationSeconds <= bucket.maxSeconds)
+        .map(video => video.views);
+      return { label: bucket.label, count: views.length, medianViews: Math.round(median(views)) };
+    })
+    .filter(bucket => bucket.count > 0);
+}
+
+export function analyzePerformance(videos) {
+  const views = videos.map(video => video.views);
+  const buckets = durationBuckets(videos);
+  // Only compare buckets with enough videos, and only when there is something to compare against
+  const comparableBuckets = buckets.filter(bucket => bucket.count >= MIN_BUCKET_SAMPLE);
+  const bestBucket = comparableBuckets.length >= 2
+    ? comparableBuckets.reduce((best, bucket) => (bucket.medianViews > best.medianViews ? bucket : best))
+    : null;
+
+  return {
+    sampleSize: videos.length,
+    reliable: videos.length >= MIN_SAMPLE,
+    views: {
+      mean: Math.round(mean(views)),
+      median: Math.round(median(views)),
+      p25: Math.round(percentile(views, 25)),
+      p75: Math.round(percentile(views, 75)),
+      p90: Math.round(percentile(views, 90))
+    },
+    outliers: detectOutliers(videos),
+    engagement: engagementRates(videos),
+    durationBuckets: buckets,
+    bestDurationBucket: bestBucket
+  };
+}
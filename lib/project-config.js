@@ -0,0 +1,176 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { parseArgs, OPTION_NAMES } from './command-options.js';
+import { optionsToTokens } from './channel-list.js';
+import { ConfigurationError } from './errors.js';
+
+// Looked up in the current directory unless --config or YOUTUBE_AGENT_CONFIG names one
+export const CONFIG_FILES = ['.youtube-agent.json', '.youtube-agent.yaml', '.youtube-agent.yml'];
+
+const TOP_LEVEL_KEYS = ['profile', 'defaults', 'profiles', 'apiKeys'];
+// Settings use the long CLI flag names without the dashes; these only make sense on the command line
+const RUN_ONLY = ['config', 'profile'];
+const SETTING_NAMES = OPTION_NAMES.filter(name => name.startsWith('--')).map(name => name.slice(2)).filter(name => !RUN_ONLY.includes(name));
+// Relative paths in a config file are relative to the file, not to wherever the CLI runs
+const PATH_KEYS = ['channelsFile', 'outputDir', 'transcripts', 'thumbnails'];
+
+const EMPTY_CONFIG = { file: null, profile: null, defaults: {}, profiles: {}, apiKeys: [] };
+
+// "reports.yaml (profiles.deep.videos): --videos expects ..."
+function fail(filename, setting, message) {
+  return new ConfigurationError(`${filename}${setting ? ` (${setting})` : ''}: ${message}`, { setting });
+}
+
+function isMapping(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// { videos: 50, exclude: [shorts], comments: true } → parsed options, one setting at a time so
+// errors can name the exact one
+function parseSettings(settings, filename, section) {
+  if (settings == null) return {};
+  if (!isMapping(settings)) {
+    throw fail(filename, section, `${section} must be a mapping of settings such as { "videos": 50 }`);
+  }
+
+  const baseDir = path.dirname(filename);
+  const options = {};
+  for (const [name, value] of Object.entries(settings)) {
+    const setting = `${section}.${name}`;
+    if (!SETTING_NAMES.includes(name)) {
+      const hint = RUN_ONLY.includes(name) ? `--${name} can only be given on the command line` : `expected one of: ${SETTING_NAMES.join(', ')}`;
+      throw fail(filename, setting, `unknown setting "${name}" (${hint})`);
+    }
+    if (value === false || value === null) continue;
+
+    let parsed;
+    try {
+      parsed = parseArgs(optionsToTokens({ [name]: value }, setting));
+    } catch (error) {
+      throw fail(filename, setting, error.message);
+    }
+    if (parsed.positional.length > 0) {
+      throw fail(filename, setting, `${name} is a switch, use true or false (got ${JSON.stringify(value)})`);
+    }
+    Object.assign(options, parsed.options);
+  }
+
+  for (const key of PATH_KEYS) {
+    if (typeof options[key] === 'string' && options[key] !== 'auto' && !path.isAbsolute(options[key])) {
+      options[key] = path.join(baseDir, options[key]);
+    }
+  }
+  if (options.since && options.until && options.since > options.until) {
+    throw fail(filename, section, 'since must be before until');
+  }
+  return options;
+}
+
+// "${VAR}" entries are read from the environment, so the file itself can be committed without secrets
+function parseApiKeys(value, filename, env) {
+  if (value == null) return [];
+  const entries = [].concat(value);
+  return entries.map((entry, index) => {
+    const setting = `apiKeys[${index}]`;
+    if (typeof entry !== 'string' || !entry.trim()) {
+      throw fail(filename, setting, 'API keys must be non-empty strings');
+    }
+    return entry.trim().replace(/\$\{(\w+)\}/g, (match, name) => {
+      if (!env[name]) throw fail(filename, setting, `environment variable ${name} is not set`);
+      return env[name];
+    });
+  });
+}
+
+// data is the parsed JSON or YAML document; filename is used in error messages and to resolve paths
+export function parseProjectConfig(data, filename, env = process.env) {
+  if (!isMapping(data)) {
+    throw fail(filename, null, 'expected a mapping with "defaults", "profiles", "profile" or "apiKeys"');
+  }
+  const unknown = Object.keys(data).filter(key => !TOP_LEVEL_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw fail(filename, unknown[0], `unknown key "${unknown[0]}" (expected ${TOP_LEVEL_KEYS.join(', ')})`);
+  }
+  if (data.profiles != null && !isMapping(data.profiles)) {
+    throw fail(filename, 'profiles', 'profiles must map a profile name to its settings');
+  }
+
+  const profiles = Object.fromEntries(Object.entries(data.profiles ?? {}).map(([name, settings]) =>
+    [name, parseSettings(settings, filename, `profiles.${name}`)]));
+  if (data.profile != null && !(data.profile in profiles)) {
+    throw fail(filename, 'profile', `default profile "${data.profile}" is not defined under profiles`);
+  }
+
+  return {
+    file: filename,
+    profile: data.profile ?? null,
+    defaults: parseSettings(data.defaults, filename, 'defaults'),
+    profiles,
+    apiKeys: parseApiKeys(data.apiKeys, filename, env)
+  };
+}
+
+async function findConfigFile(dir = '.') {
+  for (const name of CONFIG_FILES) {
+    try {
+      await fs.access(path.join(dir, name));
+      return path.join(dir, name);
+    } catch {
+      // try the next name
+    }
+  }
+  return null;
+}
+
+// Without a file (and none named), runs use the built-in defaults
+export async function loadProjectConfig(filename = process.env.YOUTUBE_AGENT_CONFIG) {
+  const file = filename || await findConfigFile();
+  if (!file) return EMPTY_CONFIG;
+
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new ConfigurationError(`Config file ${file} not found`, { setting: 'config', cause: error });
+    throw error;
+  }
+
+  const json = path.extname(file).toLowerCase() === '.json';
+  let data;
+  try {
+    data = json ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new ConfigurationError(`${file} is not valid ${json ? 'JSON' : 'YAML'}: ${error.message}`, { setting: 'config', cause: error });
+  }
+  return parseProjectConfig(data ?? {}, file);
+}
+
+// Built-in defaults < config "defaults" < the selected profile < options given for this run
+export function resolveRunOptions(config, options = {}) {
+  const profile = options.profile ?? config.profile;
+  if (profile != null && !(profile in config.profiles)) {
+    const available = Object.keys(config.profiles);
+    const where = config.file ? ` in ${config.file}` : ' (no config file found)';
+    throw new ConfigurationError(
+      `Unknown profile "${profile}"${where}${available.length ? ` - available: ${available.join(', ')}` : ''}`,
+      { setting: 'profile' }
+    );
+  }
+
+  const runOptions = { ...options };
+  delete runOptions.config;
+  const merged = { ...config.defaults, ...(profile != null ? config.profiles[profile] : {}), ...runOptions, profile: profile ?? null };
+  if (merged.since && merged.until && merged.since > merged.until) {
+    throw new ConfigurationError('--since must be before --until (after applying the config profile)', { setting: 'since' });
+  }
+  return merged;
+}
+
+// The key pool, first match wins: config apiKeys, YOUTUBE_API_KEYS (comma-separated), YOUTUBE_API_KEY
+export function resolveApiKeys(config = EMPTY_CONFIG, env = process.env) {
+  const keys = config.apiKeys.length > 0
+    ? config.apiKeys
+    : (env.YOUTUBE_API_KEYS || env.YOUTUBE_API_KEY || '').split(',').map(key => key.trim()).filter(Boolean);
+  return [...new Set(keys)];
+}
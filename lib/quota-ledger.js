@@ -0,0 +1,184 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_DATA_DIR } from './snapshot-store.js';
+import { DEFAULT_COMMENT_BUDGET } from './comment-analysis.js';
+
+export const DAILY_QUOTA = 10000;
+
+// Units charged per request (https://developers.google.com/youtube/v3/determine_quota_cost)
+export const QUOTA_COSTS = {
+  search: 100,
+  captions: 50,
+  default: 1
+};
+
+const HISTORY_DAYS = 30;
+
+// The quota resets at midnight Pacific Time, so usage is bucketed by that calendar day
+export function quotaDay(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(date);
+}
+
+// Rough cost of analyzing one channel, assuming it resolves by handle (1 unit)
+// rather than by search (100 units)
+export function estimateChannelUnits(options = {}) {
+  const unbounded = options.maxVideos === Infinity || (options.maxVideos === undefined && options.since);
+  const videoCount = unbounded ? 200 : options.maxVideos ?? 20;
+  const pages = Math.ceil(videoCount / 50);
+  const comments = options.comments || options.commentBudget ? options.commentBudget ?? DEFAULT_COMMENT_BUDGET : 0;
+  return 1 + 1 + pages * 2 + comments; // resolve + channel info + (playlist page + video details) per 50 videos + comment pages
+}
+
+// Running tally of estimated quota units: this run in memory, the day's total on disk.
+// Units are also tracked per API key (by hash, see apiKeyId), along with the keys
+// that ran out of quota today; each key has its own daily quota, hence the default budget.
+// Everything "today" belongs to one quota day and is dropped when it rolls over, so
+// long-running processes (watch, serve) start each day afresh.
+export class QuotaLedger {
+  constructor({
+    file = path.join(DEFAULT_DATA_DIR, 'quota-ledger.json'),
+    keyCount = 1,
+    budget = Number(process.env.YOUTUBE_QUOTA_BUDGET) || DAILY_QUOTA * keyCount,
+    clock = () => new Date()
+  } = {}) {
+    this.file = file;
+    this.budget = budget;
+    this.clock = clock;
+    this.runUnits = 0;
+    this.runRequests = {};
+    this.runKeyUnits = {};
+    this.unsaved = {}; // quota day → { units, requests, keys } not written yet
+    this.day = this.today();
+    this.loadedDay = null;
+    this.resetDay();
+  }
+
+  today() {
+    return quotaDay(this.clock());
+  }
+
+  resetDay() {
+    this.previousUnits = 0; // other runs' units for the day, as of load()
+    this.previousKeyUnits = {};
+    this.dayUnits = 0; // this process's units for the day, saved or not
+    this.dayKeyUnits = {};
+    this.savedDayUnits = 0;
+    this.savedDayKeyUnits = {};
+    this.exhaustedKeys = new Set();
+  }
+
+  // Returns true when the quota day changed since the last call
+  rollOver() {
+    const today = this.today();
+    if (today === this.day) return false;
+    this.day = today;
+    this.resetDay();
+    return true;
+  }
+
+  record(endpoint, key = null) {
+    this.rollOver();
+    const units = QUOTA_COSTS[endpoint] ?? QUOTA_COSTS.default;
+    this.runUnits += units;
+    this.runRequests[endpoint] = (this.runRequests[endpoint] || 0) + 1;
+    this.dayUnits += units;
+
+    const pending = this.unsaved[this.day] ??= { units: 0, requests: 0, keys: {} };
+    pending.units += units;
+    pending.requests += 1;
+    if (key) {
+      this.runKeyUnits[key] = (this.runKeyUnits[key] || 0) + units;
+      this.dayKeyUnits[key] = (this.dayKeyUnits[key] || 0) + units;
+      pending.keys[key] = (pending.keys[key] || 0) + units;
+    }
+    return units;
+  }
+
+  markExhausted(key) {
+    this.rollOver();
+    this.exhaustedKeys.add(key);
+  }
+
+  isExhausted(key) {
+    this.rollOver();
+    return this.exhaustedKeys.has(key);
+  }
+
+  keyUsage(key) {
+    this.rollOver();
+    return {
+      key,
+      runUnits: this.runKeyUnits[key] || 0,
+      usedToday: (this.previousKeyUnits[key] || 0) + (this.dayKeyUnits[key] || 0),
+      exhausted: this.exhaustedKeys.has(key)
+    };
+  }
+
+  get usedToday() {
+    this.rollOver();
+    return this.previousUnits + this.dayUnits;
+  }
+
+  get remaining() {
+    return this.budget - this.usedToday;
+  }
+
+  async readLedger() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { days: {} };
+      throw error;
+    }
+  }
+
+  // Reads the current quota day's totals; call again once the day has rolled over
+  async load() {
+    this.rollOver();
+    const date = this.day;
+    const day = (await this.readLedger()).days[date];
+    if (date !== this.day) return;
+
+    // The file already holds what this process saved for the day
+    this.previousUnits = (day?.units || 0) - this.savedDayUnits;
+    this.previousKeyUnits = Object.fromEntries(Object.entries(day?.keys ?? {})
+      .map(([key, units]) => [key, units - (this.savedDayKeyUnits[key] || 0)]));
+    (day?.exhausted ?? []).forEach(key => this.exhaustedKeys.add(key));
+    this.loadedDay = date;
+  }
+
+  async save() {
+    this.rollOver();
+    // Re-read before writing so concurrent runs add to each other instead of overwriting
+    const ledger = await this.readLedger();
+    const unsaved = this.unsaved;
+    this.unsaved = {};
+
+    // Units go to the day they were spent on, even when that day has ended since
+    for (const [date, pending] of Object.entries(unsaved)) {
+      const day = ledger.days[date] || { units: 0, requests: 0 };
+      day.units += pending.units;
+      day.requests += pending.requests;
+      for (const [key, units] of Object.entries(pending.keys)) {
+        day.keys = { ...day.keys, [key]: (day.keys?.[key] || 0) + units };
+      }
+      ledger.days[date] = day;
+      if (date === this.day) {
+        this.savedDayUnits += pending.units;
+        Object.entries(pending.keys).forEach(([key, units]) => {
+          this.savedDayKeyUnits[key] = (this.savedDayKeyUnits[key] || 0) + units;
+        });
+      }
+    }
+    if (this.exhaustedKeys.size > 0) {
+      const day = ledger.days[this.day] ??= { units: 0, requests: 0 };
+      day.exhausted = [...new Set([...(day.exhausted ?? []), ...this.exhaustedKeys])];
+    }
+
+    const keep = Object.keys(ledger.days).sort().slice(-HISTORY_DAYS);
+    ledger.days = Object.fromEntries(keep.map(date => [date, ledger.days[date]]));
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(this.file, JSON.stringify(ledger, null, 2));
+  }
+}
@@ -0,0 +1,78 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_DATA_DIR } from './snapshot-store.js';
+import { reviveResult } from './batch-checkpoint.js';
+
+export const DEFAULT_REPORTS_DIR = path.join(DEFAULT_DATA_DIR, 'reports');
+
+const REPORT_ID_PATTERN = /^[a-z0-9-]+$/;
+
+// Sortable by creation time, readable in a URL: "m2x4k9q1-mkbhd-7f3a"
+export function createId(label) {
+  const slug = String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+  return `${Date.now().toString(36)}-${slug || 'report'}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function summarize(kind, data) {
+  if (kind === 'channel') {
+    return { channel: data.channelName, title: data.channelInfo.snippet.title, videos: data.videos.length };
+  }
+  return {
+    channels: data.results.map(result => result.channelName),
+    failed: data.errors.length,
+    remaining: data.remaining.length
+  };
+}
+
+// Full results of server-run analyses (one JSON file each, plus an index for listing),
+// kept so any report can be fetched again later in any format
+export class ReportStore {
+  constructor(dir = DEFAULT_REPORTS_DIR) {
+    this.dir = dir;
+    this.indexFile = path.join(dir, 'index.json');
+    this.indexWrite = Promise.resolve();
+  }
+
+  // kind is "channel" (an analyzeChannel result) or "batch" (an analyzeBatch result)
+  async save(kind, data, label) {
+    const entry = { id: createId(label), kind, createdAt: new Date().toISOString(), ...summarize(kind, data) };
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, `${entry.id}.json`), JSON.stringify({ ...entry, data }));
+    await this.updateIndex(entry);
+    return entry;
+  }
+
+  async list() {
+    try {
+      return JSON.parse(await fs.readFile(this.indexFile, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Chained so a batch finishing during a channel analysis doesn't drop either entry
+  updateIndex(entry) {
+    this.indexWrite = this.indexWrite.catch(() => {}).then(async () => {
+      const index = await this.list();
+      await fs.writeFile(this.indexFile, JSON.stringify([entry, ...index], null, 2));
+    });
+    return this.indexWrite;
+  }
+
+  // The stored record with its data revived for the report writers, or null
+  async load(id) {
+    if (!REPORT_ID_PATTERN.test(id)) return null;
+    let record;
+    try {
+      record = JSON.parse(await fs.readFile(path.join(this.dir, `${id}.json`), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    const data = record.kind === 'channel'
+      ? reviveResult(record.data)
+      : { ...record.data, results: record.data.results.map(reviveResult) };
+    return { ...record, data };
+  }
+}
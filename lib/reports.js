@@ -0,0 +1,119 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_FORMATS } from './command-options.js';
+import { formatChannelMarkdown } from './channel-list.js';
+import { writeJsonReport, writeCsvReport, writeVideoJson, buildBatchDocument, writeComparisonJson, writeComparisonCsv } from './exporters.js';
+import { writeHtmlReport, writeVideoHtmlReport, writeBatchHtmlReport } from './html-report.js';
+import { renderChannelMarkdown, renderVideoMarkdown, renderBatchMarkdown, renderComparisonMarkdown } from './markdown-report.js';
+import { formatDateTime } from './formatting.js';
+
+export const REMAINING_CHANNELS_FILE = 'youtube-channels-remaining.md';
+
+// Each writer returns what it wrote as [{ file, description }]. Basenames may include a
+// directory (see --output-dir), which is created when missing
+
+export async function writeChannelReports(result, basename = 'youtube-research', formats = DEFAULT_FORMATS) {
+  await fs.mkdir(path.dirname(basename), { recursive: true });
+  const written = [];
+  for (const format of formats) {
+    if (format === 'md') {
+      await fs.writeFile(`${basename}.md`, renderChannelMarkdown(result));
+      written.push({ file: `${basename}.md`, description: 'Report' });
+    } else if (format === 'json') {
+      written.push({ file: await writeJsonReport(result, `${basename}.json`), description: 'JSON report' });
+    } else if (format === 'csv') {
+      written.push({ file: await writeCsvReport([result], `${basename}.csv`), description: 'Video CSV' });
+    } else if (format === 'html') {
+      written.push({ file: await writeHtmlReport(result, `${basename}.html`), description: 'HTML report' });
+    }
+  }
+  return written;
+}
+
+// result is YouTubeAgent#analyzeVideo's; the CSV has the same columns as a channel's, with one row
+export async function writeVideoReports(result, basename = `youtube-video-${result.video.videoId}`, formats = DEFAULT_FORMATS) {
+  await fs.mkdir(path.dirname(basename), { recursive: true });
+  const written = [];
+  for (const format of formats) {
+    if (format === 'md') {
+      await fs.writeFile(`${basename}.md`, renderVideoMarkdown(result));
+      written.push({ file: `${basename}.md`, description: 'Video report' });
+    } else if (format === 'json') {
+      written.push({ file: await writeVideoJson(result, `${basename}.json`), description: 'JSON report' });
+    } else if (format === 'csv') {
+      written.push({ file: await writeCsvReport([{ ...result, videos: [result.video] }], `${basename}.csv`), description: 'Video CSV' });
+    } else if (format === 'html') {
+      written.push({ file: await writeVideoHtmlReport(result, `${basename}.html`), description: 'HTML report' });
+    }
+  }
+  return written;
+}
+
+export async function writeRemainingChannels(remaining, stopReason, filename = REMAINING_CHANNELS_FILE) {
+  // Same format as youtube-channels.md so the list can be fed straight back in
+  let markdown = `# YouTube Channels to Analyze (remaining)\n\n`;
+  markdown += `<!-- Batch stopped on ${formatDateTime(new Date())}: ${stopReason} -->\n\n`;
+  markdown += formatChannelMarkdown(remaining);
+  await fs.writeFile(filename, markdown);
+  return filename;
+}
+
+// batch is YouTubeAgent#analyzeBatch's result; every channel also gets its own youtube-{handle}-report files
+export async function writeBatchReports(batch, formats = DEFAULT_FORMATS, dir = '.') {
+  const { results, errors, remaining, stopReason, comparison, rollups } = batch;
+  const written = [];
+  const file = name => path.join(dir, name);
+  await fs.mkdir(dir, { recursive: true });
+
+  if (remaining.length > 0) {
+    written.push({ file: await writeRemainingChannels(remaining, stopReason, file(REMAINING_CHANNELS_FILE)), description: 'Remaining channel list' });
+  }
+  if (formats.includes('md')) {
+    await fs.writeFile(file('youtube-batch-report.md'), renderBatchMarkdown(batch));
+    written.push({ file: file('youtube-batch-report.md'), description: 'Batch report' });
+  }
+  if (formats.includes('json')) {
+    await fs.writeFile(file('youtube-batch-report.json'), JSON.stringify(buildBatchDocument(results, errors, remaining, comparison, rollups), null, 2));
+    written.push({ file: file('youtube-batch-report.json'), description: 'Batch JSON' });
+  }
+  if (formats.includes('csv')) {
+    // Cross-channel sheet: one row per video
+    await writeCsvReport(results, file('youtube-batch-videos.csv'));
+    written.push({ file: file('youtube-batch-videos.csv'), description: 'Cross-channel video CSV' });
+  }
+  if (formats.includes('html')) {
+    // Comparison page linking to each channel's youtube-{handle}-report.html
+    await writeBatchHtmlReport(results, errors, remaining, file('youtube-batch-report.html'), { comparison, rollups });
+    written.push({ file: file('youtube-batch-report.html'), description: 'Batch comparison page' });
+  }
+
+  for (const result of results) {
+    await writeChannelReports(result, file(`youtube-${result.channelName}-report`), formats);
+  }
+  return written;
+}
+
+// compared is YouTubeAgent#compareChannels' { comparison, results, errors }
+export async function writeComparisonReports(compared, formats = DEFAULT_FORMATS, options = {}, dir = '.') {
+  const { comparison, results, errors } = compared;
+  const written = [];
+  const file = name => path.join(dir, name);
+  await fs.mkdir(dir, { recursive: true });
+  if (formats.includes('md')) {
+    await fs.writeFile(file('youtube-comparison.md'), renderComparisonMarkdown(compared, options));
+    written.push({ file: file('youtube-comparison.md'), description: 'Comparison' });
+  }
+  if (formats.includes('json')) {
+    await writeComparisonJson(comparison, results, errors, file('youtube-comparison.json'));
+    written.push({ file: file('youtube-comparison.json'), description: 'Comparison JSON' });
+  }
+  if (formats.includes('csv')) {
+    await writeComparisonCsv(comparison, file('youtube-comparison.csv'));
+    written.push({ file: file('youtube-comparison.csv'), description: 'Comparison CSV' });
+  }
+  if (formats.includes('html')) {
+    await writeBatchHtmlReport(results, errors, [], file('youtube-comparison.html'), { comparison, title: 'YouTube Channel Comparison' });
+    written.push({ file: file('youtube-comparison.html'), description: 'Comparison page' });
+  }
+  return written;
+}
@@ -0,0 +1,74 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs/promises';
+import path from 'path';
+import { requestHash } from './data-sources.js';
+
+export const DEFAULT_CACHE_DIR = process.env.YOUTUBE_CACHE_DIR || path.join('.cache', 'youtube');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long each endpoint's responses stay fresh. Channel search results barely
+// change and cost 100 units, so they are kept longest; video stats move fastest.
+export const DEFAULT_TTLS = {
+  search: 7 * 24 * HOUR_MS,
+  videoCategories: 7 * 24 * HOUR_MS,
+  channels: 6 * HOUR_MS,
+  playlists: 6 * HOUR_MS,
+  playlistItems: HOUR_MS,
+  videos: HOUR_MS,
+  default: HOUR_MS
+};
+
+// Set inside withRefresh(), for the calls made from there only
+const refreshScope = new AsyncLocalStorage();
+
+// Runs fn as if the cache had `refresh` set, without changing it for anyone else sharing it
+// (the server's other requests, say)
+export function withRefresh(fn) {
+  return refreshScope.run(true, fn);
+}
+
+// Disk-backed response store with per-endpoint TTLs. With `refresh` set, reads
+// always miss (so every request goes to the API) but fresh responses are still written.
+export class ResponseCache {
+  constructor({ dir = DEFAULT_CACHE_DIR, ttls = {}, refresh = false } = {}) {
+    this.dir = dir;
+    this.ttls = { ...DEFAULT_TTLS, ...ttls };
+    this.refresh = refresh;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  entryPath(endpoint, params) {
+    return path.join(this.dir, endpoint, `${requestHash(params)}.json`);
+  }
+
+  async read(endpoint, params) {
+    if (this.refresh || refreshScope.getStore()) {
+      this.misses++;
+      return undefined;
+    }
+
+    try {
+      const entry = JSON.parse(await fs.readFile(this.entryPath(endpoint, params), 'utf-8'));
+      const ttl = this.ttls[endpoint] ?? this.ttls.default;
+      if (Date.now() - Date.parse(entry.cachedAt) <= ttl) {
+        this.hits++;
+        return entry.data;
+      }
+    } catch (error) {
+      // Missing or corrupt entries are simply cache misses
+      if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+    }
+
+    this.misses++;
+    return undefined;
+  }
+
+  async write(endpoint, params, data) {
+    const file = this.entryPath(endpoint, params);
+    const { key, ...storedParams } = params;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ cachedAt: new Date().toISOString(), endpoint, params: storedParams, data }));
+  }
+}
@@ -0,0 +1,105 @@
+import { median, mean, standardDeviation, MIN_BUCKET_SAMPLE } from './performance-analysis.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_BLOCKS = [
+  { label: 'night (00-06)', fromHour: 0 },
+  { label: 'morning (06-12)', fromHour: 6 },
+  { label: 'afternoon (12-18)', fromHour: 12 },
+  { label: 'evening (18-24)', fromHour: 18 }
+];
+
+export const DEFAULT_TIMEZONE = process.env.YOUTUBE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export function validateTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch {
+    throw new Error(`Unknown time zone "${timeZone}" (use an IANA name like America/New_York)`);
+  }
+}
+
+// Weekday (0 = Sunday) and hour of a timestamp as seen in the given time zone
+export function localWeekdayAndHour(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: 'numeric', hourCycle: 'h23' })
+    .formatToParts(new Date(timestamp));
+  const weekday = parts.find(part => part.type === 'weekday').value;
+  const hour = parseInt(parts.find(part => part.type === 'hour').value) % 24;
+  return { weekday: WEEKDAYS.findIndex(day => day.startsWith(weekday)), hour };
+}
+
+// Views per day since publish, so recent uploads aren't penalized for having had less time
+export function viewsPerDay(video, now = Date.now()) {
+  const ageDays = Math.max((now - Date.parse(video.publishedAt)) / DAY_MS, 1);
+  return video.views / ageDays;
+}
+
+function groupPerformance(entries, labels) {
+  return labels
+    .map((label, index) => {
+      const group = entries.filter(entry => entry.group === index);
+      return { label, count: group.length, medianViewsPerDay: Math.round(median(group.map(entry => entry.viewsPerDay))) };
+    })
+    .filter(group => group.count > 0);
+}
+
+// The best group only counts when it and at least one other group have enough uploads
+function bestGroup(groups) {
+  const comparable = groups.filter(group => group.count >= MIN_BUCKET_SAMPLE);
+  if (comparable.length < 2) return null;
+  return comparable.reduce((best, group) => (group.medianViewsPerDay > best.medianViewsPerDay ? group : best));
+}
+
+function analyzeCadence(videos) {
+  const times = videos.map(video => Date.parse(video.publishedAt)).sort((a, b) => a - b);
+  if (times.length < 2) return null;
+
+  const gaps = times.slice(1).map((time, index) => (time - times[index]) / DAY_MS);
+  const longestIndex = gaps.indexOf(Math.max(...gaps));
+  const spanDays = Math.max((times[times.length - 1] - times[0]) / DAY_MS, 1);
+  const variation = mean(gaps) > 0 ? standardDeviation(gaps) / mean(gaps) : 0;
+
+  // Compare upload rate in the older and newer halves of the window
+  const midpoint = times[0] + (times[times.length - 1] - times[0]) / 2;
+  const olderCount = times.filter(time => time < midpoint).length;
+  const newerCount = times.length - olderCount;
+
+  return {
+    uploads: times.length,
+    spanDays: Math.round(spanDays),
+    uploadsPerWeek: Number(((times.length - 1) / spanDays * 7).toFixed(2)),
+    medianGapDays: Number(median(gaps).toFixed(1)),
+    longestGap: {
+      days: Number(gaps[longestIndex].toFixed(1)),
+      from: new Date(times[longestIndex]).toISOString(),
+      to: new Date(times[longestIndex + 1]).toISOString()
+    },
+    gapVariation: Number(variation.toFixed(2)),
+    consistency: variation < 0.5 ? 'very consistent' : variation < 1 ? 'fairly consistent' : 'irregular',
+    trend: olderCount > 0 ? Number((((newerCount / olderCount) - 1) * 100).toFixed(0)) : null
+  };
+}
+
+export function analyzeSchedule(videos, { timeZone = DEFAULT_TIMEZONE, now = Date.now() } = {}) {
+  const entries = videos.map(video => {
+    const { weekday, hour } = localWeekdayAndHour(video.publishedAt, timeZone);
+    return { video, weekday, hour, viewsPerDay: viewsPerDay(video, now) };
+  });
+
+  const byWeekday = groupPerformance(entries.map(entry => ({ ...entry, group: entry.weekday })), WEEKDAYS);
+  const byTimeBlock = groupPerformance(entries.map(entry => ({ ...entry, group: Math.floor(entry.hour / 6) })), TIME_BLOCKS.map(block => block.label));
+  const uploadsByHour = Array.from({ length: 24 }, (_, hour) => entries.filter(entry => entry.hour === hour).length);
+
+  return {
+    timeZone,
+    medianViewsPerDay: Math.round(median(entries.map(entry => entry.viewsPerDay))),
+    byWeekday,
+    byTimeBlock,
+    uploadsByHour,
+    bestWeekday: bestGroup(byWeekday),
+    bestTimeBlock: bestGroup(byTimeBlock),
+    cadence: analyzeCadence(videos),
+    recentUploads: videos.filter(video => now - Date.parse(video.publishedAt) <= 30 * DAY_MS).length
+  };
+}
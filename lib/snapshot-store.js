@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_DATA_DIR = process.env.YOUTUBE_DATA_DIR || 'data';
+
+// Append-only JSON-lines store: one file per channel, one line per analysis run
+export class SnapshotStore {
+  constructor(dir = path.join(DEFAULT_DATA_DIR, 'snapshots')) {
+    this.dir = dir;
+    this.indexFile = path.join(dir, 'index.json');
+    this.indexWrite = Promise.resolve();
+  }
+
+  channelFile(channelId) {
+    return path.join(this.dir, `${channelId}.jsonl`);
+  }
+
+  async record({ channelName, channelInfo, videos }, timestamp = new Date()) {
+    const snapshot = {
+      timestamp: timestamp.toISOString(),
+      channelId: channelInfo.id,
+      handle: channelName,
+      title: channelInfo.snippet.title,
+      channel: {
+        subscribers: channelInfo.statistics.hiddenSubscriberCount ? null : parseInt(channelInfo.statistics.subscriberCount) || 0,
+        views: parseInt(channelInfo.statistics.viewCount) || 0,
+        videoCount: parseInt(channelInfo.statistics.videoCount) || 0
+      },
+      videos: videos.map(video => ({
+        videoId: video.videoId,
+        title: video.title,
+        publishedAt: video.publishedAt,
+        views: video.views,
+        likes: video.likes
+      }))
+    };
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.appendFile(this.channelFile(channelInfo.id), JSON.stringify(snapshot) + '\n');
+    await this.updateIndex(channelName, channelInfo.id);
+    return snapshot;
+  }
+
+  async load(channelId) {
+    try {
+      const content = await fs.readFile(this.channelFile(channelId), 'utf-8');
+      return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Handle → channel ID map, so history lookups work offline
+  async readIndex() {
+    try {
+      return JSON.parse(await fs.readFile(this.indexFile, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  // Chained so concurrent batch workers don't overwrite each other's entries
+  updateIndex(handle, channelId) {
+    this.indexWrite = this.indexWrite.catch(() => {}).then(async () => {
+      const index = await this.readIndex();
+      index[handle.toLowerCase()] = channelId;
+      await fs.writeFile(this.indexFile, JSON.stringify(index, null, 2));
+    });
+    return this.indexWrite;
+  }
+
+  async findChannelId(handle) {
+    const index = await this.readIndex();
+    return index[handle.replace(/^@/, '').toLowerCase()] || null;
+  }
+}
+
+// Channel and per-video changes between snapshots, oldest first
+export function diffSnapshots(previous, latest) {
+  const days = Math.max((Date.parse(latest.timestamp) - Date.parse(previous.timestamp)) / (1000 * 60 * 60 * 24), 1 / 24);
+  const delta = (a, b) => (a === null || b === null ? null : b - a);
+
+  const previousVideos = new Map(previous.videos.map(video => [video.videoId, video]));
+  const videos = latest.videos
+    .filter(video => previousVideos.has(video.videoId))
+    .map(video => {
+      const before = previousVideos.get(video.videoId);
+      const viewsGained = video.views - before.views;
+      return {
+        videoId: video.videoId,
+        title: video.title,
+        views: video.views,
+        viewsGained,
+        likesGained: video.likes - before.likes,
+        viewsPerDay: Math.round(viewsGained / days)
+      };
+    })
+    .sort((a, b) => b.viewsPerDay - a.viewsPerDay);
+
+  return {
+    from: previous.timestamp,
+    to: latest.timestamp,
+    days,
+    subscribersGained: delta(previous.channel.subscribers, latest.channel.subscribers),
+    viewsGained: delta(previous.channel.views, latest.channel.views),
+    videosAdded: delta(previous.channel.videoCount, latest.channel.videoCount),
+    newVideos: latest.videos.filter(video => !previousVideos.has(video.videoId)),
+    videos
+  };
+}
@@ -0,0 +1,317 @@
+import jpeg from 'jpeg-js';
+import { mean, standardDeviation, relateToViews, MIN_SAMPLE, MIN_BUCKET_SAMPLE } from './performance-analysis.js';
+import { compareGroups, MIN_LIFT_DIFFERENCE } from './title-analysis.js';
+
+// Every image is averaged down to this width first, so a 1280px maxres thumbnail and
+// a 320px one give comparable numbers and decoding stays the expensive part
+const SAMPLE_WIDTH = 160;
+const CELL_SIZE = 8; // text and face heuristics work on 8x8 cells of the sample
+const EDGE_THRESHOLD = 48; // luma step between neighbouring pixels that counts as an edge
+const TEXT_EDGE_DENSITY = 0.15;
+const TEXT_LUMA_RANGE = 96;
+const FACE_MIN_CELLS = 3;
+const FACE_MAX_AREA = 0.6; // a skin-toned region larger than this is a wall or a wooden desk
+const PALETTE_SIZE = 3;
+const MIN_PALETTE_SHARE = 0.05;
+const TOP_PERFORMER_SHARE = 0.25; // top quarter by views, at least MIN_BUCKET_SAMPLE videos
+const SHARED_BY = 0.6; // a style most top performers have...
+const SHARE_DIFFERENCE = 0.2; // ...and the rest noticeably less often
+
+// Hasler & Süsstrunk (2003): ~33 is "moderately", ~59 "quite" and ~82 "highly" colorful
+const VIVID_COLORFULNESS = 59;
+const MUTED_COLORFULNESS = 33;
+const TEXT_AREA_MIN = 5; // percent of the image
+const BRIGHT = 60;
+const DARK = 35;
+const HIGH_CONTRAST = 25;
+
+const THUMBNAIL_STYLES = [
+  { style: 'face', label: 'a face', test: t => t.faces > 0 },
+  { style: 'no-face', label: 'no face', test: t => t.faces === 0 },
+  { style: 'text', label: 'text overlay', test: t => t.textArea >= TEXT_AREA_MIN },
+  { style: 'no-text', label: 'no text', test: t => t.textArea < TEXT_AREA_MIN },
+  { style: 'bright', label: 'a bright image', test: t => t.brightness >= BRIGHT },
+  { style: 'dark', label: 'a dark image', test: t => t.brightness < DARK },
+  { style: 'high-contrast', label: 'high contrast', test: t => t.contrast >= HIGH_CONTRAST },
+  { style: 'vivid', label: 'vivid colors', test: t => t.colorfulness >= VIVID_COLORFULNESS },
+  { style: 'muted', label: 'muted colors', test: t => t.colorfulness < MUTED_COLORFULNESS }
+];
+
+const luma = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+const toHex = (r, g, b) => `#${[r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+
+export function nameColor(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const value = max / 255;
+  const saturation = max > 0 ? (max - min) / max : 0;
+  if (value < 0.2) return 'black';
+  if (saturation < 0.2) return value > 0.8 ? 'white' : 'gray';
+
+  let hue;
+  if (max === r) hue = ((g - b) / (max - min) + 6) % 6;
+  else if (max === g) hue = (b - r) / (max - min) + 2;
+  else hue = (r - g) / (max - min) + 4;
+  hue *= 60;
+  if (hue < 15 || hue >= 345) return 'red';
+  if (hue < 45) return value < 0.6 ? 'brown' : 'orange';
+  if (hue < 70) return 'yellow';
+  if (hue < 165) return 'green';
+  if (hue < 195) return 'cyan';
+  if (hue < 255) return 'blue';
+  if (hue < 290) return 'purple';
+  return 'pink';
+}
+
+// Box-averages the RGB(A) pixels down to SAMPLE_WIDTH and drops letterbox bars
+// (hqdefault.jpg pads 16:9 frames to 4:3 with black rows)
+function samplePixels({ width, height, data }) {
+  const scale = Math.max(1, width / SAMPLE_WIDTH);
+  const sampleWidth = Math.max(1, Math.round(width / scale));
+  const sampleHeight = Math.max(1, Math.round(height / scale));
+  const channels = data.length / (width * height);
+  const rgb = new Float32Array(sampleWidth * sampleHeight * 3);
+
+  for (let y = 0; y < sampleHeight; y++) {
+    const y0 = Math.floor(y * scale);
+    const y1 = Math.max(y0 + 1, Math.min(height, Math.floor((y + 1) * scale)));
+    for (let x = 0; x < sampleWidth; x++) {
+      const x0 = Math.floor(x * scale);
+      const x1 = Math.max(x0 + 1, Math.min(width, Math.floor((x + 1) * scale)));
+      let r = 0, g = 0, b = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const offset = (sy * width + sx) * channels;
+          r += data[offset];
+          g += data[offset + 1];
+          b += data[offset + 2];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const target = (y * sampleWidth + x) * 3;
+      rgb[target] = r / count;
+      rgb[target + 1] = g / count;
+      rgb[target + 2] = b / count;
+    }
+  }
+
+  const isBar = y => {
+    for (let x = 0; x < sampleWidth; x++) {
+      const offset = (y * sampleWidth + x) * 3;
+      if (luma(rgb[offset], rgb[offset + 1], rgb[offset + 2]) > 24) return false;
+    }
+    return true;
+  };
+  let top = 0;
+  let bottom = sampleHeight;
+  while (top < sampleHeight / 4 && isBar(top)) top++;
+  while (bottom > sampleHeight * 3 / 4 && isBar(bottom - 1)) bottom--;
+  return { width: sampleWidth, height: bottom - top, rgb: rgb.subarray(top * sampleWidth * 3, bottom * sampleWidth * 3) };
+}
+
+// Up to PALETTE_SIZE colors by pixel share, from a 512-bin (3 bits per channel) histogram
+function extractPalette(rgb, pixels) {
+  const bins = new Map();
+  for (let i = 0; i < pixels; i++) {
+    const [r, g, b] = [rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]];
+    const key = (r >> 5) << 6 | (g >> 5) << 3 | (b >> 5);
+    const bin = bins.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bin.count++;
+    bin.r += r;
+    bin.g += g;
+    bin.b += b;
+    bins.set(key, bin);
+  }
+  return [...bins.values()]
+    .sort((a, b) => b.count - a.count)
+    .filter(bin => bin.count / pixels >= MIN_PALETTE_SHARE)
+    .slice(0, PALETTE_SIZE)
+    .map(bin => {
+      const [r, g, b] = [bin.r / bin.count, bin.g / bin.count, bin.b / bin.count];
+      return { hex: toHex(r, g, b), name: nameColor(r, g, b), share: Number((bin.count / pixels).toFixed(2)) };
+    });
+}
+
+// Cells crowded with sharp luma steps across a wide tonal range, in horizontal runs of
+// two or more (lettering spans several cells; a lone busy cell is usually texture)
+function estimateTextArea({ width, height }, lumas) {
+  const columns = Math.floor(width / CELL_SIZE);
+  const rows = Math.floor(height / CELL_SIZE);
+  if (columns === 0 || rows === 0) return 0;
+
+  const textLike = new Array(columns * rows).fill(false);
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      let edges = 0, min = 255, max = 0;
+      for (let y = row * CELL_SIZE; y < (row + 1) * CELL_SIZE; y++) {
+        for (let x = column * CELL_SIZE; x < (column + 1) * CELL_SIZE; x++) {
+          const value = lumas[y * width + x];
+          min = Math.min(min, value);
+          max = Math.max(max, value);
+          if (x + 1 < width && Math.abs(lumas[y * width + x + 1] - value) > EDGE_THRESHOLD) edges++;
+        }
+      }
+      textLike[row * columns + column] = edges / (CELL_SIZE * CELL_SIZE) >= TEXT_EDGE_DENSITY && max - min >= TEXT_LUMA_RANGE;
+    }
+  }
+
+  const kept = textLike.filter((isText, index) => isText && (
+    (index % columns > 0 && textLike[index - 1]) || (index % columns < columns - 1 && textLike[index + 1])
+  )).length;
+  return Math.round(kept / (columns * rows) * 100);
+}
+
+// Connected regions of skin-toned cells (YCbCr rule) that are roughly face-shaped, fill
+// most of their bounding box and hold darker features (eyes, brows, mouth)
+function detectFaces({ width, height, rgb }, lumas) {
+  const columns = Math.floor(width / CELL_SIZE);
+  const rows = Math.floor(height / CELL_SIZE);
+  if (columns === 0 || rows === 0) return { faces: 0, faceArea: 0 };
+
+  const isSkin = index => {
+    const [r, g, b] = [rgb[index * 3], rgb[index * 3 + 1], rgb[index * 3 + 2]];
+    const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    return lumas[index] > 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+  };
+  const skinCells = new Array(columns * rows).fill(false);
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      let skin = 0;
+      for (let y = row * CELL_SIZE; y < (row + 1) * CELL_SIZE; y++) {
+        for (let x = column * CELL_SIZE; x < (column + 1) * CELL_SIZE; x++) {
+          if (isSkin(y * width + x)) skin++;
+        }
+      }
+      skinCells[row * columns + column] = skin >= (CELL_SIZE * CELL_SIZE) / 2;
+    }
+  }
+
+  const seen = new Array(columns * rows).fill(false);
+  const faces = [];
+  for (let start = 0; start < skinCells.length; start++) {
+    if (!skinCells[start] || seen[start]) continue;
+    const cells = [];
+    const stack = [start];
+    seen[start] = true;
+    while (stack.length > 0) {
+      const index = stack.pop();
+      cells.push(index);
+      const column = index % columns;
+      const neighbours = [index - columns, index + columns, column > 0 ? index - 1 : -1, column < columns - 1 ? index + 1 : -1];
+      neighbours.forEach(next => {
+        if (next >= 0 && next < skinCells.length && skinCells[next] && !seen[next]) {
+          seen[next] = true;
+          stack.push(next);
+        }
+      });
+    }
+    if (cells.length < FACE_MIN_CELLS) continue;
+
+    const cellColumns = cells.map(index => index % columns);
+    const cellRows = cells.map(index => Math.floor(index / columns));
+    const [left, right] = [Math.min(...cellColumns), Math.max(...cellColumns) + 1];
+    const [top, bottom] = [Math.min(...cellRows), Math.max(...cellRows) + 1];
+    const boxCells = (right - left) * (bottom - top);
+    const aspect = (bottom - top) / (right - left);
+    if (aspect < 0.7 || aspect > 2.2 || cells.length / boxCells < 0.45 || boxCells / (columns * rows) > FACE_MAX_AREA) continue;
+
+    const skinLuma = mean(cells.map(index => {
+      const row = Math.floor(index / columns);
+      const column = index % columns;
+      return lumas[(row * CELL_SIZE + CELL_SIZE / 2) * width + column * CELL_SIZE + CELL_SIZE / 2];
+    }));
+    let dark = 0;
+    for (let y = top * CELL_SIZE; y < bottom * CELL_SIZE; y++) {
+      for (let x = left * CELL_SIZE; x < right * CELL_SIZE; x++) {
+        if (lumas[y * width + x] < skinLuma * 0.55) dark++;
+      }
+    }
+    if (dark / (boxCells * CELL_SIZE * CELL_SIZE) < 0.03) continue;
+    faces.push(boxCells / (columns * rows));
+  }
+  return { faces: faces.length, faceArea: faces.length ? Math.round(Math.max(...faces) * 100) : 0 };
+}
+
+// Visual features of one JPEG thumbnail. Brightness and contrast (RMS of luma) are on a
+// 0-100 scale, text and face areas are percentages of the image; both are estimates
+export function describeThumbnail(buffer) {
+  const decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: false, maxResolutionInMP: 4 });
+  const sample = samplePixels(decoded);
+  const pixels = sample.width * sample.height;
+  const { rgb } = sample;
+
+  const lumas = new Float32Array(pixels);
+  const rg = new Array(pixels);
+  const yb = new Array(pixels);
+  for (let i = 0; i < pixels; i++) {
+    const [r, g, b] = [rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]];
+    lumas[i] = luma(r, g, b);
+    rg[i] = r - g;
+    yb[i] = (r + g) / 2 - b;
+  }
+  const lumaValues = Array.from(lumas);
+  const palette = extractPalette(rgb, pixels);
+
+  return {
+    width: decoded.width,
+    height: decoded.height,
+    brightness: Math.round(mean(lumaValues) / 255 * 100),
+    contrast: Math.round(standardDeviation(lumaValues) / 255 * 100),
+    colorfulness: Math.round(Math.hypot(standardDeviation(rg), standardDeviation(yb)) + 0.3 * Math.hypot(mean(rg), mean(yb))),
+    palette,
+    dominantColor: palette[0]?.name ?? null,
+    textArea: estimateTextArea(sample, lumas),
+    ...detectFaces(sample, lumas)
+  };
+}
+
+// thumbnails: Map videoId → describeThumbnail features (plus source); videos without one are left out
+export function analyzeThumbnails(videos, thumbnails) {
+  const described = videos
+    .filter(video => thumbnails.has(video.videoId))
+    .map(video => ({ videoId: video.videoId, title: video.title, views: video.views, ...thumbnails.get(video.videoId) }));
+
+  const byViews = [...described].sort((a, b) => b.views - a.views);
+  const top = byViews.slice(0, Math.max(MIN_BUCKET_SAMPLE, Math.ceil(described.length * TOP_PERFORMER_SHARE)));
+  const rest = byViews.slice(top.length);
+  const share = (entries, test) => (entries.length ? Number((entries.filter(test).length / entries.length).toFixed(2)) : null);
+
+  // Fixed styles plus "mostly <color>" for every dominant color seen often enough
+  const colorCounts = new Map();
+  described.forEach(entry => entry.dominantColor && colorCounts.set(entry.dominantColor, (colorCounts.get(entry.dominantColor) || 0) + 1));
+  const colorStyles = [...colorCounts.entries()]
+    .filter(([, count]) => count >= MIN_BUCKET_SAMPLE)
+    .map(([name]) => ({ style: `color:${name}`, label: `mostly ${name}`, test: t => t.dominantColor === name }));
+
+  const styles = [...THUMBNAIL_STYLES, ...colorStyles]
+    .map(({ style, label, test }) => ({ style, label, ...compareGroups(described, test), topShare: share(top, test), restShare: share(rest, test) }))
+    .filter(entry => entry.count > 0);
+  const topStyles = described.length >= MIN_SAMPLE
+    ? styles
+      .filter(entry => entry.count >= MIN_BUCKET_SAMPLE && entry.topShare >= SHARED_BY && entry.topShare - entry.restShare >= SHARE_DIFFERENCE)
+      .sort((a, b) => (b.topShare - b.restShare) - (a.topShare - a.restShare))
+    : [];
+  const weakStyles = styles
+    .filter(entry => entry.count >= MIN_BUCKET_SAMPLE && entry.countWithout >= MIN_BUCKET_SAMPLE && entry.lift !== null && entry.lift <= 1 - MIN_LIFT_DIFFERENCE)
+    .sort((a, b) => a.lift - b.lift);
+
+  const sources = {};
+  described.forEach(entry => sources[entry.source] = (sources[entry.source] || 0) + 1);
+
+  return {
+    videosWithThumbnails: described.length,
+    videosAnalyzed: videos.length,
+    sources,
+    topPerformers: top.length,
+    brightness: relateToViews(described, 'brightness'),
+    contrast: relateToViews(described, 'contrast'),
+    colorfulness: relateToViews(described, 'colorfulness'),
+    textArea: relateToViews(described, 'textArea'),
+    faceArea: relateToViews(described, 'faceArea'),
+    styles,
+    topStyles: topStyles.slice(0, 5),
+    weakStyles: weakStyles.slice(0, 3),
+    videos: described
+  };
+}
@@ -0,0 +1,97 @@
+import axios from 'axios';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_THUMBNAILS_DIR = process.env.YOUTUBE_THUMBNAILS_DIR || 'thumbnails';
+export const DEFAULT_THUMBNAIL_CACHE_DIR = path.join('.cache', 'thumbnails');
+export const THUMBNAIL_EXTENSIONS = ['.jpg', '.jpeg'];
+
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+
+// Local thumbnails for offline runs: "<videoId>.jpg", yt-dlp style "Title [<videoId>].jpg",
+// or any file listed in an optional thumbnails.json manifest ({ "<videoId>": "file.jpg" })
+export class LocalThumbnailSource {
+  constructor(dir = DEFAULT_THUMBNAILS_DIR) {
+    this.dir = dir;
+    this.name = 'local';
+    this.files = null;
+  }
+
+  async index() {
+    if (this.files) return this.files;
+    this.files = new Map();
+
+    let entries;
+    try {
+      entries = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return this.files;
+      throw error;
+    }
+    for (const entry of entries) {
+      if (!THUMBNAIL_EXTENSIONS.includes(path.extname(entry).toLowerCase())) continue;
+      const videoId = entry.match(/\[([\w-]{11})\]/)?.[1] ?? entry.split('.')[0];
+      if (VIDEO_ID_PATTERN.test(videoId) && !this.files.has(videoId)) {
+        this.files.set(videoId, path.join(this.dir, entry));
+      }
+    }
+
+    if (entries.includes('thumbnails.json')) {
+      const manifest = JSON.parse(await fs.readFile(path.join(this.dir, 'thumbnails.json'), 'utf-8'));
+      for (const [videoId, file] of Object.entries(manifest)) {
+        this.files.set(videoId, path.resolve(this.dir, file));
+      }
+    }
+    return this.files;
+  }
+
+  async fetch(video) {
+    const file = (await this.index()).get(video.videoId);
+    if (!file) return null;
+    if (!THUMBNAIL_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+      throw new Error(`${file}: thumbnails must be .jpg or .jpeg`);
+    }
+    return fs.readFile(file);
+  }
+}
+
+// The thumbnail URL kept on each video (320x180 "medium"). Images come from YouTube's
+// CDN, cost no API quota, and are cached so later runs stay offline
+export class ThumbnailDownloadSource {
+  constructor({ cacheDir = DEFAULT_THUMBNAIL_CACHE_DIR, refresh = false, timeoutMs = 15000 } = {}) {
+    this.cacheDir = cacheDir;
+    this.refresh = refresh;
+    this.timeoutMs = timeoutMs;
+    this.name = 'download';
+  }
+
+  async fetch(video) {
+    const cached = path.join(this.cacheDir, `${video.videoId}.jpg`);
+    if (!this.refresh) {
+      try {
+        return await fs.readFile(cached);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    const url = video.thumbnail || `https://i.ytimg.com/vi/${video.videoId}/mqdefault.jpg`;
+    const { data } = await axios.get(url, { timeout: this.timeoutMs, responseType: 'arraybuffer' });
+    const image = Buffer.from(data);
+    // Only JPEGs (FF D8) are cached; anything else is handed on to fail decoding for this run only
+    if (image[0] !== 0xff || image[1] !== 0xd8) return image;
+
+    await fs.mkdir(this.cacheDir, { recursive: true });
+    await fs.writeFile(cached, image);
+    return image;
+  }
+}
+
+// "--thumbnails auto" checks the local directory first and then downloads;
+// "--thumbnails DIR" stays offline and only reads that directory
+export function createThumbnailSources(setting, { refresh = false } = {}) {
+  if (setting === 'auto') {
+    return [new LocalThumbnailSource(DEFAULT_THUMBNAILS_DIR), new ThumbnailDownloadSource({ refresh })];
+  }
+  return [new LocalThumbnailSource(setting)];
+}
@@ -0,0 +1,112 @@
+import { mean, rankCorrelation, MIN_SAMPLE, MIN_BUCKET_SAMPLE } from './performance-analysis.js';
+
+// Function words in the languages we see most often in titles
+const STOP_WORDS = new Set([
+  // English
+  'a', 'about', 'after', 'all', 'an', 'and', 'are', 'as', 'at', 'be', 'before', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', "i'm", 'if', 'in', 'into', 'is', 'it', "it's", 'its', 'just', 'me', 'my',
+  'no', 'not', 'of', 'on', 'or', 'our', 'out', 'over', 'she', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'this', 'to', 'too', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+  'with', 'you', "you're", 'your',
+  // Spanish
+  'al', 'como', 'con', 'de', 'del', 'el', 'en', 'es', 'la', 'las', 'lo', 'los', 'más', 'mi', 'para', 'pero', 'por', 'que', 'qué',
+  'se', 'sin', 'su', 'un', 'una', 'y',
+  // Portuguese
+  'ao', 'com', 'da', 'das', 'do', 'dos', 'e', 'em', 'na', 'nas', 'no', 'nos', 'o', 'os', 'um', 'uma', 'você',
+  // French
+  'au', 'aux', 'ce', 'ces', 'dans', 'des', 'du', 'est', 'et', 'il', 'je', 'le', 'les', 'mais', 'ne', 'nous', 'ou', 'pas', 'pour',
+  'qui', 'sur', 'une', 'vous',
+  // German
+  'auf', 'das', 'dem', 'den', 'der', 'die', 'ein', 'eine', 'einen', 'für', 'ich', 'ist', 'mit', 'nicht', 'sie', 'und', 'von', 'wie',
+  'zu',
+  // Italian
+  'che', 'di', 'gli', 'il', 'nel', 'per', 'sono', 'uno'
+]);
+
+export const MIN_LIFT_DIFFERENCE = 0.2; // lifts within ±20% of 1.0 are treated as noise
+
+// Lowercased word tokens; punctuation and emoji are separators, so "review:" and "review" match
+export function tokenize(title) {
+  return (title.normalize('NFKC').toLocaleLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'’]*/gu) || [])
+    .map(token => token.replace(/['’]+$/, '').replace(/’/g, "'"));
+}
+
+export const isContentWord = token => !STOP_WORDS.has(token) && !/^\d+$/.test(token) && token.length > 1;
+
+// Unigrams plus bigrams/trigrams that neither start nor end with a stop word ("first look", "how to build" → "to build" is dropped)
+export function extractTerms(title) {
+  const tokens = tokenize(title);
+  const terms = new Set();
+  for (let size = 1; size <= 3; size++) {
+    for (let i = 0; i + size <= tokens.length; i++) {
+      const gram = tokens.slice(i, i + size);
+      if (isContentWord(gram[0]) && isContentWord(gram[gram.length - 1])) {
+        terms.add(gram.join(' '));
+      }
+    }
+  }
+  return terms;
+}
+
+export function compareGroups(videos, predicate) {
+  const withFeature = videos.filter(predicate);
+  const without = videos.filter(video => !predicate(video));
+  const meanWith = mean(withFeature.map(video => video.views));
+  const meanWithout = mean(without.map(video => video.views));
+  return {
+    count: withFeature.length,
+    countWithout: without.length,
+    meanViewsWith: Math.round(meanWith),
+    meanViewsWithout: Math.round(meanWithout),
+    lift: meanWithout > 0 && withFeature.length > 0 ? Number((meanWith / meanWithout).toFixed(2)) : null
+  };
+}
+
+export const TITLE_FEATURES = [
+  { feature: 'number', label: 'a number', test: title => /\p{N}/u.test(title) },
+  { feature: 'question', label: 'a question mark', test: title => /[?？¿]/.test(title) },
+  { feature: 'exclamation', label: 'an exclamation mark', test: title => /[!！¡]/.test(title) },
+  { feature: 'allCaps', label: 'an ALL CAPS word', test: title => /(^|[^\p{L}])\p{Lu}{3,}(?![\p{L}])/u.test(title) },
+  { feature: 'brackets', label: 'brackets or parentheses', test: title => /[[\](){}【】]/.test(title) },
+  { feature: 'emoji', label: 'an emoji', test: title => /\p{Extended_Pictographic}/u.test(title) },
+  { feature: 'long', label: 'more than 60 characters', test: title => [...title].length > 60 }
+];
+
+// Spearman rank correlation between title length and views
+function lengthCorrelation(videos) {
+  if (videos.length < MIN_SAMPLE) return null;
+  return rankCorrelation(videos.map(video => [...video.title].length), videos.map(video => video.views));
+}
+
+export function analyzeTitles(videos) {
+  const termSets = new Map(videos.map(video => [video, extractTerms(video.title)]));
+  const minSupport = videos.length >= 20 ? MIN_BUCKET_SAMPLE : 2;
+
+  const counts = {};
+  termSets.forEach(terms => terms.forEach(term => counts[term] = (counts[term] || 0) + 1));
+
+  let terms = Object.entries(counts)
+    .filter(([, count]) => count >= minSupport && count < videos.length)
+    .map(([term]) => ({ term, words: term.split(' ').length, ...compareGroups(videos, video => termSets.get(video).has(term)) }));
+
+  // Drop a term when a longer phrase containing it appears in exactly the same videos
+  terms = terms.filter(candidate => !terms.some(other =>
+    other.words > candidate.words && other.count === candidate.count && ` ${other.term} `.includes(` ${candidate.term} `)));
+
+  const byLift = [...terms].filter(term => term.lift !== null).sort((a, b) => b.lift - a.lift || b.count - a.count);
+  const features = TITLE_FEATURES.map(({ feature, label, test }) => ({ feature, label, ...compareGroups(videos, video => test(video.title)) }));
+
+  return {
+    sampleSize: videos.length,
+    minSupport,
+    terms: [...terms].sort((a, b) => b.count - a.count || b.lift - a.lift),
+    topTerms: byLift.filter(term => term.lift >= 1 + MIN_LIFT_DIFFERENCE).slice(0, 8),
+    weakTerms: byLift.filter(term => term.lift <= 1 - MIN_LIFT_DIFFERENCE).reverse().slice(0, 5),
+    features,
+    // Features only count as signal when both sides have enough videos and the gap isn't noise
+    notableFeatures: features.filter(f => f.count >= MIN_BUCKET_SAMPLE && f.countWithout >= MIN_BUCKET_SAMPLE
+      && f.lift !== null && Math.abs(f.lift - 1) >= MIN_LIFT_DIFFERENCE),
+    averageLength: Math.round(mean(videos.map(video => [...video.title].length))),
+    lengthCorrelation: lengthCorrelation(videos)
+  };
+}
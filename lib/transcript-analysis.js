@@ -0,0 +1,159 @@
+import { relateToViews, MIN_BUCKET_SAMPLE } from './performance-analysis.js';
+import { tokenize, isContentWord, compareGroups, MIN_LIFT_DIFFERENCE } from './title-analysis.js';
+
+// Speech is padded with words that never appear in titles
+const SPOKEN_FILLER = new Set([
+  'um', 'uh', 'uhm', 'hmm', 'oh', 'okay', 'ok', 'yeah', 'yes', 'like', 'gonna', 'wanna', 'gotta', 'kind', 'sort', 'really', 'actually',
+  'basically', 'literally', 'right', 'know', 'mean', 'thing', 'things', 'stuff', 'going', 'get', 'got', 'one', 'also', 'very', 'much',
+  'lot', 'little', 'bit', 'well', 'now', 'here', 'there', "that's", "there's", "don't", "can't", "we're", "they're", "i've", "you've",
+  "let's", 'let', 'see', 'look', 'say', 'said', 'think', 'want', 'make', 'go', 'way', 'even', 'still', 'any', 'some', 'more', 'most',
+  'been', 'being', 'would', 'could', 'should', 'because', 'only', 'other', 'something', 'pretty', 'guys', 'video', 'channel', 'music',
+  'hey', 'hello', 'welcome', 'back', 'today', 'subscribe', 'thanks', 'watching', 'comments', 'below', 'link', 'description'
+]);
+
+// Openers that aren't yet the substance of the video
+const INTRO_PATTERN = /\b(?:hey|hi|hello|what's up|welcome( back)?|subscribe|bell|sponsor(?:ed)?|brought to you|patreon|my name is|in today's video|in this video)\b/i;
+// Spoken signposts that usually start a new section
+const TRANSITION_PATTERN = /^(?:so,? now|now,? let's|moving on|next,? |next up|let's talk about|let's move|first(?:ly)?,? |second(?:ly)?,? |third(?:ly)?,? |finally,? |lastly,? |number (?:one|two|three|four|five|\d+)|step (?:one|two|three|\d+)|chapter )/i;
+
+const SUBSTANTIVE_WORDS = 8; // a sentence this long, with half of them content words, ends the hook
+const SENTENCE_WORDS = 14; // unpunctuated auto-captions are chunked into pseudo-sentences this long
+const PAUSE_SECONDS = 2.5; // silence that separates segments
+const MIN_SEGMENT_SECONDS = 30; // shorter sections are folded into the previous one
+const KEYWORDS_PER_VIDEO = 15;
+
+const isTopicWord = token => isContentWord(token) && !SPOKEN_FILLER.has(token) && token.length > 2;
+
+// Sentences with the time their first word was spoken
+function splitSentences(cues) {
+  const punctuated = cues.some(cue => /[.!?]/.test(cue.text));
+  const sentences = [];
+  let current = null;
+  for (const cue of cues) {
+    const pieces = punctuated ? cue.text.split(/(?<=[.!?])\s+/) : [cue.text];
+    for (const piece of pieces) {
+      if (!current) current = { start: cue.start, text: '' };
+      current.text = `${current.text} ${piece}`.trim();
+      const ended = punctuated ? /[.!?]$/.test(piece) : tokenize(current.text).length >= SENTENCE_WORDS;
+      if (ended) {
+        sentences.push(current);
+        current = null;
+      }
+    }
+  }
+  if (current) sentences.push(current);
+  return sentences;
+}
+
+// Seconds until the first sentence that is neither a greeting nor a channel plug
+function hookSeconds(sentences) {
+  const substantive = sentences.find(sentence => {
+    const tokens = tokenize(sentence.text);
+    return tokens.length >= SUBSTANTIVE_WORDS
+      && tokens.filter(isTopicWord).length >= SUBSTANTIVE_WORDS / 2
+      && !INTRO_PATTERN.test(sentence.text);
+  });
+  return substantive ? Number(substantive.start.toFixed(1)) : null;
+}
+
+// Sections split at long pauses or spoken signposts; untimed transcripts count paragraphs
+function segmentCount(transcript, durationSeconds) {
+  if (!transcript.timed || transcript.cues.length === 0) return { segments: transcript.cues.length, averageSegmentSeconds: null };
+  const starts = [transcript.cues[0].start];
+  transcript.cues.forEach((cue, index) => {
+    const previous = transcript.cues[index - 1];
+    const boundary = previous && (cue.start - previous.end >= PAUSE_SECONDS || TRANSITION_PATTERN.test(cue.text));
+    if (boundary && cue.start - starts[starts.length - 1] >= MIN_SEGMENT_SECONDS) starts.push(cue.start);
+  });
+  const spoken = (durationSeconds || transcript.cues[transcript.cues.length - 1].end) - starts[0];
+  return { segments: starts.length, averageSegmentSeconds: Math.round(spoken / starts.length) };
+}
+
+// Unigrams and bigrams; bigrams never span punctuation, so "price. Next" isn't a phrase
+function topicTerms(text) {
+  const counts = new Map();
+  const add = term => counts.set(term, (counts.get(term) || 0) + 1);
+  for (const clause of text.split(/[.!?,;:]+/)) {
+    const tokens = tokenize(clause);
+    tokens.forEach((token, i) => {
+      if (!isTopicWord(token)) return;
+      add(token);
+      if (isTopicWord(tokens[i + 1] ?? '')) add(`${token} ${tokens[i + 1]}`);
+    });
+  }
+  return counts;
+}
+
+// Per-video measurements; transcript is { format, timed, cues } from lib/transcript-sources.js
+export function describeTranscript(video, transcript) {
+  const text = transcript.cues.map(cue => cue.text).join(' ');
+  const words = tokenize(text).length;
+  const spokenSeconds = transcript.timed && transcript.cues.length > 0
+    ? transcript.cues[transcript.cues.length - 1].end - transcript.cues[0].start
+    : video.durationSeconds;
+  return {
+    videoId: video.videoId,
+    title: video.title,
+    views: video.views,
+    source: transcript.source ?? null,
+    words,
+    wordsPerMinute: spokenSeconds > 0 ? Math.round(words / (spokenSeconds / 60)) : null,
+    hookSeconds: transcript.timed ? hookSeconds(splitSentences(transcript.cues)) : null,
+    ...segmentCount(transcript, video.durationSeconds),
+    terms: topicTerms(text)
+  };
+}
+
+// Keywords that set each transcript apart from the channel's others (tf-idf)
+function assignKeywords(described) {
+  const documentFrequency = new Map();
+  described.forEach(entry => entry.terms.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+  described.forEach(entry => {
+    const total = [...entry.terms.values()].reduce((sum, count) => sum + count, 0) || 1;
+    entry.keywords = [...entry.terms.entries()]
+      .filter(([, count]) => count >= 2)
+      .map(([term, count]) => ({ term, score: (count / total) * Math.log((1 + described.length) / documentFrequency.get(term)) * (term.includes(' ') ? 1.5 : 1) }))
+      .sort((a, b) => b.score - a.score)
+      .map(keyword => keyword.term)
+      // A word already covered by a better-scoring phrase ("sensor" after "camera sensor") is dropped
+      .filter((term, index, terms) => term.includes(' ') || !terms.slice(0, index).some(other => other.split(' ').includes(term)))
+      .slice(0, KEYWORDS_PER_VIDEO);
+  });
+}
+
+// transcripts: Map videoId → transcript; videos without one are left out of every figure
+export function analyzeTranscripts(videos, transcripts) {
+  const described = videos
+    .filter(video => transcripts.has(video.videoId) && transcripts.get(video.videoId).cues.length > 0)
+    .map(video => describeTranscript(video, transcripts.get(video.videoId)));
+  assignKeywords(described);
+
+  // Topics: keywords shared by several videos, scored by lift like title terms
+  const minSupport = described.length >= 20 ? MIN_BUCKET_SAMPLE : 2;
+  const support = new Map();
+  described.forEach(entry => entry.keywords.forEach(term => support.set(term, (support.get(term) || 0) + 1)));
+  let topics = [...support.entries()]
+    .filter(([, count]) => count >= minSupport && count < described.length)
+    .map(([term]) => ({ term, words: term.split(' ').length, ...compareGroups(described, entry => entry.keywords.includes(term)) }))
+    .sort((a, b) => b.count - a.count || b.lift - a.lift);
+  // As with titles, "camera" adds nothing when "camera sensor" covers the same videos
+  topics = topics.filter(candidate => !topics.some(other =>
+    other.words > candidate.words && other.count === candidate.count && ` ${other.term} `.includes(` ${candidate.term} `)));
+  const byLift = topics.filter(topic => topic.lift !== null).sort((a, b) => b.lift - a.lift || b.count - a.count);
+
+  const sources = {};
+  described.forEach(entry => sources[entry.source] = (sources[entry.source] || 0) + 1);
+
+  return {
+    videosWithTranscripts: described.length,
+    videosAnalyzed: videos.length,
+    sources,
+    pace: relateToViews(described, 'wordsPerMinute'),
+    hook: relateToViews(described, 'hookSeconds'),
+    segments: relateToViews(described, 'segments'),
+    topics: topics.slice(0, 20),
+    topTopics: byLift.filter(topic => topic.lift >= 1 + MIN_LIFT_DIFFERENCE).slice(0, 8),
+    weakTopics: byLift.filter(topic => topic.lift <= 1 - MIN_LIFT_DIFFERENCE).reverse().slice(0, 5),
+    videos: described.map(({ terms, ...entry }) => ({ ...entry, keywords: entry.keywords.slice(0, 5) }))
+  };
+}
@@ -0,0 +1,176 @@
+import axios from 'axios';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_TRANSCRIPTS_DIR = process.env.YOUTUBE_TRANSCRIPTS_DIR || 'transcripts';
+export const DEFAULT_TRANSCRIPT_CACHE_DIR = path.join('.cache', 'transcripts');
+export const TIMEDTEXT_URL = 'https://www.youtube.com/api/timedtext';
+export const TRANSCRIPT_EXTENSIONS = ['.vtt', '.srt', '.txt'];
+
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+
+// "01:02:03,500" (SRT), "01:02:03.500" or "02:03.500" (VTT) → seconds
+export function parseTimestamp(value) {
+  const parts = value.trim().replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function cleanCueText(lines) {
+  return lines
+    .join(' ')
+    .replace(/<[^>]+>/g, '') // VTT voice/class/karaoke tags
+    .replace(/\[(?:music|applause|laughter)\]/gi, '')
+    .replace(/&amp;/g, '&').replace(/&#39;/g, "'").replace(/&quot;/g, '"').replace(/&gt;/g, '>').replace(/&lt;/g, '<')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// SRT and WebVTT share the "start --> end" cue line; everything up to the next blank line is the text
+export function parseTimedCues(content) {
+  const cues = [];
+  for (const block of content.replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing === -1) continue;
+    const [start, end] = lines[timing].split('-->').map(part => part.trim().split(/\s+/)[0]);
+    const text = cleanCueText(lines.slice(timing + 1));
+    if (!text) continue;
+
+    // Auto-captions roll: each cue repeats the previous line before adding a new one
+    const previous = cues[cues.length - 1];
+    if (previous && text.startsWith(previous.text)) {
+      const added = text.slice(previous.text.length).trim();
+      if (!added) continue;
+      cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text: added });
+      continue;
+    }
+    cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text });
+  }
+  return cues;
+}
+
+// Plain text has no timing; paragraphs become untimed cues so segment counts still mean something
+export function parsePlainText(content) {
+  return content
+    .replace(/\r/g, '')
+    .split(/\n\s*\n/)
+    .map(paragraph => cleanCueText(paragraph.split('\n')))
+    .filter(Boolean)
+    .map(text => ({ start: null, end: null, text }));
+}
+
+export function parseTranscript(content, format) {
+  const cues = format === 'txt' ? parsePlainText(content) : parseTimedCues(content);
+  return { format, timed: format !== 'txt', cues };
+}
+
+// Local transcripts for offline runs: "<videoId>.srt", yt-dlp style "Title [<videoId>].en.vtt",
+// or any file listed in an optional transcripts.json manifest ({ "<videoId>": "file.srt" })
+export class LocalTranscriptSource {
+  constructor(dir = DEFAULT_TRANSCRIPTS_DIR) {
+    this.dir = dir;
+    this.name = 'local';
+    this.files = null;
+  }
+
+  async index() {
+    if (this.files) return this.files;
+    this.files = new Map();
+
+    let entries;
+    try {
+      entries = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return this.files;
+      throw error;
+    }
+    for (const entry of entries) {
+      if (!TRANSCRIPT_EXTENSIONS.includes(path.extname(entry).toLowerCase())) continue;
+      const videoId = entry.match(/\[([\w-]{11})\]/)?.[1] ?? entry.split('.')[0];
+      if (VIDEO_ID_PATTERN.test(videoId) && !this.files.has(videoId)) {
+        this.files.set(videoId, path.join(this.dir, entry));
+      }
+    }
+
+    if (entries.includes('transcripts.json')) {
+      const manifest = JSON.parse(await fs.readFile(path.join(this.dir, 'transcripts.json'), 'utf-8'));
+      for (const [videoId, file] of Object.entries(manifest)) {
+        this.files.set(videoId, path.resolve(this.dir, file));
+      }
+    }
+    return this.files;
+  }
+
+  async fetch(videoId) {
+    const file = (await this.index()).get(videoId);
+    if (!file) return null;
+    const format = path.extname(file).slice(1).toLowerCase();
+    if (!TRANSCRIPT_EXTENSIONS.includes(`.${format}`)) {
+      throw new Error(`${file}: transcripts must be .vtt, .srt or .txt`);
+    }
+    return parseTranscript(await fs.readFile(file, 'utf-8'), format);
+  }
+}
+
+// Caption tracks from YouTube's public timedtext endpoint. It costs no API quota and
+// needs no OAuth (unlike captions.download), but only serves tracks the uploader left
+// public. Uploaded captions are preferred over auto-generated (ASR) ones.
+export class CaptionTrackSource {
+  constructor({ languages = ['en'], cacheDir = DEFAULT_TRANSCRIPT_CACHE_DIR, refresh = false, timeoutMs = 15000 } = {}) {
+    this.languages = languages;
+    this.cacheDir = cacheDir;
+    this.refresh = refresh;
+    this.timeoutMs = timeoutMs;
+    this.name = 'captions';
+  }
+
+  async listTracks(videoId) {
+    const { data } = await axios.get(TIMEDTEXT_URL, { params: { type: 'list', v: videoId }, timeout: this.timeoutMs, responseType: 'text' });
+    return [...String(data).matchAll(/<track\s([^>]*)\/?>/g)].map(([, attributes]) => {
+      const attribute = name => attributes.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1] ?? '';
+      return { lang: attribute('lang_code'), name: attribute('name'), kind: attribute('kind') };
+    });
+  }
+
+  pickTrack(tracks) {
+    for (const language of this.languages) {
+      const matching = tracks.filter(track => track.lang === language || track.lang.startsWith(`${language}-`));
+      const track = matching.find(candidate => candidate.kind !== 'asr') || matching[0];
+      if (track) return track;
+    }
+    return null;
+  }
+
+  async fetch(videoId) {
+    const cached = path.join(this.cacheDir, `${videoId}.vtt`);
+    if (!this.refresh) {
+      try {
+        return parseTranscript(await fs.readFile(cached, 'utf-8'), 'vtt');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    const track = this.pickTrack(await this.listTracks(videoId));
+    if (!track) return null;
+    const { data } = await axios.get(TIMEDTEXT_URL, {
+      params: { v: videoId, lang: track.lang, fmt: 'vtt', ...(track.name && { name: track.name }), ...(track.kind && { kind: track.kind }) },
+      timeout: this.timeoutMs,
+      responseType: 'text'
+    });
+    if (!String(data).includes('-->')) return null;
+
+    await fs.mkdir(this.cacheDir, { recursive: true });
+    await fs.writeFile(cached, data);
+    return parseTranscript(data, 'vtt');
+  }
+}
+
+// "--transcripts auto" checks the local directory first and then caption tracks;
+// "--transcripts DIR" stays offline and only reads that directory
+export function createTranscriptSources(setting, { refresh = false } = {}) {
+  if (setting === 'auto') {
+    return [new LocalTranscriptSource(DEFAULT_TRANSCRIPTS_DIR), new CaptionTrackSource({ refresh })];
+  }
+  return [new LocalTranscriptSource(setting)];
+}
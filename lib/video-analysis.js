@@ -0,0 +1,205 @@
+import { median, MIN_SAMPLE } from './performance-analysis.js';
+import { viewsPerDay } from './schedule-analysis.js';
+import { tokenize, isContentWord } from './title-analysis.js';
+import { formatNumber, formatInteger } from './formatting.js';
+
+export const TAG_CHARACTER_LIMIT = 500; // YouTube's cap on the combined length of a video's tags
+const MIN_CHAPTERS = 3; // YouTube only shows chapters with at least three timestamps, starting at 0:00
+const MIN_CHAPTER_SECONDS = 10;
+const CHAPTERS_WORTH_ADDING_SECONDS = 8 * 60;
+
+const LINK_KINDS = [
+  { kind: 'youtube', domains: ['youtube.com', 'youtu.be'] },
+  { kind: 'social', domains: ['twitter.com', 'x.com', 'instagram.com', 'tiktok.com', 'facebook.com', 'threads.net', 'linkedin.com', 'twitch.tv', 'reddit.com', 'discord.gg', 'discord.com'] },
+  { kind: 'support', domains: ['patreon.com', 'ko-fi.com', 'buymeacoffee.com', 'nebula.tv', 'floatplane.com'] },
+  { kind: 'affiliate', domains: ['amzn.to', 'amazon.com', 'geni.us', 'howl.me', 'rstyle.me', 'shareasale.com', 'bhpho.to', 'bhphotovideo.com'] }
+];
+
+const METRICS = [
+  { metric: 'views', label: 'Views' },
+  { metric: 'viewsPerDay', label: 'Views per day' },
+  { metric: 'likeRate', label: 'Like rate' },
+  { metric: 'commentRate', label: 'Comment rate' },
+  { metric: 'durationSeconds', label: 'Duration' }
+];
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\.|^m\./, '');
+  } catch {
+    return null;
+  }
+}
+
+// Every http(s) link in a description, once, labelled youtube/social/support/affiliate/other
+export function extractLinks(description = '') {
+  const urls = [...new Set((description.match(/https?:\/\/[^\s<>()"']+/g) || []).map(url => url.replace(/[.,;:!?]+$/, '')))];
+  return urls.map(url => {
+    const domain = domainOf(url);
+    const match = LINK_KINDS.find(({ domains }) => domains.some(candidate => domain === candidate || domain?.endsWith(`.${candidate}`)));
+    return { url, domain, kind: match?.kind ?? 'other' };
+  }).filter(link => link.domain);
+}
+
+// "0:00 Intro" / "12:34 - Results" lines; valid means YouTube will render them as chapters
+export function extractChapters(description = '') {
+  const chapters = [];
+  for (const line of description.split('\n')) {
+    const match = line.match(/^\s*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*[-–—:|]?\s*(.+?)\s*$/);
+    if (!match) continue;
+    const start = match[1].split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+    chapters.push({ start, timestamp: match[1], title: match[2] });
+  }
+  const valid = chapters.length >= MIN_CHAPTERS
+    && chapters[0].start === 0
+    && chapters.every((chapter, index) => index === 0 || chapter.start - chapters[index - 1].start >= MIN_CHAPTER_SECONDS);
+  return { chapters, valid };
+}
+
+export function extractHashtags(description = '') {
+  return [...new Set((description.match(/(?:^|\s)#([\p{L}\p{N}_]+)/gu) || []).map(tag => tag.trim().toLowerCase()))];
+}
+
+function analyzeTags(tags = [], title = '') {
+  const titleWords = new Set(tokenize(title).filter(isContentWord));
+  const characters = tags.reduce((total, tag) => total + tag.length + (tag.includes(' ') ? 2 : 0), 0) + Math.max(tags.length - 1, 0);
+  return {
+    tags,
+    count: tags.length,
+    characters,
+    limit: TAG_CHARACTER_LIMIT,
+    inTitle: tags.filter(tag => tokenize(tag).some(word => titleWords.has(word)))
+  };
+}
+
+function metricsOf(video, now) {
+  return {
+    views: video.views,
+    viewsPerDay: viewsPerDay(video, now),
+    likeRate: video.views > 0 ? video.likes / video.views : null,
+    commentRate: video.views > 0 && video.comments !== null ? video.comments / video.views : null,
+    durationSeconds: video.durationSeconds
+  };
+}
+
+// The video against the channel's other recent uploads, preferring uploads of the same
+// kind (Shorts against Shorts) when there are enough of them
+function compareWithChannel(video, uploads, now) {
+  const others = uploads.filter(upload => upload.videoId !== video.videoId);
+  const sameKind = others.filter(upload => upload.kind === video.kind);
+  const baseline = sameKind.length >= MIN_SAMPLE ? sameKind : others;
+  const values = metricsOf(video, now);
+  const baselineMetrics = baseline.map(upload => metricsOf(upload, now));
+
+  const metrics = METRICS.map(({ metric, label }) => {
+    const samples = baselineMetrics.map(entry => entry[metric]).filter(value => value !== null);
+    const channelMedian = samples.length > 0 ? median(samples) : null;
+    return {
+      metric,
+      label,
+      value: values[metric],
+      channelMedian,
+      ratio: values[metric] !== null && channelMedian ? values[metric] / channelMedian : null
+    };
+  });
+
+  // Rank by views per day so a week-old upload isn't measured against years of views
+  const byPace = [values.viewsPerDay, ...baselineMetrics.map(entry => entry.viewsPerDay)].sort((a, b) => b - a);
+  return {
+    baselineVideos: baseline.length,
+    baselineVideoIds: baseline.map(upload => upload.videoId),
+    baselineKind: baseline === sameKind ? video.kind : 'all',
+    metrics,
+    paceRank: baseline.length > 0 ? byPace.indexOf(values.viewsPerDay) + 1 : null,
+    of: baseline.length + 1
+  };
+}
+
+// video: as built by YouTubeAgent#toVideo; uploads: the channel's recent uploads
+export function describeVideo(video, uploads, { now = Date.now() } = {}) {
+  const links = extractLinks(video.description);
+  const { chapters, valid } = extractChapters(video.description);
+  return {
+    ageDays: Math.max((now - Date.parse(video.publishedAt)) / 86400000, 0),
+    comparison: compareWithChannel(video, uploads, now),
+    tags: analyzeTags(video.tags, video.title),
+    links,
+    chapters,
+    chaptersValid: valid,
+    hashtags: extractHashtags(video.description),
+    titleLength: video.title.length
+  };
+}
+
+function formatRatio(ratio) {
+  if (ratio === null) return '';
+  const percent = Math.round((ratio - 1) * 100);
+  return ` (${percent >= 0 ? '+' : ''}${percent}% vs median)`;
+}
+
+// Plain-language lines shared by the console and markdown reports; result is YouTubeAgent#analyzeVideo's
+export function summarizeVideo(result) {
+  const { video, analysis, transcript } = result;
+  const { comparison, tags, links, chapters, chaptersValid, hashtags } = analysis;
+  const metric = name => comparison.metrics.find(entry => entry.metric === name);
+  const formatValue = (name, value) => {
+    if (value === null) return 'n/a';
+    if (name === 'likeRate' || name === 'commentRate') return `${(value * 100).toFixed(2)}%`;
+    if (name === 'durationSeconds') return `${Math.floor(value / 60)}:${String(Math.round(value % 60)).padStart(2, '0')}`;
+    return formatNumber(Math.round(value));
+  };
+
+  const kindLabel = comparison.baselineKind === 'all' ? 'recent uploads' : `recent ${comparison.baselineKind === 'short' ? 'Shorts' : `${comparison.baselineKind}s`}`;
+  const performance = comparison.baselineVideos === 0
+    ? ['No other recent uploads to compare with']
+    : [
+      `Compared with the channel's ${comparison.baselineVideos} other ${kindLabel}`,
+      ...comparison.metrics.map(({ metric: name, label, value, channelMedian, ratio }) =>
+        `${label}: ${formatValue(name, value)} vs channel median ${formatValue(name, channelMedian)}${name === 'durationSeconds' ? '' : formatRatio(ratio)}`),
+      `Ranks #${comparison.paceRank} of ${comparison.of} by views per day`
+    ];
+  if (analysis.ageDays < 7) {
+    performance.push(`Only ${analysis.ageDays.toFixed(1)} days old - views per day is the fairer comparison`);
+  }
+
+  const linkKinds = {};
+  links.forEach(link => linkKinds[link.kind] = (linkKinds[link.kind] || 0) + 1);
+  const metadata = [
+    `Category: ${result.category ?? 'unknown'}`,
+    tags.count > 0
+      ? `${tags.count} tags using ${tags.characters}/${tags.limit} characters${tags.inTitle.length ? `, ${tags.inTitle.length} echo the title` : ''}`
+      : 'No tags',
+    links.length > 0
+      ? `${links.length} description link${links.length > 1 ? 's' : ''}: ${Object.entries(linkKinds).map(([kind, count]) => `${count} ${kind}`).join(', ')}`
+      : 'No links in the description',
+    chapters.length > 0 ? `${chapters.length} chapter timestamps${chaptersValid ? '' : ' (not shown as chapters: need 3+, starting at 0:00, 10s apart)'}` : 'No chapters',
+    ...(hashtags.length > 0 ? [`Hashtags: ${hashtags.join(' ')}`] : []),
+    `Captions: ${video.captions ? 'uploaded' : 'none uploaded'} • ${video.definition?.toUpperCase() ?? 'n/a'}`
+  ];
+  if (transcript) {
+    const pace = transcript.wordsPerMinute ? `, ${transcript.wordsPerMinute} words/min` : '';
+    const hook = transcript.hookSeconds !== null ? `, gets to the point at ~${Math.round(transcript.hookSeconds)}s` : '';
+    metadata.push(`Transcript (${transcript.source}): ${formatInteger(transcript.words)} words${pace}${hook}`);
+  }
+
+  const opportunities = [];
+  const pace = metric('viewsPerDay');
+  if (pace.ratio !== null && pace.ratio < 0.5) {
+    opportunities.push('Running at under half the channel\'s usual pace - a title or thumbnail test may help');
+  }
+  if (!chaptersValid && video.durationSeconds >= CHAPTERS_WORTH_ADDING_SECONDS) {
+    opportunities.push('Long video without working chapters - add 0:00-based timestamps to the description');
+  }
+  if (!links.some(link => link.kind === 'youtube')) {
+    opportunities.push('No links to other videos or playlists - point viewers at the next thing to watch');
+  }
+  if (tags.count === 0) {
+    opportunities.push('No tags - add a few covering common misspellings and the main topic');
+  }
+  const likeRate = metric('likeRate');
+  if (likeRate.ratio !== null && likeRate.ratio < 0.7) {
+    opportunities.push('Like rate is well below the channel\'s norm - check whether the video delivers on its title');
+  }
+
+  return { performance, metadata, opportunities };
+}
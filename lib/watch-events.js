@@ -0,0 +1,97 @@
+import { median } from './performance-analysis.js';
+import { analyzeSchedule } from './schedule-analysis.js';
+import { formatInteger } from './formatting.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const BREAKOUT_MULTIPLIER = 3; // views vs the channel median
+export const CADENCE_CHANGE = 0.25; // relative change in uploads per week
+export const OVERDUE_GAP_MULTIPLIER = 2; // days since last upload vs the median gap
+
+// Every leading-digit step: 1K, 2K ... 9K, 10K, 20K ... 9B
+const MILESTONES = [3, 4, 5, 6, 7, 8, 9].flatMap(power => [1, 2, 3, 4, 5, 6, 7, 8, 9].map(step => step * 10 ** power));
+
+function formatCount(count) {
+  if (count >= 1e9) return `${count / 1e9}B`;
+  if (count >= 1e6) return `${count / 1e6}M`;
+  return `${count / 1e3}K`;
+}
+
+function makeEvent(type, latest, message, data) {
+  return {
+    type,
+    timestamp: latest.timestamp,
+    channelId: latest.channelId,
+    channel: latest.handle,
+    title: latest.title,
+    message,
+    data
+  };
+}
+
+// Changes between two snapshots of the same channel (see SnapshotStore), oldest first
+export function detectChanges(previous, latest) {
+  const events = [];
+  const previousVideos = new Map(previous.videos.map(video => [video.videoId, video]));
+  // With nothing in the previous window, only videos published since the previous run are new
+  const newestPrevious = previous.videos.length > 0
+    ? Math.max(...previous.videos.map(video => Date.parse(video.publishedAt)))
+    : Date.parse(previous.timestamp);
+
+  // New uploads: not seen before and newer than anything in the previous window
+  const uploads = latest.videos.filter(video => !previousVideos.has(video.videoId) && Date.parse(video.publishedAt) > newestPrevious);
+  uploads.forEach(video => {
+    events.push(makeEvent('new_upload', latest, `New upload: "${video.title}"`, { videoId: video.videoId, title: video.title, publishedAt: video.publishedAt }));
+  });
+
+  // Breakouts: crossed BREAKOUT_MULTIPLIER x the channel median since the previous run
+  const previousThreshold = median(previous.videos.map(video => video.views)) * BREAKOUT_MULTIPLIER;
+  const medianViews = median(latest.videos.map(video => video.views));
+  const threshold = medianViews * BREAKOUT_MULTIPLIER;
+  latest.videos
+    .filter(video => video.views >= threshold && medianViews > 0)
+    .filter(video => !previousVideos.has(video.videoId) || previousVideos.get(video.videoId).views < previousThreshold)
+    .forEach(video => {
+      const multiple = Number((video.views / medianViews).toFixed(1));
+      events.push(makeEvent('breakout', latest, `Breakout: "${video.title}" has ${formatInteger(video.views)} views, ${multiple}x the channel median`, {
+        videoId: video.videoId, title: video.title, views: video.views, medianViews: Math.round(medianViews), multiple
+      }));
+    });
+
+  // Subscriber milestones crossed between the runs (only the highest one is reported)
+  const before = previous.channel.subscribers;
+  const after = latest.channel.subscribers;
+  if (before !== null && after !== null) {
+    const crossed = MILESTONES.filter(milestone => before < milestone && after >= milestone);
+    if (crossed.length > 0) {
+      const milestone = crossed[crossed.length - 1];
+      events.push(makeEvent('subscriber_milestone', latest, `Crossed ${formatCount(milestone)} subscribers (${formatInteger(after)})`, { milestone, subscribers: after }));
+    }
+  }
+
+  // Cadence: a shift in uploads per week, or the channel going quiet for longer than usual
+  const previousCadence = analyzeSchedule(previous.videos, { now: Date.parse(previous.timestamp) }).cadence;
+  const cadence = analyzeSchedule(latest.videos, { now: Date.parse(latest.timestamp) }).cadence;
+  if (previousCadence && cadence && previousCadence.uploadsPerWeek > 0) {
+    const change = (cadence.uploadsPerWeek - previousCadence.uploadsPerWeek) / previousCadence.uploadsPerWeek;
+    if (Math.abs(change) >= CADENCE_CHANGE) {
+      events.push(makeEvent('cadence_change', latest,
+        `Upload cadence ${change > 0 ? 'up' : 'down'} ${Math.round(Math.abs(change) * 100)}%: ${previousCadence.uploadsPerWeek} → ${cadence.uploadsPerWeek} uploads/week`,
+        { previousUploadsPerWeek: previousCadence.uploadsPerWeek, uploadsPerWeek: cadence.uploadsPerWeek, change: Number(change.toFixed(2)) }));
+    }
+  }
+  if (cadence) {
+    const lastUpload = Math.max(...latest.videos.map(video => Date.parse(video.publishedAt)));
+    const overdueAfter = Math.max(cadence.medianGapDays * OVERDUE_GAP_MULTIPLIER, 1);
+    const daysSince = (Date.parse(latest.timestamp) - lastUpload) / DAY_MS;
+    const daysSinceBefore = (Date.parse(previous.timestamp) - lastUpload) / DAY_MS;
+    // Alert once, on the run where the gap first passes the threshold
+    if (daysSince >= overdueAfter && daysSinceBefore < overdueAfter) {
+      events.push(makeEvent('upload_overdue', latest,
+        `No upload for ${daysSince.toFixed(1)} days (usually every ${cadence.medianGapDays})`,
+        { daysSinceLastUpload: Number(daysSince.toFixed(1)), medianGapDays: cadence.medianGapDays }));
+    }
+  }
+
+  return events;
+}
@@ -0,0 +1,49 @@
+export const DEFAULT_CONCURRENCY = 3;
+export const MAX_CONCURRENCY = 10;
+
+// Runs a worker over items with a bounded number in flight. The limit is halved when the
+// API pushes back (slowDown), and stop() lets running tasks finish without starting new ones.
+export class WorkerPool {
+  constructor({ concurrency = DEFAULT_CONCURRENCY } = {}) {
+    this.limit = concurrency;
+    this.active = 0;
+    this.stopped = false;
+  }
+
+  slowDown() {
+    if (this.limit <= 1) return false;
+    this.limit = Math.max(1, Math.floor(this.limit / 2));
+    return true;
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+
+  // Resolves to one outcome per item, in item order: fulfilled, rejected or skipped
+  run(items, worker) {
+    const outcomes = new Array(items.length);
+    let next = 0;
+
+    return new Promise(resolve => {
+      const launch = () => {
+        while (!this.stopped && this.active < this.limit && next < items.length) {
+          const index = next++;
+          this.active++;
+          Promise.resolve()
+            .then(() => worker(items[index], index))
+            .then(value => { outcomes[index] = { status: 'fulfilled', value }; },
+              error => { outcomes[index] = { status: 'rejected', error }; })
+            .finally(() => {
+              this.active--;
+              launch();
+            });
+        }
+        if (this.active === 0 && (this.stopped || next >= items.length)) {
+          resolve(items.map((item, index) => outcomes[index] ?? { status: 'skipped' }));
+        }
+      };
+      launch();
+    });
+  }
+}
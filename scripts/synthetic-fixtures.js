@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+// Regenerates test/fixtures: a made-up channel ("Fixture Lab", @fixturelab) served in the
+// YouTube Data API's response shapes and recorded through the fixture backend, so the
+// regression suite needs neither a key nor network. Nothing here is real YouTube data;
+// for that, record a live run instead (see "Offline Runs" in the README).
+//   node scripts/synthetic-fixtures.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { YouTubeAgent, FixtureDataSource, ResponseCache, QuotaLedger, SnapshotStore } from '../lib/index.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'test', 'fixtures');
+const HANDLE = '@fixturelab';
+const CHANNEL_TITLE = 'Fixture Lab';
+const UPLOADS = 60;
+const LATEST_UPLOAD = Date.parse('2025-09-26T16:00:00Z');
+
+const TOPICS = ['GPS', 'Bridges', 'Batteries', 'Solar Ovens', 'Shuffle Algorithms', 'Noise-Cancelling Headphones',
+  'Sourdough', 'Traffic Lights', 'Elevators', 'QR Codes', 'Heat Pumps', 'Paper Airplanes', 'Mechanical Keyboards',
+  'Rainbows', 'Wi-Fi', 'Zippers', 'Microwaves', 'Bicycle Gears', 'Lightning', 'Coffee Grinders'];
+const TEMPLATES = [
+  topic => `How ${topic} Actually Work`,
+  topic => `Why ${topic} Are Harder Than They Look`,
+  topic => `I Tested 5 ${topic} - Here's What Happened`,
+  topic => `The Surprising Math Behind ${topic}`,
+  topic => `${topic} Explained in 10 Minutes`,
+  topic => `We Built Our Own ${topic} (it almost worked)`
+];
+
+// Deterministic, so regenerating only changes the fixtures when this script changes
+let seed = 20250926;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+const between = (min, max) => min + Math.floor(random() * (max - min + 1));
+const id = (prefix, length, ...parts) => prefix + crypto.createHash('sha256').update(parts.join(':')).digest('base64url').slice(0, length);
+const etag = (...parts) => id('', 27, 'etag', ...parts);
+const iso = time => new Date(time).toISOString().replace('.000Z', 'Z');
+const duration = seconds => `PT${seconds >= 3600 ? `${Math.floor(seconds / 3600)}H` : ''}${Math.floor(seconds % 3600 / 60) ? `${Math.floor(seconds % 3600 / 60)}M` : ''}${seconds % 60 ? `${seconds % 60}S` : ''}`;
+const thumbnails = videoId => Object.fromEntries([['default', 120, 90], ['medium', 320, 180], ['high', 480, 360]]
+  .map(([size, width, height]) => [size, { url: `https://i.ytimg.com/vi/${videoId}/${size === 'default' ? '' : size.slice(0, 2)}default.jpg`, width, height }]));
+
+const CHANNEL_ID = id('UC', 22, 'channel', HANDLE);
+const UPLOADS_ID = `UU${CHANNEL_ID.slice(2)}`;
+
+function makeVideos() {
+  let publishedAt = LATEST_UPLOAD;
+  return Array.from({ length: UPLOADS }, (_, index) => {
+    const videoId = id('', 11, 'video', index);
+    const short = index % 9 === 4;
+    const live = index === 17;
+    const seconds = short ? between(20, 58) : live ? between(3600, 7200) : between(360, 1500);
+    const topic = TOPICS[index % TOPICS.length];
+    const title = short ? `${topic} in 30 seconds #shorts` : TEMPLATES[between(0, TEMPLATES.length - 1)](topic);
+    const views = Math.round(Math.exp(between(95, 135) / 10));
+    const video = {
+      kind: 'youtube#video',
+      etag: etag('video', videoId),
+      id: videoId,
+      snippet: {
+        publishedAt: iso(publishedAt),
+        channelId: CHANNEL_ID,
+        title,
+        description: `${title}.\n\n0:00 Intro\n1:12 The basics\n4:40 Where it gets interesting\n\nGear I use: https://example.com/gear\n#science #engineering`,
+        thumbnails: thumbnails(videoId),
+        channelTitle: CHANNEL_TITLE,
+        tags: [topic.toLowerCase(), 'science', 'explained'],
+        categoryId: '27',
+        liveBroadcastContent: 'none',
+        defaultAudioLanguage: 'en',
+        localized: { title, description: `${title}.` }
+      },
+      contentDetails: {
+        duration: duration(seconds),
+        dimension: '2d',
+        definition: 'hd',
+        caption: index % 4 === 0 ? 'true' : 'false',
+        licensedContent: true,
+        contentRating: {},
+        projection: 'rectangular'
+      },
+      statistics: {
+        viewCount: String(views),
+        likeCount: String(Math.round(views * between(15, 45) / 1000)),
+        favoriteCount: '0',
+        commentCount: String(Math.round(views * between(5, 20) / 10000))
+      },
+      ...(live && {
+        liveStreamingDetails: {
+          actualStartTime: iso(publishedAt - seconds * 1000),
+          actualEndTime: iso(publishedAt),
+          scheduledStartTime: iso(publishedAt - seconds * 1000 - 600000)
+        }
+      })
+    };
+    publishedAt -= between(2, 6) * 86400000 + between(0, 5) * 3600000;
+    return video;
+  });
+}
+
+// Stands in for HttpDataSource: answers the requests the agent makes, in the API's shapes
+class SyntheticDataSource {
+  constructor() {
+    this.videos = makeVideos();
+  }
+
+  list(kind, items, extra = {}) {
+    return { kind: `youtube#${kind}ListResponse`, etag: etag(kind, items.map(item => item.id).join()), ...extra, pageInfo: { totalResults: extra.totalResults ?? items.length, resultsPerPage: extra.resultsPerPage ?? items.length }, items };
+  }
+
+  async get(endpoint, params) {
+    switch (endpoint) {
+      case 'channels': {
+        const found = params.id === CHANNEL_ID || params.forHandle?.toLowerCase() === HANDLE;
+        if (!found) return this.list('channel', [], { resultsPerPage: 5 });
+        // part=id returns nothing but the ID, as the real API does
+        if (params.part === 'id') return this.list('channel', [{ kind: 'youtube#channel', etag: etag('channel', 'id'), id: CHANNEL_ID }], { resultsPerPage: 5 });
+        return this.list('channel', [{
+          kind: 'youtube#channel',
+          etag: etag('channel', 'full'),
+          id: CHANNEL_ID,
+          snippet: {
+            title: CHANNEL_TITLE,
+            description: 'Everyday engineering, explained with experiments. (Synthetic test channel.)',
+            customUrl: HANDLE,
+            publishedAt: '2016-03-14T15:09:26Z',
+            thumbnails: thumbnails(CHANNEL_ID),
+            localized: { title: CHANNEL_TITLE, description: 'Everyday engineering, explained with experiments.' },
+            country: 'US'
+          },
+          contentDetails: { relatedPlaylists: { likes: '', uploads: UPLOADS_ID } },
+          statistics: { viewCount: '48213377', subscriberCount: '412000', hiddenSubscriberCount: false, videoCount: String(UPLOADS) }
+        }], { resultsPerPage: 5 });
+      }
+      case 'playlistItems': {
+        const start = params.pageToken ? Number(Buffer.from(params.pageToken, 'base64url').toString()) : 0;
+        const pageSize = Number(params.maxResults) || 5;
+        const page = params.playlistId === UPLOADS_ID ? this.videos.slice(start, start + pageSize) : [];
+        const next = start + page.length < this.videos.length && page.length > 0 ? Buffer.from(String(start + page.length)).toString('base64url') : undefined;
+        return this.list('playlistItem', page.map((video, offset) => ({
+          kind: 'youtube#playlistItem',
+          etag: etag('playlistItem', video.id),
+          id: id('', 48, 'playlistItem', video.id),
+          snippet: {
+            publishedAt: video.snippet.publishedAt,
+            channelId: CHANNEL_ID,
+            title: video.snippet.title,
+            description: video.snippet.description,
+            thumbnails: video.snippet.thumbnails,
+            channelTitle: CHANNEL_TITLE,
+            playlistId: params.playlistId,
+            position: start + offset,
+            resourceId: { kind: 'youtube#video', videoId: video.id },
+            videoOwnerChannelTitle: CHANNEL_TITLE,
+            videoOwnerChannelId: CHANNEL_ID
+          },
+          contentDetails: { videoId: video.id, videoPublishedAt: video.snippet.publishedAt }
+        })), { ...(next && { nextPageToken: next }), totalResults: this.videos.length, resultsPerPage: pageSize });
+      }
+      case 'videos': {
+        const ids = String(params.id).split(',');
+        return this.list('video', this.videos.filter(video => ids.includes(video.id)), { resultsPerPage: ids.length });
+      }
+      case 'videoCategories':
+        return this.list('videoCategory', [{ kind: 'youtube#videoCategory', etag: etag('category', params.id), id: params.id, snippet: { title: 'Education', assignable: true, channelId: 'UCBR8-60-B28hp2BmDPdntcQ' } }]);
+      default:
+        throw new Error(`No synthetic response for ${endpoint}`);
+    }
+  }
+}
+
+const source = new SyntheticDataSource();
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'youtube-agent-fixtures-'));
+try {
+  await Promise.all(['channels', 'playlistItems', 'videos', 'videoCategories'].map(endpoint => fs.rm(path.join(FIXTURES_DIR, endpoint), { recursive: true, force: true })));
+  const agent = new YouTubeAgent({
+    dataSource: new FixtureDataSource({ dir: FIXTURES_DIR, mode: 'record', source }),
+    cache: new ResponseCache({ dir: path.join(tmp, 'cache') }),
+    quota: new QuotaLedger({ file: path.join(tmp, 'quota-ledger.json') }),
+    snapshots: new SnapshotStore(path.join(tmp, 'snapshots')),
+    llm: null
+  });
+  // What the tests replay: "/youtube @fixturelab --videos 12" and "/youtube video <newest upload>"
+  await agent.analyzeChannel(HANDLE, { maxVideos: 12 });
+  await agent.analyzeVideo(source.videos[0].id, { maxVideos: 12 });
+  console.log(`✅ Fixtures for ${CHANNEL_TITLE} (${HANDLE}, ${CHANNEL_ID}) written to ${FIXTURES_DIR}; newest upload ${source.videos[0].id}`);
+} finally {
+  await fs.rm(tmp, { recursive: true, force: true });
+}
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+// Minimal webhook receiver for trying out watch alerts locally:
+//   node scripts/webhook-stub.js 8787
+//   node index.js "/youtube watch @mkbhd --webhook http://localhost:8787/alerts"
+import http from 'http';
+
+const port = Number(process.argv[2]) || 8787;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    try {
+      const payload = JSON.parse(body);
+      console.log(`📨 ${req.method} ${req.url}: ${payload.text}`);
+      console.log(JSON.stringify(payload.event, null, 2));
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+    } catch {
+      console.log(`⚠️  ${req.method} ${req.url}: body is not JSON`);
+      res.writeHead(400).end();
+    }
+  });
+}).listen(port, () => {
+  console.log(`🪝 Webhook stub listening on http://localhost:${port}`);
+});
@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  YouTubeAgent,
+  FixtureDataSource,
+  ResponseCache,
+  QuotaLedger,
+  SnapshotStore,
+  ReportStore,
+  createApiServer,
+  SCHEMA_VERSION
+} from '../lib/index.js';
+
+// The same synthetic fixtures as replay.test.js: "/youtube @fixturelab --videos 12"
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const TOKEN = 'test-token';
+
+let tmp;
+let server;
+let base;
+
+const request = (url, { method = 'GET', body, token = TOKEN } = {}) => fetch(`${base}${url}`, {
+  method,
+  headers: { ...(token && { Authorization: `Bearer ${token}` }), ...(body && { 'Content-Type': 'application/json' }) },
+  body: body && JSON.stringify(body)
+});
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'youtube-agent-api-'));
+  const agent = new YouTubeAgent({
+    dataSource: new FixtureDataSource({ dir: FIXTURES_DIR }),
+    cache: new ResponseCache({ dir: path.join(tmp, 'cache') }),
+    quota: new QuotaLedger({ file: path.join(tmp, 'quota-ledger.json') }),
+    snapshots: new SnapshotStore(path.join(tmp, 'snapshots')),
+    llm: null
+  });
+  server = createApiServer(agent, { reports: new ReportStore(path.join(tmp, 'reports')), jobsDir: path.join(tmp, 'jobs'), token: TOKEN });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await server.queue.close();
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test('requires the bearer token', async () => {
+  const response = await request('/health', { token: null });
+  assert.equal(response.status, 401);
+});
+
+test('reports health with the schema version and quota', async () => {
+  const response = await request('/health');
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.status, 'ok');
+  assert.equal(body.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(body.jobs, { queued: 0, running: 0 });
+});
+
+test('analyzes a channel and stores the report', async () => {
+  const response = await request('/analyze?channel=@fixturelab&videos=12');
+  assert.equal(response.status, 201);
+  const body = await response.json();
+  assert.equal(body.videos.length, 12);
+  assert.equal(response.headers.get('location'), `/reports/${body.reportId}`);
+
+  const markdown = await request(`/reports/${body.reportId}.md`);
+  assert.equal(markdown.status, 200);
+  assert.match(markdown.headers.get('content-type'), /text\/markdown/);
+  assert.match(await markdown.text(), /Fixture Lab/);
+});
+
+test('runs a queued batch job to a stored report', async () => {
+  const queued = await request('/batches', { method: 'POST', body: { channels: ['@fixturelab'], options: { videos: 12 } } });
+  assert.equal(queued.status, 202);
+  const { id } = await queued.json();
+
+  let job;
+  for (let attempt = 0; attempt < 50; attempt++) {
+    job = await (await request(`/batches/${id}`)).json();
+    if (!['queued', 'running'].includes(job.status)) break;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.equal(job.status, 'done');
+  assert.equal(job.completed, 1);
+
+  const report = await (await request(`/reports/${job.reportId}`)).json();
+  assert.equal(report.channels.length, 1);
+  // The job's own checkpoint is gone once its report is stored
+  await assert.rejects(fs.access(path.join(tmp, 'jobs', `${id}.json`)));
+});
+
+test('rejects bad input with 400', async () => {
+  assert.equal((await request('/reports/%E0%A4%A')).status, 400);
+  assert.equal((await request('/analyze?channel=@fixturelab&videos=-1')).status, 400);
+
+  const transcripts = await request('/analyze?channel=@fixturelab&transcripts=/etc');
+  assert.equal(transcripts.status, 400);
+  assert.match((await transcripts.json()).error.message, /can't be set per request/);
+});
@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { YouTubeAgent, FixtureDataSource, ResponseCache, QuotaLedger, SnapshotStore } from '../lib/index.js';
+import { WorkerPool } from '../lib/worker-pool.js';
+import { parseChannelData } from '../lib/channel-list.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+// @nofixture was never recorded, so it fails like a channel that doesn't exist
+const CHANNELS = parseChannelData(['@fixturelab', '@nofixture'], 'test channels');
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'youtube-agent-batch-'));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+// A fresh agent per run, counting the requests that reach the fixtures
+function createAgent(name) {
+  const fixtures = new FixtureDataSource({ dir: FIXTURES_DIR });
+  const dataSource = { requests: 0, get(endpoint, params) { this.requests++; return fixtures.get(endpoint, params); } };
+  const agent = new YouTubeAgent({
+    dataSource,
+    cache: new ResponseCache({ dir: path.join(tmp, name, 'cache') }),
+    quota: new QuotaLedger({ file: path.join(tmp, name, 'quota-ledger.json') }),
+    snapshots: new SnapshotStore(path.join(tmp, name, 'snapshots')),
+    llm: null
+  });
+  const warnings = [];
+  agent.on('warning', ({ message }) => warnings.push(message));
+  return { agent, dataSource, warnings };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('the worker pool keeps to its limit and returns outcomes in item order', async () => {
+  const pool = new WorkerPool({ concurrency: 2 });
+  let active = 0;
+  let peak = 0;
+  const outcomes = await pool.run([30, 10, 20, 5], async (ms, index) => {
+    peak = Math.max(peak, ++active);
+    await wait(ms);
+    active--;
+    if (index === 2) throw new Error('boom');
+    return index;
+  });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(outcomes.map(outcome => outcome.status), ['fulfilled', 'fulfilled', 'rejected', 'fulfilled']);
+  assert.deepEqual(outcomes.map(outcome => outcome.value), [0, 1, undefined, 3]);
+});
+
+test('a stopped pool finishes running tasks and skips the rest', async () => {
+  const pool = new WorkerPool({ concurrency: 1 });
+  const outcomes = await pool.run(['a', 'b', 'c'], async item => {
+    if (item === 'a') pool.stop();
+    return item;
+  });
+  assert.deepEqual(outcomes.map(outcome => outcome.status), ['fulfilled', 'skipped', 'skipped']);
+  assert.equal(pool.slowDown(), false);
+});
+
+test('a resumed batch reuses finished channels and retries failed ones', async () => {
+  const checkpointFile = path.join(tmp, 'resume', 'checkpoint.json');
+  const first = createAgent('first');
+  const batch = await first.agent.analyzeBatch({ channels: CHANNELS, maxVideos: 12, checkpointFile });
+  assert.deepEqual(batch.results.map(result => result.channelName), ['fixturelab']);
+  assert.deepEqual(batch.errors.map(entry => entry.channel), ['nofixture']);
+
+  const checkpoint = JSON.parse(await fs.readFile(checkpointFile, 'utf-8'));
+  assert.deepEqual(Object.keys(checkpoint.completed), ['@fixturelab']);
+  assert.deepEqual(Object.keys(checkpoint.failed), ['@nofixture']);
+
+  const second = createAgent('second');
+  const resumed = await second.agent.analyzeBatch({ channels: CHANNELS, maxVideos: 12, checkpointFile, resume: true });
+  assert.deepEqual(resumed.results.map(result => result.channelName), ['fixturelab']);
+  assert.equal(resumed.results[0].videos.length, 12);
+  // Only the failed channel's handle lookup went out again
+  assert.equal(second.dataSource.requests, 1);
+});
+
+test('resuming with other options is refused', async () => {
+  const checkpointFile = path.join(tmp, 'options', 'checkpoint.json');
+  await createAgent('options').agent.analyzeBatch({ channels: CHANNELS, maxVideos: 12, checkpointFile });
+
+  const { agent } = createAgent('options-resume');
+  await assert.rejects(agent.analyzeBatch({ channels: CHANNELS, maxVideos: 10, checkpointFile, resume: true }), /different options \(maxVideos 12 → 10\)/);
+  await assert.rejects(agent.analyzeBatch({ channels: CHANNELS, channelsFile: 'other.md', maxVideos: 12, checkpointFile, resume: true }), /it is for youtube-channels\.md, not other\.md/);
+});
+
+test('a channel whose inline options changed is analyzed again', async () => {
+  const checkpointFile = path.join(tmp, 'inline', 'checkpoint.json');
+  await createAgent('inline').agent.analyzeBatch({ channels: CHANNELS.slice(0, 1), maxVideos: 12, checkpointFile });
+
+  const { agent, dataSource, warnings } = createAgent('inline-resume');
+  const changed = parseChannelData([{ channel: '@fixturelab', options: { videos: 10 } }], 'test channels');
+  const resumed = await agent.analyzeBatch({ channels: changed, maxVideos: 12, checkpointFile, resume: true });
+
+  assert.equal(resumed.results[0].videos.length, 10);
+  assert.ok(dataSource.requests > 0);
+  assert.ok(warnings.some(message => /options changed since the checkpoint \(maxVideos 12 → 10\)/.test(message)), warnings.join('\n'));
+});
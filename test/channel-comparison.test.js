@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { YouTubeAgent, formatMetric } from '../lib/index.js';
+import { compareChannels, COMPARISON_METRICS } from '../lib/channel-comparison.js';
+
+const agent = new YouTubeAgent({ dataSource: { get: () => Promise.reject(new Error('offline')) }, llm: null });
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+// groups: [{ count, durationSeconds, views }]; one upload every three days
+function channelResult(channelName, groups) {
+  const videos = groups.flatMap(({ count, durationSeconds, views }) => Array.from({ length: count }, () => ({ durationSeconds, views })))
+    .map((video, index) => ({
+      ...video,
+      title: `Episode ${index} of ${channelName}`,
+      videoId: `${channelName}${index}`,
+      likes: Math.round(video.views / 50),
+      comments: Math.round(video.views / 500),
+      publishedAt: new Date(NOW - (index + 1) * 3 * 24 * 60 * 60 * 1000).toISOString(),
+      kind: video.durationSeconds <= 60 ? 'short' : 'video'
+    }));
+  const channelInfo = { id: `UC${channelName}`, snippet: { title: channelName }, statistics: { subscriberCount: '100000', viewCount: '1000000', videoCount: String(videos.length) } };
+  return { channelName, channelInfo, videos, insights: agent.generateAdvancedInsights(videos, channelInfo, {}) };
+}
+
+test('channels are ranked on duration strategy', () => {
+  // "focused" publishes mostly at its best length; "drifting" mostly at a length earning a quarter of its best
+  const focused = channelResult('focused', [{ count: 6, durationSeconds: 480, views: 10000 }, { count: 4, durationSeconds: 1800, views: 2000 }]);
+  const drifting = channelResult('drifting', [{ count: 6, durationSeconds: 200, views: 1000 }, { count: 4, durationSeconds: 900, views: 4000 }]);
+  const comparison = compareChannels([drifting, focused]);
+
+  assert.ok(COMPARISON_METRICS.some(({ metric }) => metric === 'durationFit'));
+  assert.deepEqual(comparison.rankings.durationFit, [
+    { rank: 1, channelName: 'focused', value: 1 },
+    { rank: 2, channelName: 'drifting', value: 0.25 }
+  ]);
+  const baseline = comparison.baselineMetrics.find(entry => entry.metric === 'durationFit');
+  assert.deepEqual({ rank: baseline.rank, leader: baseline.leader, competitorMedian: baseline.competitorMedian }, { rank: 2, leader: 'focused', competitorMedian: 1 });
+  assert.equal(formatMetric('durationFit', 0.25), '25% of best length');
+});
+
+test('a channel with a single length is left out of the duration ranking', () => {
+  const single = channelResult('single', [{ count: 10, durationSeconds: 480, views: 5000 }]);
+  const focused = channelResult('focused', [{ count: 6, durationSeconds: 480, views: 10000 }, { count: 4, durationSeconds: 1800, views: 2000 }]);
+  const comparison = compareChannels([single, focused]);
+
+  assert.equal(comparison.channels[0].durationFit, null);
+  assert.deepEqual(comparison.rankings.durationFit.map(entry => entry.channelName), ['focused']);
+  assert.equal(comparison.baselineMetrics.some(entry => entry.metric === 'durationFit'), false);
+});
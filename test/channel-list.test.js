@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChannelMarkdown } from '../lib/channel-list.js';
+
+const parse = content => parseChannelMarkdown(content, 'channels.md')
+  .map(({ handle, target, description, group, tags, options }) => ({ handle, target, description, group, tags, options }));
+
+test('hyphenated handles keep their hyphens and the description after " - "', () => {
+  assert.deepEqual(parse('- @some-handle - Some Channel\n- @kurz-gesagt-de'), [
+    { handle: 'some-handle', target: '@some-handle', description: 'Some Channel', group: null, tags: [], options: {} },
+    { handle: 'kurz-gesagt-de', target: '@kurz-gesagt-de', description: 'kurz-gesagt-de', group: null, tags: [], options: {} }
+  ]);
+});
+
+test('dotted and underscored handles are read whole', () => {
+  const channels = parse('* @dr.becky - Dr. Becky\n- @the_game.theorists');
+  assert.deepEqual(channels.map(channel => [channel.target, channel.description]), [['@dr.becky', 'Dr. Becky'], ['@the_game.theorists', 'the_game.theorists']]);
+});
+
+test('URLs and channel IDs are kept as targets', () => {
+  const channels = parse([
+    '- https://www.youtube.com/@some-handle - By URL',
+    '- https://youtube.com/channel/UCYO_jab_esuFRV4b17AJtAw',
+    '- UCsXVk37bltHxD1rDPwtNM8Q - By ID'
+  ].join('\n'));
+  assert.deepEqual(channels.map(channel => [channel.target, channel.description]), [
+    ['https://www.youtube.com/@some-handle', 'By URL'],
+    ['https://youtube.com/channel/UCYO_jab_esuFRV4b17AJtAw', 'https://youtube.com/channel/UCYO_jab_esuFRV4b17AJtAw'],
+    ['UCsXVk37bltHxD1rDPwtNM8Q', 'By ID']
+  ]);
+});
+
+test('tags, groups and inline options around hyphenated handles', () => {
+  const channels = parse('## Science\n#edu\n- @some-handle - Some - Channel #maths --videos 50 --exclude shorts\n- @other-one --since 2025-01-01');
+  assert.deepEqual(channels[0], {
+    handle: 'some-handle',
+    target: '@some-handle',
+    description: 'Some - Channel',
+    group: 'Science',
+    tags: ['edu', 'maths'],
+    options: { maxVideos: 50, exclude: ['short'] }
+  });
+  assert.equal(channels[1].target, '@other-one');
+  assert.equal(channels[1].description, 'other-one');
+  assert.ok(channels[1].options.since instanceof Date);
+});
+
+test('lines that are not list items are ignored', () => {
+  assert.deepEqual(parse('# YouTube Channels\n\nSome notes - @not-a-channel\n-@missing-space'), []);
+});
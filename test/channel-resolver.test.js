@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChannelInput, parseVideoInput, parsePlaylistInput, ChannelResolver } from '../lib/channel-resolver.js';
+
+const CHANNEL_ID = 'UCJPE7EHaXMvnQ6h5_izj72r';
+
+test('handles, channel IDs and free text are told apart', () => {
+  assert.deepEqual(parseChannelInput('@fixturelab'), { type: 'handle', value: 'fixturelab' });
+  assert.deepEqual(parseChannelInput('  dr.becky-2 '), { type: 'handle', value: 'dr.becky-2' });
+  assert.deepEqual(parseChannelInput(CHANNEL_ID), { type: 'id', value: CHANNEL_ID });
+  assert.deepEqual(parseChannelInput('marques brownlee'), { type: 'query', value: 'marques brownlee' });
+  assert.deepEqual(parseChannelInput('ab'), { type: 'query', value: 'ab' });
+});
+
+test('channel and video URLs are read with or without a scheme', () => {
+  const cases = {
+    'https://www.youtube.com/@fixturelab/videos': { type: 'handle', value: 'fixturelab' },
+    'youtube.com/@caf%C3%A9lab': { type: 'handle', value: 'cafélab' },
+    [`https://m.youtube.com/channel/${CHANNEL_ID}`]: { type: 'id', value: CHANNEL_ID },
+    'https://www.youtube.com/c/FixtureLab': { type: 'custom', value: 'FixtureLab' },
+    'http://youtube.com/user/fixturelab': { type: 'username', value: 'fixturelab' },
+    'https://www.youtube.com/watch?v=SIiyDVDLB6b&t=42': { type: 'video', value: 'SIiyDVDLB6b' },
+    'https://youtu.be/SIiyDVDLB6b?si=share': { type: 'video', value: 'SIiyDVDLB6b' },
+    'https://www.youtube.com/shorts/SIiyDVDLB6b': { type: 'video', value: 'SIiyDVDLB6b' }
+  };
+  for (const [input, expected] of Object.entries(cases)) {
+    assert.deepEqual(parseChannelInput(input), expected, input);
+  }
+  assert.throws(() => parseChannelInput('https://www.youtube.com/feed/trending'), /Unrecognized YouTube URL/);
+});
+
+test('video and playlist inputs reduce to their IDs', () => {
+  assert.equal(parseVideoInput('SIiyDVDLB6b'), 'SIiyDVDLB6b');
+  assert.equal(parseVideoInput('https://www.youtube.com/live/SIiyDVDLB6b'), 'SIiyDVDLB6b');
+  assert.throws(() => parseVideoInput('https://www.youtube.com/@fixturelab'), /is not a video ID or video URL/);
+
+  assert.equal(parsePlaylistInput('PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf'), 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf');
+  assert.equal(parsePlaylistInput('https://www.youtube.com/watch?v=SIiyDVDLB6b&list=UUJPE7EHaXMvnQ6h5_izj72r'), 'UUJPE7EHaXMvnQ6h5_izj72r');
+  assert.throws(() => parsePlaylistInput('https://www.youtube.com/watch?v=SIiyDVDLB6b'), /is not a playlist ID or playlist URL/);
+});
+
+// Answers each endpoint from a table and records the requests made
+function stubSource(responses) {
+  return {
+    requests: [],
+    async get(endpoint, params) {
+      this.requests.push([endpoint, params]);
+      return responses[endpoint]?.(params) ?? { items: [] };
+    }
+  };
+}
+
+test('exact lookups are tried before search', async () => {
+  const source = stubSource({ channels: params => (params.forHandle === '@fixturelab' ? { items: [{ id: CHANNEL_ID }] } : { items: [] }) });
+  const resolver = new ChannelResolver(source);
+
+  assert.deepEqual(await resolver.resolve(CHANNEL_ID), { channelId: CHANNEL_ID, method: 'channel-id', input: CHANNEL_ID });
+  assert.equal(source.requests.length, 0);
+  assert.deepEqual(await resolver.resolve('https://youtube.com/@fixturelab'), { channelId: CHANNEL_ID, method: 'handle', handle: 'fixturelab', input: 'https://youtube.com/@fixturelab' });
+  assert.deepEqual(source.requests.map(([endpoint]) => endpoint), ['channels']);
+});
+
+test('search only trusts a unique or exactly named hit and lists the candidates otherwise', async () => {
+  const hit = (channelId, channelTitle) => ({ snippet: { channelId, channelTitle } });
+  const source = stubSource({
+    search: ({ q }) => ({
+      items: q === 'fixture lab'
+        ? [hit('UCfan', 'Fixture Lab Clips'), hit(CHANNEL_ID, 'Fixture Lab')]
+        : [hit('UCone', 'Fixture Lab Clips'), hit('UCtwo', 'Fixture Lab Fans')]
+    })
+  });
+  const resolver = new ChannelResolver(source);
+
+  const resolved = await resolver.resolve('fixture lab');
+  assert.deepEqual([resolved.channelId, resolved.method], [CHANNEL_ID, 'search']);
+
+  await assert.rejects(resolver.resolve('fixture fans'), error => {
+    assert.match(error.message, /"fixture fans" is ambiguous/);
+    assert.deepEqual(error.candidates.map(candidate => candidate.channelId), ['UCone', 'UCtwo']);
+    return true;
+  });
+});
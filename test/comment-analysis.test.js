@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { YouTubeAgent } from '../lib/index.js';
+import { scoreSentiment, extractRequests, extractQuestions, analyzeComments } from '../lib/comment-analysis.js';
+
+const comments = entries => entries.map(([text, likes = 0, videoId = 'v0']) => ({ videoId, text, likes, replies: 0 }));
+
+test('sentiment is a lexicon sum, compared per word', () => {
+  assert.deepEqual(scoreSentiment('This is amazing'), { score: 3, comparative: 1, label: 'positive' });
+  assert.deepEqual(scoreSentiment('I watched this on Tuesday'), { score: 0, comparative: 0, label: 'neutral' });
+  assert.equal(scoreSentiment('What a waste of time, so boring').score, -5);
+  assert.equal(scoreSentiment('🔥 video').score, 2);
+  assert.deepEqual(scoreSentiment(''), { score: 0, comparative: 0, label: 'neutral' });
+});
+
+test('negators flip the next few words and intensifiers boost the next one', () => {
+  assert.equal(scoreSentiment('not good at all').score, -2);
+  assert.equal(scoreSentiment("This isn't very good").score, -3);
+  assert.equal(scoreSentiment('really good').score, 3);
+  // The negation has worn off three words later
+  assert.equal(scoreSentiment('not the point, the video was great').score, 2);
+});
+
+test('one mild word in a long comment stays neutral', () => {
+  const rambling = `I like how ${'the host goes through every single step of the process '.repeat(2)}here`;
+  assert.equal(scoreSentiment(rambling).label, 'neutral');
+  assert.equal(scoreSentiment('I like it').label, 'positive');
+});
+
+test('content requests are grouped by topic with the most-liked wording', () => {
+  const requests = extractRequests(comments([
+    ['Can you do a video on quantum computing please', 5],
+    ['Would love to see the Quantum Computing. Great channel', 12],
+    ['Next video idea: budget microphones', 1],
+    ['Great video, thanks!', 40]
+  ]));
+  assert.deepEqual(requests, [
+    { topic: 'quantum computing', count: 2, likes: 17, example: 'Quantum Computing' },
+    { topic: 'budget microphones', count: 1, likes: 1, example: 'budget microphones' }
+  ]);
+});
+
+test('questions leave out requests, fragments and rhetorical one-worders', () => {
+  const questions = extractQuestions(comments([
+    ['Great video! What microphone do you use?', 2],
+    ['what microphone do you use??', 4],
+    ['Can you do a video on lenses?', 30],
+    ['Is it?', 8],
+    ['Nice. Why?', 8]
+  ]));
+  assert.deepEqual(questions, [{ topic: 'microphone use', count: 2, likes: 6, example: 'what microphone do you use?' }]);
+});
+
+test('sentiment is summarized for top and bottom performers separately', () => {
+  const analysis = analyzeComments(comments([
+    ['Amazing, loved it', 3, 'hit'],
+    ['So helpful, thanks', 1, 'hit'],
+    ['Clickbait garbage', 0, 'flop'],
+    ['I watched it twice', 0, 'flop']
+  ]), { top: ['hit'], bottom: ['flop'] }, { unitsUsed: 2 });
+
+  assert.deepEqual([analysis.videosSampled, analysis.commentsAnalyzed, analysis.unitsUsed], [2, 4, 2]);
+  assert.deepEqual(analysis.topPerformers, { videos: 1, comments: 2, meanScore: 1.667, positive: 1, neutral: 0, negative: 0 });
+  assert.deepEqual([analysis.bottomPerformers.negative, analysis.bottomPerformers.neutral], [0.5, 0.5]);
+  assert.deepEqual(analysis.sentiment.positive, 0.5);
+});
+
+test('comments are read alternately from top and bottom performers within the budget', async () => {
+  const requested = [];
+  const dataSource = {
+    async get(endpoint, { videoId }) {
+      requested.push(videoId);
+      const snippet = { textOriginal: `Comment on ${videoId}`, likeCount: 1 };
+      return { items: [{ snippet: { topLevelComment: { snippet }, totalReplyCount: 0 } }], nextPageToken: 'more' };
+    }
+  };
+  const agent = new YouTubeAgent({ dataSource, llm: null });
+  // v3 has comments turned off
+  const videos = [7000, 6000, 5000, 4000, 3000, 2000, 1000].map((views, index) => ({ videoId: `v${index}`, views, comments: index === 3 ? null : 10 }));
+
+  const sample = await agent.getAudienceComments(videos, 3);
+  assert.deepEqual(sample.groups, { top: ['v0', 'v1', 'v2'], bottom: ['v6', 'v5', 'v4'] });
+  // Two pages of the best video, then one of the worst before the budget runs out
+  assert.deepEqual(requested, ['v0', 'v0', 'v6']);
+  assert.equal(sample.unitsUsed, 3);
+  assert.deepEqual(sample.comments.map(comment => comment.videoId), ['v0', 'v0', 'v6']);
+});
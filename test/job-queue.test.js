@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { YouTubeAgent, FixtureDataSource, ResponseCache, QuotaLedger, SnapshotStore, ReportStore, createApiServer } from '../lib/index.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const AWKWARD_NAME = 'lab/notes?v=2#top';
+
+let tmp;
+let server;
+let base;
+
+// Plays back a batch that completes one channel and then runs out of quota
+class StoppingAgent extends EventEmitter {
+  constructor(result) {
+    super();
+    this.result = result;
+  }
+
+  async analyzeBatch({ channels }) {
+    const [first, second, third] = channels;
+    this.emit('channel', { target: first.handle, status: 'start' });
+    this.emit('channel', { target: first.handle, status: 'done' });
+    this.emit('channel', { target: second.handle, status: 'start' });
+    this.emit('channel', { target: second.handle, status: 'stopped', error: new Error('Daily API quota exhausted') });
+    return { channels, results: [this.result], errors: [], remaining: [second, third], stopReason: 'Daily API quota exhausted', rollups: null, comparison: null };
+  }
+
+  async saveQuota() {
+    return {};
+  }
+}
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'youtube-agent-jobs-'));
+  const agent = new YouTubeAgent({
+    dataSource: new FixtureDataSource({ dir: FIXTURES_DIR }),
+    cache: new ResponseCache({ dir: path.join(tmp, 'cache') }),
+    quota: new QuotaLedger({ file: path.join(tmp, 'quota-ledger.json') }),
+    snapshots: new SnapshotStore(path.join(tmp, 'snapshots')),
+    llm: null
+  });
+  const result = await agent.analyzeChannel('@fixturelab', { maxVideos: 12 });
+
+  server = createApiServer(new StoppingAgent({ ...result, channelName: AWKWARD_NAME }), {
+    reports: new ReportStore(path.join(tmp, 'reports')),
+    jobsDir: path.join(tmp, 'jobs'),
+    token: null
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await server.queue.close();
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test('a channel stopped by quota counts as remaining, not completed', async () => {
+  const queued = await fetch(`${base}/batches`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ channels: ['@first', '@second', '@third'] })
+  });
+  const { id } = await queued.json();
+  await server.queue.idle;
+
+  const job = await (await fetch(`${base}/batches/${id}`)).json();
+  assert.equal(job.status, 'done');
+  assert.deepEqual({ completed: job.completed, failed: job.failed, remaining: job.remaining, current: job.current },
+    { completed: 1, failed: 0, remaining: 2, current: [] });
+  assert.equal(job.stopReason, 'Daily API quota exhausted');
+
+  // Channel names are escaped in the batch report's links, which still resolve
+  const html = await (await fetch(`${base}/reports/${job.reportId}.html`)).text();
+  const href = `/reports/${job.reportId}/channels/${encodeURIComponent(AWKWARD_NAME)}.html`;
+  assert.ok(html.includes(`href="${href}"`));
+  const page = await fetch(`${base}${href}`);
+  assert.equal(page.status, 200);
+});
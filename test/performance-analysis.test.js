@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { YouTubeAgent } from '../lib/index.js';
+import {
+  mean, percentile, median, standardDeviation, rankCorrelation, relateToViews,
+  detectOutliers, engagementRates, durationBuckets, analyzePerformance
+} from '../lib/performance-analysis.js';
+
+const videos = (views, extra = () => ({})) => views.map((count, index) => ({ videoId: `v${index}`, title: `Video ${index}`, views: count, likes: 0, comments: 0, ...extra(index) }));
+
+test('averages, medians and interpolated percentiles', () => {
+  assert.equal(mean([1, 2, 3, 10]), 4);
+  assert.equal(median([10, 1, 3]), 3);
+  assert.equal(median([4, 1, 3, 2]), 2.5);
+  assert.equal(percentile([1, 2, 3, 4], 25), 1.75);
+  assert.equal(percentile([1, 2, 3, 4], 90), 3.7);
+  assert.equal(percentile([7], 90), 7);
+  assert.equal(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9]), 2);
+  // Empty samples are 0 rather than NaN
+  assert.deepEqual([mean([]), median([]), percentile([], 75), standardDeviation([])], [0, 0, 0, 0]);
+});
+
+test('rank correlation follows order, not size, and shares ranks between ties', () => {
+  assert.equal(rankCorrelation([1, 2, 3, 4], [10, 200, 3000, 40000]), 1);
+  assert.equal(rankCorrelation([1, 2, 3, 4], [4, 3, 2, 1]), -1);
+  assert.equal(rankCorrelation([1, 1, 2], [1, 2, 3]), 0.87);
+  assert.equal(rankCorrelation([5, 5, 5], [1, 2, 3]), 0);
+});
+
+test('a metric is related to views only with enough measured videos', () => {
+  const described = [100, 200, 300, 400, 500].map((views, index) => ({ views, pace: index + 1 }));
+  assert.deepEqual(relateToViews(described, 'pace'), { median: 3, topHalfMedian: 4, bottomHalfMedian: 1.5, correlation: 1 });
+  assert.equal(relateToViews(described.slice(0, 4), 'pace').correlation, null);
+  assert.equal(relateToViews(described.map(entry => ({ ...entry, pace: null })), 'pace'), null);
+});
+
+test('outliers are found on log views, so only orders of magnitude stand out', () => {
+  const { high, low, upperFence, lowerFence } = detectOutliers(videos([1000, 1100, 900, 1200, 1000, 1050, 950, 100000, 10]));
+  assert.deepEqual(high.map(video => video.videoId), ['v7']);
+  assert.deepEqual(low.map(video => video.videoId), ['v8']);
+  assert.deepEqual([upperFence, lowerFence], [1371, 762]);
+
+  assert.deepEqual(detectOutliers(videos([1000, 1000, 1000, 1000000])), { high: [], low: [], upperFence: null, lowerFence: null });
+});
+
+test('engagement rates skip unviewed videos and disabled comments', () => {
+  const rates = engagementRates([
+    { views: 1000, likes: 40, comments: 4 },
+    { views: 2000, likes: 40, comments: null },
+    { views: 500, likes: 10, comments: 1 },
+    { views: 0, likes: 0, comments: 0 }
+  ]);
+  assert.deepEqual(rates, { count: 3, medianLikeRate: 0.02, medianCommentRate: 0.003, commentSample: 2 });
+});
+
+test('durations fall into buckets by their upper bound, and unknown lengths into none', () => {
+  const buckets = durationBuckets(videos([100, 200, 300, 400, 500], index => ({ durationSeconds: [60, 61, 300, 2400, 0][index] })));
+  assert.deepEqual(buckets, [
+    { label: 'under 1 min', count: 1, medianViews: 100 },
+    { label: '1-5 min', count: 2, medianViews: 250 },
+    { label: '20-40 min', count: 1, medianViews: 400 }
+  ]);
+});
+
+test('a best duration needs two buckets with enough videos each', () => {
+  const mixed = videos([5000, 6000, 7000, 1000, 2000, 3000, 90000], index => ({ durationSeconds: index < 3 ? 480 : index < 6 ? 1500 : 30 }));
+  const performance = analyzePerformance(mixed);
+  assert.equal(performance.reliable, true);
+  assert.deepEqual(performance.bestDurationBucket, { label: '5-10 min', count: 3, medianViews: 6000 });
+  assert.deepEqual(performance.views, { mean: 16286, median: 5000, p25: 2500, p75: 6500, p90: 40200 });
+
+  assert.equal(analyzePerformance(mixed.slice(0, 4)).bestDurationBucket, null);
+});
+
+test('too few videos produce a caveat instead of patterns', () => {
+  const agent = new YouTubeAgent({ dataSource: { get: () => Promise.reject(new Error('offline')) }, llm: null });
+  const few = videos([1000, 50000, 900], index => ({ durationSeconds: 600, publishedAt: `2026-01-0${index + 1}T12:00:00Z`, kind: 'video' }));
+  const { performancePatterns } = agent.generateAdvancedInsights(few, { statistics: {} });
+  assert.deepEqual(performancePatterns, ['Only 3 videos analyzed - at least 5 are needed for reliable patterns']);
+});
@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { QuotaLedger, apiKeyId, apiKeyLabel } from '../lib/index.js';
+
+// 23:30 and 00:30 Pacific Time (PDT, UTC-7): either side of the quota reset
+const LATE = new Date('2026-06-01T06:30:00Z');
+const NEXT_DAY = new Date('2026-06-01T07:30:00Z');
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'youtube-agent-quota-'));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test('starts a new quota day after midnight Pacific Time', async () => {
+  let now = LATE;
+  const ledger = new QuotaLedger({ file: path.join(tmp, 'rollover.json'), clock: () => now });
+  await ledger.load();
+  ledger.record('search', 'key-a');
+  ledger.markExhausted('key-a');
+  assert.equal(ledger.usedToday, 100);
+  assert.ok(ledger.isExhausted('key-a'));
+
+  now = NEXT_DAY;
+  assert.equal(ledger.usedToday, 0);
+  assert.equal(ledger.isExhausted('key-a'), false);
+  assert.deepEqual(ledger.keyUsage('key-a'), { key: 'key-a', runUnits: 100, usedToday: 0, exhausted: false });
+  assert.equal(ledger.runUnits, 100);
+});
+
+test('saves units to the day they were spent on', async () => {
+  const file = path.join(tmp, 'days.json');
+  let now = LATE;
+  const ledger = new QuotaLedger({ file, clock: () => now });
+  await ledger.load();
+  ledger.record('search', 'key-a');
+  ledger.markExhausted('key-a');
+
+  now = NEXT_DAY;
+  ledger.record('videos', 'key-b');
+  await ledger.save();
+
+  const { days } = JSON.parse(await fs.readFile(file, 'utf-8'));
+  assert.deepEqual(days['2026-05-31'], { units: 100, requests: 1, keys: { 'key-a': 100 } });
+  assert.deepEqual(days['2026-06-01'], { units: 1, requests: 1, keys: { 'key-b': 1 } });
+
+  // Reloading the new day doesn't count its saved units twice
+  await ledger.load();
+  assert.equal(ledger.usedToday, 1);
+});
+
+test('keys that share their last four characters are tracked apart', () => {
+  const [first, second] = ['AIzaSyFirstKey-1234', 'AIzaSySecondKey-1234'];
+  assert.equal(apiKeyLabel(first), apiKeyLabel(second));
+  assert.notEqual(apiKeyId(first), apiKeyId(second));
+
+  const ledger = new QuotaLedger({ file: path.join(tmp, 'keys.json'), keyCount: 2 });
+  ledger.markExhausted(apiKeyId(first));
+  assert.equal(ledger.isExhausted(apiKeyId(second)), false);
+});
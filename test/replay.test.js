@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  YouTubeAgent,
+  FixtureDataSource,
+  ResponseCache,
+  QuotaLedger,
+  SnapshotStore,
+  renderChannelMarkdown,
+  renderChannelHtml,
+  buildAnalysisDocument,
+  writeChannelReports,
+  SCHEMA_VERSION
+} from '../lib/index.js';
+
+// Synthetic responses for a made-up channel in the API's shapes, recorded through the fixture
+// backend by scripts/synthetic-fixtures.js: "/youtube @fixturelab --videos 12" and its newest upload
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const OPTIONS = { maxVideos: 12 };
+const NEWEST_UPLOAD = 'SIiyDVDLB6b';
+
+let tmp;
+let agent;
+let result;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'youtube-agent-replay-'));
+  agent = new YouTubeAgent({
+    dataSource: new FixtureDataSource({ dir: FIXTURES_DIR }),
+    cache: new ResponseCache({ dir: path.join(tmp, 'cache') }),
+    quota: new QuotaLedger({ file: path.join(tmp, 'quota-ledger.json') }),
+    snapshots: new SnapshotStore(path.join(tmp, 'snapshots')),
+    llm: null
+  });
+  result = await agent.analyzeChannel('@fixturelab', OPTIONS);
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test('replays a channel analysis without network or key', () => {
+  assert.equal(result.channelName, 'fixturelab');
+  assert.equal(result.resolution.channelId, 'UCJPE7EHaXMvnQ6h5_izj72r');
+  assert.equal(result.videos.length, 12);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('generateAdvancedInsights works on the replayed videos', () => {
+  const insights = agent.generateAdvancedInsights(result.videos, result.channelInfo, OPTIONS);
+  const views = result.videos.map(video => video.views).sort((a, b) => b - a);
+
+  assert.equal(insights.topVideos.length, 10);
+  assert.equal(insights.topVideos[0].views, views[0]);
+  assert.equal(insights.avgViews, Math.round(views.reduce((sum, count) => sum + count, 0) / views.length));
+  assert.ok(insights.performancePatterns.length > 0);
+  assert.ok(insights.titles.terms.length > 0);
+});
+
+test('report generators render the replayed analysis', async () => {
+  const markdown = renderChannelMarkdown(result);
+  assert.match(markdown, /Fixture Lab/);
+  assert.ok(markdown.includes(result.insights.topVideos[0].title));
+
+  assert.match(renderChannelHtml(result), /^<!DOCTYPE html>/i);
+
+  const document = buildAnalysisDocument(result);
+  assert.equal(document.schemaVersion, SCHEMA_VERSION);
+  assert.equal(document.videos.length, 12);
+
+  const written = await writeChannelReports(result, path.join(tmp, 'reports', 'youtube-research'), ['md', 'json', 'csv']);
+  assert.deepEqual(written.map(entry => path.basename(entry.file)), ['youtube-research.md', 'youtube-research.json', 'youtube-research.csv']);
+  const csv = await fs.readFile(path.join(tmp, 'reports', 'youtube-research.csv'), 'utf-8');
+  assert.equal(csv.trim().split('\n').length, 13);
+});
+
+test('replays a single-video analysis against the channel', async () => {
+  const view = await agent.analyzeVideo(NEWEST_UPLOAD, OPTIONS);
+  assert.equal(view.video.videoId, NEWEST_UPLOAD);
+  assert.equal(view.category, 'Education');
+  assert.equal(view.uploads.length, 12);
+  assert.equal(view.transcript, null);
+});
+
+test('a request that was never recorded names the missing fixture', async () => {
+  await assert.rejects(agent.analyzeChannel('@fixturelab', { maxVideos: 60 }), /No fixture recorded for/);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSchedule, localWeekdayAndHour, viewsPerDay, validateTimeZone } from '../lib/schedule-analysis.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-01-31T15:00:00Z');
+
+// Uploaded at 15:00 UTC on the given January days, each earning perDay views per day of age
+const uploads = (days, perDay) => days.map(day => {
+  const publishedAt = new Date(Date.UTC(2026, 0, day, 15)).toISOString();
+  return { publishedAt, views: perDay * Math.round((NOW - Date.parse(publishedAt)) / DAY_MS) };
+});
+
+// Tuesdays earn 1,000 views/day, Saturdays 100, and two Wednesdays 10,000
+const WEEK_OF_UPLOADS = [...uploads([6, 13, 20], 1000), ...uploads([10, 17, 24], 100), ...uploads([7, 14], 10000)];
+
+test('weekday and hour are read in the given time zone', () => {
+  assert.deepEqual(localWeekdayAndHour('2026-01-05T03:30:00Z', 'UTC'), { weekday: 1, hour: 3 });
+  assert.deepEqual(localWeekdayAndHour('2026-01-05T03:30:00Z', 'America/New_York'), { weekday: 0, hour: 22 });
+  assert.deepEqual(localWeekdayAndHour('2026-01-05T15:00:00Z', 'Asia/Tokyo'), { weekday: 2, hour: 0 });
+});
+
+test('views are normalized by age, counting at least one day', () => {
+  assert.equal(viewsPerDay({ publishedAt: '2026-01-21T15:00:00Z', views: 5000 }, NOW), 500);
+  assert.equal(viewsPerDay({ publishedAt: '2026-01-31T14:00:00Z', views: 800 }, NOW), 800);
+});
+
+test('unknown time zones are rejected', () => {
+  assert.equal(validateTimeZone('Europe/Berlin'), 'Europe/Berlin');
+  assert.throws(() => validateTimeZone('Mars/Olympus'), /Unknown time zone "Mars\/Olympus"/);
+});
+
+test('the best weekday needs enough uploads, and another day to beat', () => {
+  const schedule = analyzeSchedule(WEEK_OF_UPLOADS, { timeZone: 'UTC', now: NOW });
+  assert.deepEqual(schedule.byWeekday, [
+    { label: 'Tuesday', count: 3, medianViewsPerDay: 1000 },
+    { label: 'Wednesday', count: 2, medianViewsPerDay: 10000 },
+    { label: 'Saturday', count: 3, medianViewsPerDay: 100 }
+  ]);
+  assert.deepEqual(schedule.bestWeekday, { label: 'Tuesday', count: 3, medianViewsPerDay: 1000 });
+  assert.equal(schedule.medianViewsPerDay, 1000);
+  assert.equal(schedule.uploadsByHour[15], 8);
+  assert.equal(schedule.recentUploads, 8);
+  // Every upload is in the afternoon, so no time block stands out
+  assert.equal(schedule.bestTimeBlock, null);
+});
+
+test('the same uploads seen from another time zone can shift a day', () => {
+  const schedule = analyzeSchedule(WEEK_OF_UPLOADS, { timeZone: 'Asia/Tokyo', now: NOW });
+  assert.equal(schedule.bestWeekday.label, 'Wednesday');
+  assert.deepEqual(schedule.byTimeBlock.map(block => block.label), ['night (00-06)']);
+});
+
+test('cadence reports gaps, consistency and the trend between halves of the window', () => {
+  const weekly = analyzeSchedule(uploads([1, 8, 15, 22, 29], 100), { timeZone: 'UTC', now: NOW }).cadence;
+  assert.deepEqual(weekly, {
+    uploads: 5,
+    spanDays: 28,
+    uploadsPerWeek: 1,
+    medianGapDays: 7,
+    longestGap: { days: 7, from: '2026-01-01T15:00:00.000Z', to: '2026-01-08T15:00:00.000Z' },
+    gapVariation: 0,
+    consistency: 'very consistent',
+    trend: 50
+  });
+
+  const bursty = analyzeSchedule(uploads([1, 2, 3, 4, 24], 100), { timeZone: 'UTC', now: NOW }).cadence;
+  assert.deepEqual([bursty.medianGapDays, bursty.longestGap.days, bursty.gapVariation, bursty.consistency], [1, 20, 1.43, 'irregular']);
+
+  assert.equal(analyzeSchedule(uploads([1], 100), { timeZone: 'UTC', now: NOW }).cadence, null);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, extractTerms, compareGroups, analyzeTitles, TITLE_FEATURES } from '../lib/title-analysis.js';
+
+const videos = entries => entries.map(([title, views], index) => ({ videoId: `v${index}`, title, views }));
+const hasFeature = (feature, title) => TITLE_FEATURES.find(entry => entry.feature === feature).test(title);
+
+test('tokens drop punctuation and emoji and ignore case', () => {
+  assert.deepEqual(tokenize('Review: iPhone 15 — is it WORTH it?! 🔥'), ['review', 'iphone', '15', 'is', 'it', 'worth', 'it']);
+  assert.deepEqual(tokenize('You’re not ready (players’ edition)'), ["you're", 'not', 'ready', 'players', 'edition']);
+  assert.deepEqual(tokenize('ＦＵＬＬ Guide'), ['full', 'guide']);
+  assert.deepEqual(tokenize('🔥🔥🔥'), []);
+});
+
+test('phrases may not start or end with a stop word, in any of the listed languages', () => {
+  assert.deepEqual([...extractTerms('How to Build a PC')].sort(), ['build', 'build a pc', 'pc']);
+  assert.deepEqual([...extractTerms('10 tips for beginners')].sort(), ['beginners', 'tips', 'tips for beginners']);
+  assert.deepEqual([...extractTerms('Wie man Brot und Kuchen backt')].sort(), ['backt', 'brot', 'brot und kuchen', 'kuchen', 'kuchen backt', 'man', 'man brot']);
+  assert.deepEqual([...extractTerms('Receta de pan para el desayuno')].sort(), ['desayuno', 'pan', 'receta', 'receta de pan']);
+});
+
+test('lift compares average views with and without a feature', () => {
+  const sample = videos([['a', 3000], ['b', 1000], ['c', 1000], ['d', 500], ['e', 1500]]);
+  assert.deepEqual(compareGroups(sample, video => video.views >= 1000), { count: 4, countWithout: 1, meanViewsWith: 1625, meanViewsWithout: 500, lift: 3.25 });
+  assert.equal(compareGroups(sample, () => false).lift, null);
+  assert.equal(compareGroups(sample, () => true).lift, null);
+});
+
+test('terms are scored by lift, and a phrase stands in for the words it always contains', () => {
+  const titles = analyzeTitles(videos([
+    ['Budget gaming build!', 9000],
+    ['Budget gaming setup', 9000],
+    ['Budget gaming desk', 9000],
+    ['Studio desk tour', 3000],
+    ['Studio setup tour', 3000],
+    ['Studio lighting tour', 3000]
+  ]));
+
+  const byTerm = Object.fromEntries(titles.terms.map(term => [term.term, term]));
+  assert.equal(titles.minSupport, 2);
+  assert.ok(!('budget' in byTerm) && !('gaming' in byTerm), Object.keys(byTerm).join(', '));
+  assert.deepEqual([byTerm.desk.count, byTerm.desk.lift], [2, 1]);
+  assert.deepEqual(titles.topTerms.map(term => [term.term, term.lift]), [['budget gaming', 3]]);
+  assert.deepEqual(titles.weakTerms.map(term => [term.term, term.lift]).sort(), [['studio', 0.33], ['tour', 0.33]]);
+  // One exclamation mark is too few to compare
+  assert.deepEqual(titles.notableFeatures, []);
+});
+
+test('a term in every title says nothing about views', () => {
+  const titles = analyzeTitles(videos([['Vlog in Lisbon', 100], ['Vlog in Porto', 200], ['Vlog at home', 300]]));
+  assert.deepEqual(titles.terms, []);
+  assert.equal(titles.lengthCorrelation, null);
+});
+
+test('title features recognize caps, brackets, emoji and non-Latin punctuation', () => {
+  assert.equal(hasFeature('allCaps', 'This is INSANE'), true);
+  assert.equal(hasFeature('allCaps', 'NASA’s new rocket'), true);
+  assert.equal(hasFeature('allCaps', 'iPhone vs Pixel'), false);
+  assert.equal(hasFeature('brackets', '【MV】 New single'), true);
+  assert.equal(hasFeature('emoji', 'Road trip 🚗'), true);
+  assert.equal(hasFeature('question', '¿Vale la pena?'), true);
+  assert.equal(hasFeature('question', 'これは何？'), true);
+  assert.equal(hasFeature('number', 'Top ten'), false);
+  assert.equal(hasFeature('long', 'x'.repeat(60)), false);
+});
@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { YouTubeAgent, FixtureDataSource, ResponseCache, QuotaLedger, SnapshotStore } from '../lib/index.js';
+import { describeTranscript, analyzeTranscripts } from '../lib/transcript-analysis.js';
+import { parseTranscript } from '../lib/transcript-sources.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const NEWEST_UPLOAD = 'SIiyDVDLB6b';
+const VIDEO = { videoId: NEWEST_UPLOAD, title: 'How GPS Actually Work', views: 1000, durationSeconds: 600 };
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'youtube-agent-transcripts-'));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test('transcripts without cues are described without crashing', () => {
+  for (const transcript of [parseTranscript('WEBVTT\n\n', 'vtt'), parseTranscript('', 'txt'), parseTranscript('1\n00:00:01,000 --> 00:00:02,000\n\n', 'srt')]) {
+    assert.deepEqual(transcript.cues, []);
+    const described = describeTranscript(VIDEO, transcript);
+    assert.equal(described.words, 0);
+    assert.equal(described.segments, 0);
+    assert.equal(described.averageSegmentSeconds, null);
+  }
+});
+
+test('channel analysis leaves empty transcripts out', () => {
+  const transcripts = new Map([[NEWEST_UPLOAD, parseTranscript('WEBVTT\n\n', 'vtt')]]);
+  assert.equal(analyzeTranscripts([VIDEO], transcripts).videosWithTranscripts, 0);
+});
+
+test('a video whose transcript is empty is analyzed without one, with a warning', async () => {
+  const transcriptsDir = path.join(tmp, 'transcripts');
+  await fs.mkdir(transcriptsDir);
+  await fs.writeFile(path.join(transcriptsDir, `${NEWEST_UPLOAD}.vtt`), 'WEBVTT\nKind: captions\n\n');
+
+  const agent = new YouTubeAgent({
+    dataSource: new FixtureDataSource({ dir: FIXTURES_DIR }),
+    cache: new ResponseCache({ dir: path.join(tmp, 'cache') }),
+    quota: new QuotaLedger({ file: path.join(tmp, 'quota-ledger.json') }),
+    snapshots: new SnapshotStore(path.join(tmp, 'snapshots')),
+    llm: null
+  });
+  agent.on('warning', () => {});
+  const view = await agent.analyzeVideo(NEWEST_UPLOAD, { maxVideos: 12, transcripts: transcriptsDir });
+
+  assert.equal(view.transcript, null);
+  assert.ok(view.warnings.some(message => /has no text/.test(message)), view.warnings.join('\n'));
+});
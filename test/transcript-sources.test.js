@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseTimestamp, parseTimedCues, parsePlainText, parseTranscript, LocalTranscriptSource, CaptionTrackSource } from '../lib/transcript-sources.js';
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'youtube-agent-transcript-files-'));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test('SRT and VTT timestamps are read as seconds', () => {
+  assert.equal(parseTimestamp('01:02:03,500'), 3723.5);
+  assert.equal(parseTimestamp('01:02:03.500'), 3723.5);
+  assert.equal(parseTimestamp('02:03.250'), 123.25);
+  assert.equal(parseTimestamp(' 00:00:00.000 '), 0);
+});
+
+test('SRT cues lose their numbers, markup, entities and sound cues', () => {
+  const srt = [
+    '1', '00:00:01,000 --> 00:00:04,000', 'Hello &amp; welcome', '',
+    '2', '00:00:04,500 --> 00:00:06,000', '[Music]', '',
+    '3', '00:00:06,000 --> 00:00:09,250', 'to the <i>show</i>,', 'everyone', ''
+  ].join('\r\n');
+  assert.deepEqual(parseTimedCues(srt), [
+    { start: 1, end: 4, text: 'Hello & welcome' },
+    { start: 6, end: 9.25, text: 'to the show, everyone' }
+  ]);
+});
+
+test('VTT headers, notes, cue IDs and cue settings are skipped', () => {
+  const vtt = [
+    'WEBVTT', 'Kind: captions', 'Language: en', '',
+    'NOTE written by hand', '',
+    'intro', '00:01.000 --> 00:03.000 align:start position:0%', '<v Host>Welcome back</v>', '',
+    '00:03.000 --> 00:05.000', 'it&#39;s &quot;GPS&quot; day', ''
+  ].join('\n');
+  assert.deepEqual(parseTimedCues(vtt), [
+    { start: 1, end: 3, text: 'Welcome back' },
+    { start: 3, end: 5, text: 'it\'s "GPS" day' }
+  ]);
+});
+
+test('rolling auto-captions keep only the words each cue adds', () => {
+  const vtt = [
+    'WEBVTT', '',
+    '00:00:00.000 --> 00:00:02.000', 'so today we', '',
+    '00:00:02.000 --> 00:00:04.000', 'so today we', 'are<00:00:02.500><c> testing</c>', '',
+    '00:00:04.000 --> 00:00:04.010', 'are testing', ''
+  ].join('\n');
+  assert.deepEqual(parseTimedCues(vtt), [
+    { start: 0, end: 2, text: 'so today we' },
+    { start: 2, end: 4, text: 'are testing' }
+  ]);
+});
+
+test('plain text paragraphs become untimed cues', () => {
+  const transcript = parseTranscript('First paragraph\nwraps here.\r\n\r\nSecond one.\n\n  \n\n', 'txt');
+  assert.equal(transcript.timed, false);
+  assert.deepEqual(transcript.cues, [
+    { start: null, end: null, text: 'First paragraph wraps here.' },
+    { start: null, end: null, text: 'Second one.' }
+  ]);
+  assert.deepEqual(parsePlainText(''), []);
+  assert.equal(parseTranscript('WEBVTT\n', 'vtt').timed, true);
+});
+
+test('local transcripts are found by file name, yt-dlp name or manifest', async () => {
+  const dir = path.join(tmp, 'transcripts');
+  await fs.mkdir(dir, { recursive: true });
+  await fs.mkdir(path.join(tmp, 'elsewhere'), { recursive: true });
+  await fs.writeFile(path.join(dir, 'SIiyDVDLB6b.srt'), '1\n00:00:01,000 --> 00:00:02,000\nFrom SRT\n');
+  await fs.writeFile(path.join(dir, 'How GPS Works [abcdefghijk].en.vtt'), 'WEBVTT\n\n00:01.000 --> 00:02.000\nFrom VTT\n');
+  await fs.writeFile(path.join(dir, 'notes.md'), '# not a transcript');
+  await fs.writeFile(path.join(tmp, 'elsewhere', 'talk.txt'), 'From the manifest');
+  await fs.writeFile(path.join(tmp, 'elsewhere', 'talk.md'), 'Wrong format');
+  await fs.writeFile(path.join(dir, 'transcripts.json'), JSON.stringify({ zyxwvutsrqp: '../elsewhere/talk.txt', mdmdmdmdmdm: '../elsewhere/talk.md' }));
+
+  const source = new LocalTranscriptSource(dir);
+  const text = async videoId => (await source.fetch(videoId))?.cues.map(cue => cue.text);
+  assert.deepEqual(await text('SIiyDVDLB6b'), ['From SRT']);
+  assert.deepEqual(await text('abcdefghijk'), ['From VTT']);
+  assert.deepEqual(await text('zyxwvutsrqp'), ['From the manifest']);
+  assert.equal(await text('notamatch00'), undefined);
+  await assert.rejects(source.fetch('mdmdmdmdmdm'), /transcripts must be \.vtt, \.srt or \.txt/);
+
+  assert.equal(await new LocalTranscriptSource(path.join(tmp, 'missing')).fetch('SIiyDVDLB6b'), null);
+});
+
+test('uploaded caption tracks are preferred over auto-generated ones, in language order', () => {
+  const source = new CaptionTrackSource({ languages: ['de', 'en'], cacheDir: tmp });
+  const english = { lang: 'en', name: '', kind: '' };
+  const germanAsr = { lang: 'de-DE', name: '', kind: 'asr' };
+  const german = { lang: 'de', name: 'Deutsch', kind: '' };
+
+  assert.equal(source.pickTrack([english, germanAsr, german]), german);
+  assert.equal(source.pickTrack([english, germanAsr]), germanAsr);
+  assert.equal(source.pickTrack([english]), english);
+  assert.equal(source.pickTrack([{ lang: 'fr', name: '', kind: '' }]), null);
+});
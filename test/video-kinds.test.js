@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { YouTubeAgent } from '../lib/index.js';
+import { parseArgs, describeVideoWindow } from '../lib/command-options.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LAST_UPLOAD = Date.parse('2026-01-01T12:00:00Z');
+
+// count uploads, one a day, newest first; kindOf(index) picks the duration and live details
+function uploadsPlaylist(count, kindOf = () => ({})) {
+  return Array.from({ length: count }, (_, index) => {
+    const id = `vid${String(index).padStart(8, '0')}`;
+    const publishedAt = new Date(LAST_UPLOAD - index * DAY_MS).toISOString();
+    const { duration = 'PT8M', liveStreamingDetails, title = `Upload ${index}` } = kindOf(index);
+    return {
+      item: { snippet: { publishedAt, resourceId: { videoId: id } }, contentDetails: { videoId: id, videoPublishedAt: publishedAt } },
+      video: {
+        id,
+        snippet: { title, description: '', publishedAt, thumbnails: {} },
+        statistics: { viewCount: String(1000 + index), likeCount: '10', commentCount: '1' },
+        contentDetails: { duration },
+        ...(liveStreamingDetails && { liveStreamingDetails })
+      }
+    };
+  });
+}
+
+// Serves the playlist 50 items a page and each videos lookup by ID, counting the calls
+function playlistSource(uploads) {
+  const byId = new Map(uploads.map(({ video }) => [video.id, video]));
+  return {
+    calls: { playlistItems: 0, videos: 0 },
+    async get(endpoint, params) {
+      this.calls[endpoint]++;
+      if (endpoint === 'playlistItems') {
+        const start = Number(params.pageToken ?? 0);
+        const end = start + params.maxResults;
+        return { items: uploads.slice(start, end).map(({ item }) => item), ...(end < uploads.length && { nextPageToken: String(end) }) };
+      }
+      const ids = params.id.split(',');
+      assert.ok(ids.length <= 50, 'videos are looked up 50 at a time');
+      return { items: ids.map(id => byId.get(id)) };
+    }
+  };
+}
+
+const createAgent = dataSource => new YouTubeAgent({ dataSource, llm: null });
+const agent = createAgent({ get: () => Promise.reject(new Error('offline')) });
+
+const live = (startTime, minutes) => ({
+  actualStartTime: new Date(startTime).toISOString(),
+  actualEndTime: new Date(startTime + minutes * 60 * 1000).toISOString()
+});
+const item = (duration, extra = {}) => ({ snippet: { title: 'Upload', description: '' }, contentDetails: { duration }, ...extra });
+const classify = video => agent.classifyVideo(video, agent.parseDurationSeconds(video.contentDetails.duration));
+
+test('durations are read from ISO 8601, including multi-day streams', () => {
+  assert.equal(agent.parseDurationSeconds('PT45S'), 45);
+  assert.equal(agent.parseDurationSeconds('PT1H2M3S'), 3723);
+  assert.equal(agent.parseDurationSeconds('P1DT2H'), 93600);
+  assert.equal(agent.parseDurationSeconds('P0D'), 0);
+  assert.equal(agent.parseDurationSeconds(undefined), 0);
+});
+
+test('Shorts are told apart by length and the #shorts tag', () => {
+  assert.equal(classify(item('PT60S')), 'short');
+  assert.equal(classify(item('PT61S')), 'video');
+  assert.equal(classify(item('PT2M30S', { snippet: { title: 'Quick tip #Shorts', description: '' } })), 'short');
+  assert.equal(classify(item('PT2M30S', { snippet: { title: 'Quick tip', description: 'More at #shorts' } })), 'short');
+  assert.equal(classify(item('PT3M1S', { snippet: { title: 'Quick tip #shorts', description: '' } })), 'video');
+  // Upcoming streams and premieres report no duration yet
+  assert.equal(classify(item('P0D')), 'video');
+});
+
+test('livestream VODs and premieres are told apart by their broadcast window', () => {
+  const start = Date.parse('2026-01-01T18:00:00Z');
+  // A 2-minute countdown before a 10-minute video
+  assert.equal(classify(item('PT10M', { liveStreamingDetails: live(start, 12) })), 'premiere');
+  // A stream VOD runs as long as the broadcast
+  assert.equal(classify(item('PT1H30M', { liveStreamingDetails: live(start, 90) })), 'live');
+  // A short live stream is still live, even under a Shorts length
+  assert.equal(classify(item('PT50S', { liveStreamingDetails: live(start, 1) })), 'live');
+});
+
+test('uploads are paged past 50 and kinds are filtered before counting', async () => {
+  const uploads = uploadsPlaylist(120, index => (index % 4 === 0 ? { duration: 'PT40S' } : {}));
+  const source = playlistSource(uploads);
+  const { videos, incomplete } = await createAgent(source).getChannelVideos('UUtest', { maxVideos: 80, exclude: ['short'] });
+
+  assert.equal(incomplete, null);
+  assert.equal(videos.length, 80);
+  assert.ok(videos.every(video => video.kind === 'video'));
+  assert.equal(videos.at(-1).videoId, uploads[106].video.id);
+  assert.deepEqual(source.calls, { playlistItems: 3, videos: 3 });
+});
+
+test('a --since window stops paging at its start, --until skips newer uploads', async () => {
+  const uploads = uploadsPlaylist(120);
+  const source = playlistSource(uploads);
+  const { options } = parseArgs(['--since', '2025-12-10', '--until', '2025-12-25']);
+  const { videos } = await createAgent(source).getChannelVideos('UUtest', options);
+
+  assert.deepEqual([videos[0].publishedAt, videos.at(-1).publishedAt], ['2025-12-25T12:00:00.000Z', '2025-12-10T12:00:00.000Z']);
+  assert.equal(videos.length, 16);
+  assert.equal(source.calls.playlistItems, 1);
+});
+
+test('kind options accept plurals and aliases and describe the window', () => {
+  const { options } = parseArgs(['--only', 'videos,streams', '--exclude', 'premieres', '--since', '2024-01-01', '--videos', 'all']);
+  assert.deepEqual([options.only, options.exclude, options.maxVideos], [['video', 'live'], ['premiere'], Infinity]);
+  assert.equal(describeVideoWindow(options), 'since 2024-01-01 • only regular videos, livestreams • excluding premieres');
+
+  assert.throws(() => parseArgs(['--exclude', 'reels']), /--exclude expects a list of: videos, shorts, live, premieres \(got "reels"\)/);
+  assert.throws(() => parseArgs(['--videos', '0']), /--videos expects a positive number or "all"/);
+  assert.throws(() => parseArgs(['--since', '2025-02-01', '--until', '2025-01-01']), /--since must be before --until/);
+});
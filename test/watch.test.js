@@ -0,0 +1,155 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { YouTubeAgent, FixtureDataSource, ResponseCache, QuotaLedger, SnapshotStore } from '../lib/index.js';
+import { CachedDataSource } from '../lib/data-sources.js';
+import { detectChanges } from '../lib/watch-events.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LAST_UPLOAD = Date.parse('2026-01-01T12:00:00Z');
+
+// count uploads, newest first, every gapDays up to LAST_UPLOAD
+function uploads(count, { gapDays = 7, views = 1000, prefix = 'v' } = {}) {
+  return Array.from({ length: count }, (_, index) => ({
+    videoId: `${prefix}${index}`,
+    title: `Video ${prefix}${index}`,
+    publishedAt: new Date(LAST_UPLOAD - index * gapDays * DAY_MS).toISOString(),
+    views,
+    likes: 10
+  }));
+}
+
+function snapshot({ days = 1, subscribers = 50000, videos = uploads(10) } = {}) {
+  return {
+    timestamp: new Date(LAST_UPLOAD + days * DAY_MS).toISOString(),
+    channelId: 'UCtest',
+    handle: 'lab',
+    title: 'Lab',
+    channel: { subscribers, views: 1000000, videoCount: videos.length },
+    videos
+  };
+}
+
+const withViews = (videos, index, views) => videos.map((video, i) => (i === index ? { ...video, views } : video));
+const ofType = (events, type) => events.filter(event => event.type === type);
+
+test('identical snapshots produce no changes', () => {
+  assert.deepEqual(detectChanges(snapshot(), snapshot({ days: 2 })), []);
+});
+
+test('a new upload is reported, an older video entering the window is not', () => {
+  const fresh = { ...uploads(1, { prefix: 'new' })[0], publishedAt: new Date(LAST_UPLOAD + DAY_MS).toISOString() };
+  const older = { ...uploads(1, { prefix: 'old' })[0], publishedAt: new Date(LAST_UPLOAD - 100 * DAY_MS).toISOString() };
+  const events = detectChanges(snapshot(), snapshot({ days: 2, videos: [fresh, ...uploads(10), older] }));
+
+  assert.deepEqual(ofType(events, 'new_upload').map(event => event.data.videoId), ['new0']);
+});
+
+test('a previous window without videos only counts uploads since that run', () => {
+  const events = detectChanges(snapshot({ videos: [] }), snapshot({ days: 2 }));
+  assert.deepEqual(ofType(events, 'new_upload'), []);
+});
+
+test('breakouts start at exactly the multiplier and are reported once', () => {
+  const previous = snapshot();
+  assert.equal(ofType(detectChanges(previous, snapshot({ days: 2, videos: withViews(uploads(10), 3, 2999) })), 'breakout').length, 0);
+
+  const broken = snapshot({ days: 2, videos: withViews(uploads(10), 3, 3000) });
+  const events = ofType(detectChanges(previous, broken), 'breakout');
+  assert.equal(events.length, 1);
+  assert.deepEqual({ videoId: events[0].data.videoId, multiple: events[0].data.multiple, medianViews: events[0].data.medianViews }, { videoId: 'v3', multiple: 3, medianViews: 1000 });
+
+  // Still above the threshold on the next run: no second alert
+  assert.equal(ofType(detectChanges(broken, snapshot({ days: 3, videos: withViews(uploads(10), 3, 5000) })), 'breakout').length, 0);
+});
+
+test('only the highest subscriber milestone crossed is reported', () => {
+  const events = ofType(detectChanges(snapshot({ subscribers: 990000 }), snapshot({ days: 2, subscribers: 2100000 })), 'subscriber_milestone');
+  assert.deepEqual(events.map(event => event.data.milestone), [2000000]);
+
+  assert.equal(ofType(detectChanges(snapshot({ subscribers: 999999 }), snapshot({ days: 2, subscribers: 1000000 })), 'subscriber_milestone').length, 1);
+  assert.equal(ofType(detectChanges(snapshot({ subscribers: 1000000 }), snapshot({ days: 2, subscribers: 1090000 })), 'subscriber_milestone').length, 0);
+  // Hidden subscriber counts can't cross anything
+  assert.equal(ofType(detectChanges(snapshot({ subscribers: null }), snapshot({ days: 2, subscribers: 3000000 })), 'subscriber_milestone').length, 0);
+});
+
+test('cadence changes are reported from a 25% shift in uploads per week', () => {
+  const faster = ofType(detectChanges(snapshot(), snapshot({ days: 2, videos: uploads(10, { gapDays: 5 }) })), 'cadence_change');
+  assert.equal(faster.length, 1);
+  assert.deepEqual([faster[0].data.previousUploadsPerWeek, faster[0].data.uploadsPerWeek], [1, 1.4]);
+
+  assert.equal(ofType(detectChanges(snapshot(), snapshot({ days: 2, videos: uploads(10, { gapDays: 6 }) })), 'cadence_change').length, 0);
+});
+
+test('an overdue upload is reported on the run that crosses twice the median gap, once', () => {
+  const crossing = detectChanges(snapshot({ days: 13 }), snapshot({ days: 15 }));
+  assert.deepEqual(ofType(crossing, 'upload_overdue').map(event => event.data.medianGapDays), [7]);
+  assert.equal(ofType(detectChanges(snapshot({ days: 15 }), snapshot({ days: 16 })), 'upload_overdue').length, 0);
+});
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'youtube-agent-watch-'));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+// The fixtures behind a response cache, as live requests are
+function createAgent(name) {
+  const cache = new ResponseCache({ dir: path.join(tmp, name, 'cache') });
+  const agent = new YouTubeAgent({
+    dataSource: new CachedDataSource(new FixtureDataSource({ dir: FIXTURES_DIR }), cache),
+    cache,
+    quota: new QuotaLedger({ file: path.join(tmp, name, 'quota-ledger.json') }),
+    snapshots: new SnapshotStore(path.join(tmp, name, 'snapshots')),
+    llm: null
+  });
+  agent.on('warning', () => {});
+  return agent;
+}
+
+const CHANNELS = [{ handle: 'fixturelab', target: '@fixturelab', options: {} }];
+const OPTIONS = { maxVideos: 12 };
+
+test('each watch cycle is compared with the one before it', async () => {
+  const agent = createAgent('cycles');
+  // An earlier run saw 399K subscribers; the fixtures have 412K
+  const { snapshot: earlier } = await agent.analyzeChannel('@fixturelab', OPTIONS);
+  const rewind = entry => JSON.stringify({ ...entry, channel: { ...entry.channel, subscribers: 399000 } }) + '\n';
+  await fs.writeFile(agent.snapshots.channelFile(earlier.channelId), rewind(earlier));
+
+  const baselines = new Map();
+  const first = await agent.runWatchCycle(CHANNELS, OPTIONS, [], 1, baselines);
+  assert.deepEqual(first.map(event => event.type), ['subscriber_milestone']);
+
+  // A manual run in between doesn't become the baseline
+  await fs.appendFile(agent.snapshots.channelFile(earlier.channelId), rewind({ ...earlier, timestamp: new Date().toISOString() }));
+  assert.deepEqual(await agent.runWatchCycle(CHANNELS, OPTIONS, [], 2, baselines), []);
+
+  // Nor does a failed snapshot write re-send the last alerts
+  const statuses = [];
+  agent.on('channel', event => statuses.push(event));
+  agent.snapshots.record = async () => { throw new Error('disk full'); };
+  assert.deepEqual(await agent.runWatchCycle(CHANNELS, OPTIONS, [], 3, baselines), []);
+  assert.equal(statuses.at(-1).unsaved, true);
+});
+
+test('watch reads fresh responses without changing the shared cache', async () => {
+  const agent = createAgent('refresh');
+  await agent.analyzeChannel('@fixturelab', OPTIONS);
+  const { hits } = agent.cache;
+
+  await agent.watch(['@fixturelab'], { ...OPTIONS, cycles: 1 });
+  assert.equal(agent.cache.hits, hits);
+  assert.equal(agent.cache.refresh, false);
+
+  await agent.analyzeChannel('@fixturelab', OPTIONS);
+  assert.ok(agent.cache.hits > hits);
+});
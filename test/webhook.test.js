@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { WebhookSink, JsonlEventLog } from '../lib/index.js';
+import { deliverAlerts, formatAlert } from '../lib/alert-sinks.js';
+
+const EVENTS = [
+  { type: 'new_upload', channel: 'mkbhd', message: 'New upload: "Phone review"', videoId: 'abc12345678' },
+  { type: 'subscriber_milestone', channel: 'mkbhd', message: 'Crossed 20M subscribers', milestone: 20000000 }
+];
+
+// Same contract as scripts/webhook-stub.js: records every JSON POST it receives
+let stub;
+let received;
+let tmp;
+
+before(async () => {
+  received = [];
+  stub = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, type: req.headers['content-type'], payload: JSON.parse(body) });
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+    });
+  });
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'youtube-agent-webhook-'));
+});
+
+after(async () => {
+  await new Promise(resolve => stub.close(resolve));
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test('posts one JSON payload per event to the webhook', async () => {
+  const url = `http://127.0.0.1:${stub.address().port}/alerts`;
+  const failures = await deliverAlerts([new WebhookSink(url)], EVENTS);
+
+  assert.deepEqual(failures, []);
+  assert.equal(received.length, 2);
+  received.forEach(({ method, url: requestUrl, type, payload }, index) => {
+    assert.equal(method, 'POST');
+    assert.equal(requestUrl, '/alerts');
+    assert.match(type, /application\/json/);
+    assert.equal(payload.text, formatAlert(EVENTS[index]));
+    assert.deepEqual(payload.event, EVENTS[index]);
+  });
+});
+
+test('a webhook that is down does not stop the other sinks', async () => {
+  // Reserve a port, then close it so nothing is listening there
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  const logFile = path.join(tmp, 'watch-events.jsonl');
+  const failures = await deliverAlerts([new WebhookSink(`http://127.0.0.1:${port}/alerts`, { timeoutMs: 2000 }), new JsonlEventLog(logFile)], EVENTS);
+
+  assert.equal(failures.length, 1);
+  assert.equal(failures[0].sink, 'WebhookSink');
+  const lines = (await fs.readFile(logFile, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines, EVENTS);
+});